@@ -5,25 +5,35 @@
 // - BPMN Modeler init happens when opening process view.
 
 /* ===========================
-   CDN URLs (change versions if needed)
-   - Editor.js core & tools (jsDelivr)
-   - bpmn-js modeler (unpkg / jsDelivr)
-   Sources: jsDelivr / editorjs docs / bpmn.io
-   (see citations in assistant message)
+   Third-party libraries
+   - pinned versions; integrity is the sha384 SRI hash of the file in the npm package, so every source must serve identical bytes
+   - sources are tried in order: local vendor directory (filled by vendor/fetch.sh, path vendor/<pkg>@<version>/<file>),
+     jsDelivr, unpkg; a missing file, network error or hash mismatch falls through to the next source
+   - when bumping a version, update the hash as well (vendor/fetch.sh prints it on mismatch)
    =========================== */
-const CDN = {
-  editor: 'https://cdn.jsdelivr.net/npm/@editorjs/editorjs@2.31.0/dist/editorjs.umd.js',
-  header: 'https://cdn.jsdelivr.net/npm/@editorjs/header@2.8.8/dist/header.umd.js',
-  list: 'https://cdn.jsdelivr.net/npm/@editorjs/list@2.0.8/dist/list.umd.js',
-  quote: 'https://cdn.jsdelivr.net/npm/@editorjs/quote@2.6.0/dist/quote.umd.js',
-  code: 'https://cdn.jsdelivr.net/npm/@editorjs/code@2.9.0/dist/code.umd.js',
-  delimiter: 'https://cdn.jsdelivr.net/npm/@editorjs/delimiter@1.4.0/dist/delimiter.umd.js',
-  marker: 'https://cdn.jsdelivr.net/npm/@editorjs/marker@1.4.0/dist/marker.umd.js',
-  checklist: 'https://cdn.jsdelivr.net/npm/@editorjs/checklist@1.6.0/dist/checklist.umd.js',
-  // bpmn modeler (UMD bundle)
-  bpmnModeler: 'https://unpkg.com/bpmn-js/dist/bpmn-modeler.production.min.js'
+const VENDOR_DIR = 'vendor';
+const LIBS = {
+  editor: { pkg: '@editorjs/editorjs', version: '2.31.0', file: 'dist/editorjs.umd.js', integrity: 'sha384-YLT8VeP9HHguQkh/YQFRnDQZNW++yEyZ8NLElXs5Z+xOSaqpw9TWqybZYbFmSGD0' },
+  header: { pkg: '@editorjs/header', version: '2.8.8', file: 'dist/header.umd.js', integrity: 'sha384-Oqp44fezQQlSFZnzotJupLkUgQK/KUQ3B+zKVhSGETp1RMpT+sg5kkAOgtuFkMRj' },
+  list: { pkg: '@editorjs/list', version: '2.0.8', file: 'dist/editorjs-list.umd.js', integrity: 'sha384-ea76zcDsZ28g0lFFpjj6ulaGvpsnL8Drp9qKnsb+SCm16YvDIR/o78RNZeAi6otP' },
+  quote: { pkg: '@editorjs/quote', version: '2.6.0', file: 'dist/quote.umd.js', integrity: 'sha384-a5xQZOtIIDhW0OejUSoXICVWEI8H/rn/pvqayWvfyk4Mv0J9XNO592MEo5PgINhj' },
+  code: { pkg: '@editorjs/code', version: '2.9.0', file: 'dist/code.umd.js', integrity: 'sha384-ekpjkcfBPatYQhp3mZLT0ulWyHdvA4zEtBndS+mOTOqplQXn2OVQa1HjTz2X3gWj' },
+  delimiter: { pkg: '@editorjs/delimiter', version: '1.4.0', file: 'dist/delimiter.umd.js', integrity: 'sha384-iRr0kAcfXxS3ez5PvFluPl6/N1njNeOBeQ/6FvmoauhJ4zB6cDBcUs3HBupNfMMl' },
+  marker: { pkg: '@editorjs/marker', version: '1.4.0', file: 'dist/marker.umd.js', integrity: 'sha384-xCW2AjuNs2r576ct9AvLo3Knz4N5tsszNVGXueZc7eI1iTEL0NSFy47G1er+diE+' },
+  checklist: { pkg: '@editorjs/checklist', version: '1.6.0', file: 'dist/checklist.umd.js', integrity: 'sha384-0BqF+qLJW3rgkQbEXSAPhd2gF6Xwk49oPrdpj1vTJP8oD38jxRANuMVPYi0ehfVr' },
+  table: { pkg: '@editorjs/table', version: '2.4.6', file: 'dist/table.umd.js', integrity: 'sha384-EfF1OR87CAWMq8G2qxUxrFwwFX/9ZdVg0qyxuHTZyNKfzjAi+OS1qYg12c2oWzjI' },
+  warning: { pkg: '@editorjs/warning', version: '1.4.1', file: 'dist/warning.umd.js', integrity: 'sha384-ffeWk9dl1hzdMGuat8++w1VDrkssXdtXZ0TUEqlGOKxUfDgjO7ybm/+VHoReHrty' },
+  image: { pkg: '@editorjs/image', version: '2.10.3', file: 'dist/image.umd.js', integrity: 'sha384-x+8X+am+peBvhMXyUZDpid1xuh/eJzrRGmPT7082F3Q4BL+GFvqjtx+b/MavaMhc' },
+  attaches: { pkg: '@editorjs/attaches', version: '1.3.2', file: 'dist/attaches.umd.js', integrity: 'sha384-7sl6D2IP0/t1p0EDi6ZK7hpwi1lgW00FSQO675XFk277WbbqH1q//4jNZjVu9PYc' },
+  // bpmn modeler (UMD bundle, global BpmnJS)
+  bpmnModeler: { pkg: 'bpmn-js', version: '18.6.1', file: 'dist/bpmn-modeler.production.min.js', integrity: 'sha384-yMN7Rh8B56VluXjJOnaQPPqueSc2FF0bg2Q/q5fVKRo3WoxJkyxWBm/9J4ZlZ2t+' }
 };
 
+function libSources(lib) {
+  const id = `${lib.pkg}@${lib.version}/${lib.file}`;
+  return [`${VENDOR_DIR}/${id}`, `https://cdn.jsdelivr.net/npm/${id}`, `https://unpkg.com/${id}`];
+}
+
 /* ==========================
    Helper: dynamic script loader
    ========================== */
@@ -40,14 +50,42 @@ function loadScript(src, attrs = {}) {
     s.async = true;
     for (const [k, v] of Object.entries(attrs)) s.setAttribute(k, v);
     s.onload = () => resolve();
-    s.onerror = (e) => reject(new Error(`Failed to load script ${src}`));
+    // a failed tag is removed, so a later attempt with the same src is not mistaken for a loaded one
+    s.onerror = (e) => { s.remove(); reject(new Error(`Failed to load script ${src}`)); };
     document.head.appendChild(s);
   });
 }
 
+// loads a pinned library from the first source that delivers it with the expected hash
+async function loadLibrary(name) {
+  const lib = LIBS[name]; let lastError = null;
+  for (const src of libSources(lib)) {
+    try { await loadScript(src, { integrity: lib.integrity, crossorigin: 'anonymous' }); return src; } catch (err) { lastError = err; console.warn(`${lib.pkg}: ${src} nicht verfügbar, nächste Quelle`); }
+  }
+  throw lastError;
+}
+
+/* ==========================
+   Offline support: sw.js caches the app shell and the libraries above
+   - only over http(s); file:// pages cannot register a service worker and keep using the sources directly
+   - once active, the worker is asked to fetch every library, so editor and modeler also work offline
+     when they were never opened online
+   ========================== */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  navigator.serviceWorker.register('sw.js')
+    .then(() => navigator.serviceWorker.ready)
+    .then((reg) => reg.active?.postMessage({
+      type: 'precache-libs',
+      libs: Object.values(LIBS).map(lib => ({ sources: libSources(lib), integrity: lib.integrity }))
+    }))
+    .catch(err => console.warn('Service worker registration failed:', err));
+}
+
 /* ==========================
    Editor loader: loads Editor.js core + tools and returns class map for tools
-   - Uses the UMD bundles which expose globals (EditorJS, Header, List, Quote, CodeTool, Delimiter, Marker, Checklist)
+   - Uses the UMD bundles which expose globals (EditorJS, Header, List, Quote, CodeTool, Delimiter, Marker, Checklist,
+     Table, Warning, ImageTool, AttachesTool)
    - Returns { EditorJS, tools: { header: Header, ... } }
    ========================== */
 let _editorLib = null;
@@ -55,27 +93,24 @@ async function ensureEditor() {
   if (_editorLib) return _editorLib;
 
   // Load core + tools sequentially (tools depend on EditorJS global API but not strictly in order)
-  await loadScript(CDN.editor);
+  await loadLibrary('editor');
   // load tools
-  await Promise.all([
-    loadScript(CDN.header),
-    loadScript(CDN.list),
-    loadScript(CDN.quote),
-    loadScript(CDN.code),
-    loadScript(CDN.delimiter),
-    loadScript(CDN.marker),
-    loadScript(CDN.checklist)
-  ]);
+  await Promise.all(['header', 'list', 'quote', 'code', 'delimiter', 'marker', 'checklist', 'table', 'warning', 'image', 'attaches'].map(loadLibrary));
 
   // Map globals to tool classes (UMD exposes globals named Header, List, etc.)
   const tools = {};
   if (window.Header) tools.header = window.Header;
-  if (window.List) tools.list = window.List;
+  // List 2.x exposes EditorjsList, older builds List
+  if (window.EditorjsList || window.List) tools.list = window.EditorjsList || window.List;
   if (window.Quote) tools.quote = window.Quote;
   if (window.CodeTool) tools.code = window.CodeTool;
   if (window.Delimiter) tools.delimiter = window.Delimiter;
   if (window.Marker) tools.marker = window.Marker;
   if (window.Checklist) tools.checklist = window.Checklist;
+  if (window.Table) tools.table = window.Table;
+  if (window.Warning) tools.warning = window.Warning;
+  if (window.ImageTool) tools.image = window.ImageTool;
+  if (window.AttachesTool) tools.attaches = window.AttachesTool;
 
   if (!window.EditorJS) throw new Error('EditorJS not available after loading script.');
   _editorLib = { EditorJS: window.EditorJS, tools };
@@ -89,7 +124,7 @@ async function ensureEditor() {
 let _bpmnLib = null;
 async function ensureBpmn() {
   if (_bpmnLib) return _bpmnLib;
-  await loadScript(CDN.bpmnModeler);
+  await loadLibrary('bpmnModeler');
   if (!window.BpmnJS && !window.bpmnjs && !window.bpmnModeler) {
     // older bundles expose BpmnJS
     if (!window.BpmnJS) throw new Error('bpmn-js not available after loading script.');
@@ -115,7 +150,23 @@ const defaultData = {
       "Organigramm": {
         id: 'org-chart',
         icon: '📊',
-        type: 'organigram'
+        type: 'organigram',
+        orgData: {
+          units: [
+            { id: 'unit-board', name: 'Vorstand', parentId: null },
+            { id: 'unit-office', name: 'Geschäftsstelle', parentId: 'unit-board' },
+            { id: 'unit-housing', name: 'Wohnungsverwaltung', parentId: 'unit-office' },
+            { id: 'unit-accounting', name: 'Rechnungswesen', parentId: 'unit-office' }
+          ],
+          positions: [
+            { id: 'pos-board', title: 'Vorstand', unitId: 'unit-board', reportsTo: null, deputyId: null, holderIds: [], documentId: null },
+            { id: 'pos-ceo', title: 'Geschäftsführung', unitId: 'unit-office', reportsTo: 'pos-board', deputyId: null, holderIds: [], documentId: null },
+            { id: 'pos-housing-lead', title: 'Leitung Wohnungsverwaltung', unitId: 'unit-housing', reportsTo: 'pos-ceo', deputyId: 'pos-caretaker', holderIds: [], documentId: null },
+            { id: 'pos-caretaker', title: 'Hausverwaltung', unitId: 'unit-housing', reportsTo: 'pos-housing-lead', deputyId: null, holderIds: [], documentId: null },
+            { id: 'pos-accounting', title: 'Buchhaltung', unitId: 'unit-accounting', reportsTo: 'pos-ceo', deputyId: null, holderIds: [], documentId: null }
+          ],
+          people: []
+        }
       },
       "Unternehmen": {
         id: 'company-folder',
@@ -172,475 +223,6256 @@ const defaultData = {
   }
 };
 
-/* TreeStore (same as before) */
-class TreeStore {
+/* ==========================
+   Templates for new entries ("Neu…" in the tree context menu)
+   - built-in: document skeletons with required sections, BPMN starter diagrams, empty folder/organigram
+   - custom templates ("Als Vorlage speichern") are kept through the storage adapter under the key "templates"
+   - template.node is copied into the tree by TreeStore.addItem (ids are assigned there)
+   ========================== */
+const BPMN_NS_ATTRS = 'xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI" xmlns:dc="http://www.omg.org/spec/DD/20100524/DC" xmlns:di="http://www.omg.org/spec/DD/20100524/DI" id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn"';
+
+const BPMN_STARTERS = {
+  simple: `<?xml version="1.0" encoding="UTF-8"?>
+<definitions ${BPMN_NS_ATTRS}>
+  <process id="Process_1" isExecutable="false">
+    <startEvent id="StartEvent_1" name="Start"><outgoing>Flow_1</outgoing></startEvent>
+    <task id="Task_1" name="Aufgabe"><incoming>Flow_1</incoming><outgoing>Flow_2</outgoing></task>
+    <endEvent id="EndEvent_1" name="Ende"><incoming>Flow_2</incoming></endEvent>
+    <sequenceFlow id="Flow_1" sourceRef="StartEvent_1" targetRef="Task_1" />
+    <sequenceFlow id="Flow_2" sourceRef="Task_1" targetRef="EndEvent_1" />
+  </process>
+  <bpmndi:BPMNDiagram id="BPMNDiagram_1">
+    <bpmndi:BPMNPlane id="BPMNPlane_1" bpmnElement="Process_1">
+      <bpmndi:BPMNShape id="StartEvent_1_di" bpmnElement="StartEvent_1"><dc:Bounds x="152" y="102" width="36" height="36" /></bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="Task_1_di" bpmnElement="Task_1"><dc:Bounds x="240" y="80" width="100" height="80" /></bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="EndEvent_1_di" bpmnElement="EndEvent_1"><dc:Bounds x="392" y="102" width="36" height="36" /></bpmndi:BPMNShape>
+      <bpmndi:BPMNEdge id="Flow_1_di" bpmnElement="Flow_1"><di:waypoint x="188" y="120" /><di:waypoint x="240" y="120" /></bpmndi:BPMNEdge>
+      <bpmndi:BPMNEdge id="Flow_2_di" bpmnElement="Flow_2"><di:waypoint x="340" y="120" /><di:waypoint x="392" y="120" /></bpmndi:BPMNEdge>
+    </bpmndi:BPMNPlane>
+  </bpmndi:BPMNDiagram>
+</definitions>`,
+  approval: `<?xml version="1.0" encoding="UTF-8"?>
+<definitions ${BPMN_NS_ATTRS}>
+  <process id="Process_1" isExecutable="false">
+    <startEvent id="StartEvent_1" name="Antrag eingegangen"><outgoing>Flow_1</outgoing></startEvent>
+    <task id="Task_Check" name="Antrag prüfen"><incoming>Flow_1</incoming><outgoing>Flow_2</outgoing></task>
+    <exclusiveGateway id="Gateway_1" name="Genehmigt?"><incoming>Flow_2</incoming><outgoing>Flow_Yes</outgoing><outgoing>Flow_No</outgoing></exclusiveGateway>
+    <task id="Task_Approve" name="Genehmigung mitteilen"><incoming>Flow_Yes</incoming><outgoing>Flow_3</outgoing></task>
+    <task id="Task_Reject" name="Ablehnung mitteilen"><incoming>Flow_No</incoming><outgoing>Flow_4</outgoing></task>
+    <endEvent id="EndEvent_Approved" name="Genehmigt"><incoming>Flow_3</incoming></endEvent>
+    <endEvent id="EndEvent_Rejected" name="Abgelehnt"><incoming>Flow_4</incoming></endEvent>
+    <sequenceFlow id="Flow_1" sourceRef="StartEvent_1" targetRef="Task_Check" />
+    <sequenceFlow id="Flow_2" sourceRef="Task_Check" targetRef="Gateway_1" />
+    <sequenceFlow id="Flow_Yes" name="ja" sourceRef="Gateway_1" targetRef="Task_Approve" />
+    <sequenceFlow id="Flow_No" name="nein" sourceRef="Gateway_1" targetRef="Task_Reject" />
+    <sequenceFlow id="Flow_3" sourceRef="Task_Approve" targetRef="EndEvent_Approved" />
+    <sequenceFlow id="Flow_4" sourceRef="Task_Reject" targetRef="EndEvent_Rejected" />
+  </process>
+  <bpmndi:BPMNDiagram id="BPMNDiagram_1">
+    <bpmndi:BPMNPlane id="BPMNPlane_1" bpmnElement="Process_1">
+      <bpmndi:BPMNShape id="StartEvent_1_di" bpmnElement="StartEvent_1"><dc:Bounds x="152" y="102" width="36" height="36" /></bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="Task_Check_di" bpmnElement="Task_Check"><dc:Bounds x="240" y="80" width="100" height="80" /></bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="Gateway_1_di" bpmnElement="Gateway_1" isMarkerVisible="true"><dc:Bounds x="395" y="95" width="50" height="50" /></bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="Task_Approve_di" bpmnElement="Task_Approve"><dc:Bounds x="500" y="80" width="100" height="80" /></bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="Task_Reject_di" bpmnElement="Task_Reject"><dc:Bounds x="500" y="200" width="100" height="80" /></bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="EndEvent_Approved_di" bpmnElement="EndEvent_Approved"><dc:Bounds x="652" y="102" width="36" height="36" /></bpmndi:BPMNShape>
+      <bpmndi:BPMNShape id="EndEvent_Rejected_di" bpmnElement="EndEvent_Rejected"><dc:Bounds x="652" y="222" width="36" height="36" /></bpmndi:BPMNShape>
+      <bpmndi:BPMNEdge id="Flow_1_di" bpmnElement="Flow_1"><di:waypoint x="188" y="120" /><di:waypoint x="240" y="120" /></bpmndi:BPMNEdge>
+      <bpmndi:BPMNEdge id="Flow_2_di" bpmnElement="Flow_2"><di:waypoint x="340" y="120" /><di:waypoint x="395" y="120" /></bpmndi:BPMNEdge>
+      <bpmndi:BPMNEdge id="Flow_Yes_di" bpmnElement="Flow_Yes"><di:waypoint x="445" y="120" /><di:waypoint x="500" y="120" /></bpmndi:BPMNEdge>
+      <bpmndi:BPMNEdge id="Flow_No_di" bpmnElement="Flow_No"><di:waypoint x="420" y="145" /><di:waypoint x="420" y="240" /><di:waypoint x="500" y="240" /></bpmndi:BPMNEdge>
+      <bpmndi:BPMNEdge id="Flow_3_di" bpmnElement="Flow_3"><di:waypoint x="600" y="120" /><di:waypoint x="652" y="120" /></bpmndi:BPMNEdge>
+      <bpmndi:BPMNEdge id="Flow_4_di" bpmnElement="Flow_4"><di:waypoint x="600" y="240" /><di:waypoint x="652" y="240" /></bpmndi:BPMNEdge>
+    </bpmndi:BPMNPlane>
+  </bpmndi:BPMNDiagram>
+</definitions>`
+};
+
+// document skeleton: a title header plus one level-2 header and an empty paragraph per required section
+function docSkeleton(title, sections) {
+  const blocks = [{ type: 'header', data: { text: title, level: 1 } }];
+  for (const sec of sections) blocks.push({ type: 'header', data: { text: sec, level: 2 } }, { type: 'paragraph', data: { text: '' } });
+  return { type: 'document', icon: '📄', requiredSections: sections.slice(), editorData: { blocks } };
+}
+
+const BUILTIN_TEMPLATES = [
+  { id: 'doc-empty', type: 'document', label: 'Leeres Dokument', node: { type: 'document', icon: '📄', editorData: { blocks: [] } } },
+  { id: 'doc-work-instruction', type: 'document', label: 'Arbeitsanweisung', node: docSkeleton('Arbeitsanweisung', ['Zweck', 'Geltungsbereich', 'Verantwortlichkeiten', 'Ablauf', 'Mitgeltende Unterlagen']) },
+  { id: 'doc-job-description', type: 'document', label: 'Stellenbeschreibung', node: docSkeleton('Stellenbeschreibung', ['Stellenbezeichnung', 'Organisatorische Einordnung', 'Ziel der Stelle', 'Aufgaben', 'Befugnisse', 'Vertretung', 'Anforderungen']) },
+  { id: 'doc-policy', type: 'document', label: 'Richtlinie', node: docSkeleton('Richtlinie', ['Zweck', 'Geltungsbereich', 'Begriffe', 'Regelungen', 'Verstöße', 'Inkrafttreten']) },
+  { id: 'folder-empty', type: 'folder', label: 'Ordner', node: { type: 'folder', icon: '📁', children: {} } },
+  { id: 'process-simple', type: 'process', label: 'Einfacher Ablauf', node: { type: 'process', icon: '⚙️', content: { type: 'bpmn', title: 'Einfacher Ablauf', bpmnXml: BPMN_STARTERS.simple } } },
+  { id: 'process-approval', type: 'process', label: 'Freigabeprozess', node: { type: 'process', icon: '⚙️', content: { type: 'bpmn', title: 'Freigabeprozess', bpmnXml: BPMN_STARTERS.approval } } },
+  { id: 'org-empty', type: 'organigram', label: 'Organigramm', node: { type: 'organigram', icon: '📊', orgData: { units: [], positions: [], people: [] } } }
+];
+
+const NODE_TYPE_LABELS = { document: 'Dokument', folder: 'Ordner', process: 'Prozess', organigram: 'Organigramm' };
+
+// copy of a node that can serve as a template: no ids, no revision history, no approval, no confirmations
+function templateFromNode(node) {
+  const copy = JSON.parse(JSON.stringify(node));
+  const strip = (n) => {
+    // the copy gets new ids, so the explicit sibling order is folded into the key order
+    if (n.children) { n.children = Object.fromEntries(TreeStore.childEntries(n)); delete n.order; }
+    delete n.id; delete n.revisions; delete n.lifecycle; delete n.acknowledgements; for (const child of Object.values(n.children || {})) strip(child);
+  };
+  strip(copy); return copy;
+}
+
+/* ==========================
+   Handbook file format
+   - export: { format: "wbg-orgbuch", version, exportedAt, data: { <root name>: node }, files? }
+   - files (optional): the images and attachments the blocks reference, { <id>: { name, type, size, data: base64 } }
+   - version 1 is the legacy export (just the tree object, no envelope)
+   - import: parse → migrate step by step to HANDBOOK_VERSION → validate; errors carry the offending path
+   ========================== */
+const HANDBOOK_FORMAT = 'wbg-orgbuch';
+const HANDBOOK_VERSION = 2;
+const NODE_TYPES = ['root', 'folder', 'document', 'process', 'organigram'];
+
+// MIGRATIONS[n] turns a version-n file into a version-(n+1) file
+const MIGRATIONS = {
+  1: (legacy) => {
+    // the envelope is new; nodes without id (hand-written files) get one
+    let n = 0;
+    const fill = (children) => { for (const v of Object.values(children || {})) { if (v && typeof v === 'object') { if (!v.id) v.id = `legacy_${++n}`; fill(v.children); } } };
+    fill(legacy);
+    return { format: HANDBOOK_FORMAT, version: 2, data: legacy };
+  }
+};
+
+function detectHandbookVersion(file) {
+  if (file && file.format === HANDBOOK_FORMAT) return Number(file.version) || 0;
+  return 1;
+}
+
+function migrateHandbook(file) {
+  let version = detectHandbookVersion(file); const from = version;
+  if (version > HANDBOOK_VERSION) throw new Error(t('validate.tooNew', { version, max: HANDBOOK_VERSION }));
+  if (version < 1) throw new Error(t('validate.unknownVersion'));
+  while (version < HANDBOOK_VERSION) {
+    const step = MIGRATIONS[version]; if (!step) throw new Error(t('validate.noMigration', { version }));
+    file = step(file); version = detectHandbookVersion(file);
+  }
+  return { file, from };
+}
+
+// returns a list of { path, message }; path is "<tree path> › <field>"
+function validateHandbook(file) {
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const fileAt = (field) => field ? `${t('validate.file')} › ${field}` : t('validate.file');
+  if (!isObj(file)) { err(fileAt(), t('validate.notObject')); return errors; }
+  if (file.format !== HANDBOOK_FORMAT) err(fileAt('format'), t('validate.format', { format: HANDBOOK_FORMAT }));
+  if (!isObj(file.data) || Object.keys(file.data).length === 0) { err(fileAt('data'), t('validate.noRoot')); return errors; }
+  const checkNode = (node, path) => {
+    const at = (field) => field ? `${path} › ${field}` : path;
+    if (!isObj(node)) { err(at(), t('validate.nodeNotObject')); return; }
+    if (typeof node.id !== 'string' || !node.id) err(at('id'), t('validate.missing'));
+    if (!NODE_TYPES.includes(node.type)) err(at('type'), t('validate.type', { type: node.type, allowed: NODE_TYPES.join(', ') }));
+    if (node.icon !== undefined && typeof node.icon !== 'string') err(at('icon'), t('validate.text'));
+    if (node.tags !== undefined && (!Array.isArray(node.tags) || node.tags.some(tag => typeof tag !== 'string' || !tag.trim()))) err(at('tags'), t('validate.tags'));
+    if (node.category !== undefined && typeof node.category !== 'string') err(at('category'), t('validate.text'));
+    if (node.order !== undefined && (!Array.isArray(node.order) || node.order.some(id => typeof id !== 'string'))) err(at('order'), t('validate.order'));
+    if (node.children !== undefined) {
+      if (!isObj(node.children)) err(at('children'), t('validate.children'));
+      else for (const [k, v] of Object.entries(node.children)) { if (k.includes('/')) err(`${path}/${k}`, t('validate.slash')); checkNode(v, `${path}/${k}`); }
+    }
+    if (node.editorData !== undefined) {
+      if (!isObj(node.editorData) || !Array.isArray(node.editorData.blocks)) err(at('editorData.blocks'), t('validate.list'));
+      else node.editorData.blocks.forEach((b, i) => {
+        if (!isObj(b) || typeof b.type !== 'string') err(at(`editorData.blocks[${i}].type`), t('validate.missing'));
+        else if (b.data !== undefined && !isObj(b.data)) err(at(`editorData.blocks[${i}].data`), t('validate.object'));
+      });
+    }
+    if (node.content !== undefined && (!isObj(node.content) || (node.content.bpmnXml != null && typeof node.content.bpmnXml !== 'string'))) err(at('content.bpmnXml'), t('validate.bpmn'));
+    if (node.orgData !== undefined && (!isObj(node.orgData) || ['units', 'positions', 'people'].some(k => !Array.isArray(node.orgData[k])))) err(at('orgData'), t('validate.orgData'));
+    if (node.lifecycle !== undefined) {
+      const lc = node.lifecycle;
+      if (!isObj(lc)) err(at('lifecycle'), t('validate.object'));
+      else {
+        if (lc.status !== undefined && !LIFECYCLE_STATUSES[lc.status]) err(at('lifecycle.status'), t('validate.status', { status: lc.status, allowed: Object.keys(LIFECYCLE_STATUSES).join(', ') }));
+        for (const k of ['owner', 'approver']) if (lc[k] !== undefined && typeof lc[k] !== 'string') err(at(`lifecycle.${k}`), t('validate.text'));
+        for (const k of LIFECYCLE_DATES) if (lc[k] && !ISO_DATE.test(lc[k])) err(at(`lifecycle.${k}`), t('validate.date'));
+        if (lc.approvedRevision != null && !(node.revisions || []).some(r => r && r.id === lc.approvedRevision)) err(at('lifecycle.approvedRevision'), t('validate.approvedRevision'));
+      }
+    }
+    const isRefList = (v) => Array.isArray(v) && v.every(r => isObj(r) && typeof r.nodeId === 'string' && typeof r.unitId === 'string');
+    if (node.users !== undefined && (!Array.isArray(node.users) || node.users.some(u => !isObj(u) || typeof u.id !== 'string' || typeof u.name !== 'string' || (u.units !== undefined && !isRefList(u.units))))) err(at('users'), t('validate.users'));
+    if (node.mandatoryFor !== undefined && !isRefList(node.mandatoryFor)) err(at('mandatoryFor'), t('validate.mandatoryFor'));
+    if (node.acknowledgements !== undefined && (!Array.isArray(node.acknowledgements) || node.acknowledgements.some(a => !isObj(a) || typeof a.userId !== 'string' || typeof a.revisionId !== 'string'))) err(at('acknowledgements'), t('validate.acknowledgements'));
+    if (node.trash !== undefined) {
+      if (!Array.isArray(node.trash)) err(at('trash'), t('validate.list'));
+      else node.trash.forEach((e, i) => {
+        if (!isObj(e) || typeof e.name !== 'string') err(at(`trash[${i}]`), t('validate.trashEntry'));
+        else checkNode(e.node, `${path} › ${t('trash.title')} › ${e.name}`);
+      });
+    }
+    if (node.revisions !== undefined && (!Array.isArray(node.revisions) || node.revisions.some(r => !isObj(r) || typeof r.id !== 'string'))) err(at('revisions'), t('validate.revisions'));
+    if (node.translations !== undefined) {
+      if (!isObj(node.translations)) err(at('translations'), t('validate.translations'));
+      else for (const [lang, tr] of Object.entries(node.translations)) {
+        if (!isObj(tr) || !isObj(tr.editorData) || !Array.isArray(tr.editorData.blocks)) err(at(`translations.${lang}.editorData.blocks`), t('validate.list'));
+        else if (tr.sourceRevision != null && typeof tr.sourceRevision !== 'string') err(at(`translations.${lang}.sourceRevision`), t('validate.sourceRevision'));
+      }
+    }
+  };
+  for (const [k, v] of Object.entries(file.data)) checkNode(v, k);
+  if (file.files !== undefined) {
+    if (!isObj(file.files)) err(fileAt('files'), t('validate.files'));
+    else for (const [id, f] of Object.entries(file.files)) {
+      if (!isObj(f) || typeof f.name !== 'string' || typeof f.data !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(f.data)) err(fileAt(`files › ${id}`), t('validate.fileEntry'));
+    }
+  }
+  return errors;
+}
+
+/* TreeStore (same as before)
+   - dispatches a "change" event ({ detail: { kind, path } }) after every mutation,
+     which is what the autosave (and anything else that mirrors the tree) listens to
+   - sibling order is explicit: node.order lists the child ids; children missing from it follow in key order */
+class TreeStore extends EventTarget {
   constructor(data) {
+    super();
     this.data = data ? JSON.parse(JSON.stringify(data)) : JSON.parse(JSON.stringify(defaultData));
-    this.counter = 1000;
     this.index = [];
+    this.searchIndex = null;
+    this._syncCounter();
+    this.addEventListener('change', (e) => { if (e.detail.kind === 'import') this._syncCounter(); this._updateSearchIndex(e.detail); this._backlinks = null; });
   }
   getRoot() { return this.data; }
   getNode(path) {
     if (!path) return null;
     const parts = path.split('/');
-    let cur = this.data;
+    let cur = this.data[parts.shift()];
     for (const part of parts) {
-      if (!cur[part]) return null;
-      cur = cur[part];
+      if (!cur || !cur.children || !cur.children[part]) return null;
+      cur = cur.children[part];
     }
-    return cur;
+    return cur || null;
+  }
+  _changed(kind, path, extra) { this.dispatchEvent(new CustomEvent('change', { detail: { kind, path, ...extra } })); }
+  static childEntries(node) {
+    const entries = Object.entries((node && node.children) || {});
+    if (!Array.isArray(node?.order) || node.order.length === 0) return entries;
+    const rank = new Map(node.order.map((id, i) => [id, i]));
+    return entries.map((e, i) => [e, rank.has(e[1].id) ? rank.get(e[1].id) : node.order.length + i]).sort((a, b) => a[1] - b[1]).map(x => x[0]);
+  }
+  _setOrder(parent, ids) { if (parent !== this.data) parent.order = ids; }
+  _parentOf(path) {
+    const parts = path.split('/'); const name = parts.pop(); const parentPath = parts.join('/');
+    return { name, parentPath, parent: parentPath ? this.getNode(parentPath) : this.data };
+  }
+  _freeName(parent, name, except) {
+    let finalName = name; let i = 1;
+    while (parent.children && parent.children[finalName] && parent.children[finalName] !== except) finalName = `${name} (${i++})`;
+    return finalName;
   }
   addItem(parentPath, name, template) {
     const parent = parentPath ? this.getNode(parentPath) : null;
     if (!parent) return null;
     if (!parent.children) parent.children = {};
-    let finalName = name; let i = 1;
-    while (parent.children[finalName]) finalName = `${name} (${i++})`;
+    const ids = TreeStore.childEntries(parent).map(([, c]) => c.id);
+    const finalName = this._freeName(parent, name);
     parent.children[finalName] = JSON.parse(JSON.stringify(template));
-    parent.children[finalName].id = `id_${this.counter++}`;
-    return `${parentPath}/${finalName}`;
+    this._assignIds(parent.children[finalName]);
+    this._setOrder(parent, [...ids, parent.children[finalName].id]);
+    const path = `${parentPath}/${finalName}`;
+    this._changed('add', path); return path;
+  }
+  // gives a node and all its descendants fresh ids that are not used anywhere in the tree (sibling order is carried over)
+  _assignIds(node) {
+    const used = new Set();
+    const collect = (children) => { for (const v of Object.values(children || {})) { if (v.id) used.add(v.id); collect(v.children); } };
+    collect(this.data);
+    const assign = (n) => {
+      const entries = TreeStore.childEntries(n);
+      // ids must stay unique across installations too (merge import matches by id), hence not just a counter
+      let id; do { id = uid('id'); } while (used.has(id));
+      used.add(id); n.id = id;
+      for (const [, child] of entries) assign(child);
+      if (entries.length) n.order = entries.map(([, c]) => c.id);
+    };
+    assign(node);
   }
   removeItem(path) {
-    const parts = path.split('/'); const name = parts.pop(); const parentPath = parts.join('/');
-    const parent = parentPath ? this.getNode(parentPath) : this.data;
-    if (parent && parent.children && parent.children[name]) { delete parent.children[name]; return true; }
+    const { name, parent } = this._parentOf(path);
+    if (parent && parent.children && parent.children[name]) {
+      const removed = parent.children[name]; delete parent.children[name];
+      if (Array.isArray(parent.order)) parent.order = parent.order.filter(id => id !== removed.id);
+      this._changed('remove', path); return true;
+    }
     return false;
   }
   renameItem(path, newName) {
-    const parts = path.split('/'); const name = parts.pop(); const parentPath = parts.join('/');
-    const parent = parentPath ? this.getNode(parentPath) : this.data;
+    const { name, parentPath, parent } = this._parentOf(path);
     if (!parent || !parent.children || !parent.children[name]) return null;
     if (parent.children[newName]) return null;
-    parent.children[newName] = parent.children[name]; delete parent.children[name]; return `${parentPath}/${newName}`;
+    // keep the position: pin the current order before the key moves to the end of the object
+    this._setOrder(parent, TreeStore.childEntries(parent).map(([, c]) => c.id));
+    parent.children[newName] = parent.children[name]; delete parent.children[name];
+    const newPath = `${parentPath}/${newName}`;
+    this._changed('rename', newPath, { from: path }); return newPath;
+  }
+  isContainer(node) { return !!node && (node.type === 'folder' || node.type === 'root'); }
+  /* moves path relative to targetPath: 'before' / 'after' it (same parent as target) or 'inside' (target must be a folder);
+     the name gets a " (n)" suffix on conflicts; returns the new path or null if the move is not possible */
+  moveItem(path, targetPath, position = 'inside') {
+    if (!path || !targetPath || path === targetPath) return null;
+    const node = this.getNode(path); const src = this._parentOf(path);
+    if (!node || !src.parent || src.parent === this.data) return null;
+    const destPath = position === 'inside' ? targetPath : this._parentOf(targetPath).parentPath;
+    const dest = this.getNode(destPath);
+    if (!this.isContainer(dest)) return null;
+    if (destPath === path || destPath.startsWith(`${path}/`)) return null; // into itself or a descendant
+    const ids = TreeStore.childEntries(dest).map(([, c]) => c).filter(c => c !== node);
+    let index = ids.length;
+    if (position !== 'inside') {
+      const target = this.getNode(targetPath); const at = ids.indexOf(target);
+      if (at < 0) return null;
+      index = position === 'before' ? at : at + 1;
+    }
+    ids.splice(index, 0, node);
+    const finalName = dest === src.parent ? src.name : this._freeName(dest, src.name);
+    if (dest !== src.parent) {
+      delete src.parent.children[src.name];
+      if (Array.isArray(src.parent.order)) src.parent.order = src.parent.order.filter(id => id !== node.id);
+      dest.children = dest.children || {}; dest.children[finalName] = node;
+    }
+    dest.order = ids.map(c => c.id);
+    const newPath = `${destPath}/${finalName}`;
+    this._changed('move', newPath, { from: path }); return newPath;
+  }
+  duplicateItem(path) {
+    const node = this.getNode(path); if (!node) return null;
+    const { name, parentPath, parent } = this._parentOf(path);
+    if (!parent || !parent.children) return null;
+    let newName = `${name} (Kopie)`; let i = 1; while (parent.children[newName]) newName = `${name} (Kopie ${i++})`;
+    const siblings = TreeStore.childEntries(parent).map(([, c]) => c);
+    const copy = JSON.parse(JSON.stringify(node));
+    // a copy has not been approved or read by anyone
+    const reset = (n) => {
+      if (n.lifecycle) n.lifecycle = { status: 'draft', owner: n.lifecycle.owner || '' };
+      delete n.acknowledgements; for (const child of Object.values(n.children || {})) reset(child);
+    };
+    reset(copy);
+    parent.children[newName] = copy;
+    this._assignIds(copy);
+    // the copy is placed right after the original
+    siblings.splice(siblings.indexOf(node) + 1, 0, copy);
+    this._setOrder(parent, siblings.map(c => c.id));
+    const newPath = `${parentPath}/${newName}`;
+    this._changed('add', newPath); return newPath;
+  }
+  /* Detach / attach and the Papierkorb (used by the undo commands, see "Undo / redo")
+     - a place is { node, name, parentId, parentPath, index }: detach() takes the node (ids and all) out of the tree,
+       attach() puts it back there; a parent that is gone meanwhile falls back to the root folder, a taken name gets a suffix
+     - top-level entries have parentId null and parentPath '': their "children" are the keys of this.data
+     - deleted subtrees are kept on the root node: trash = [{ ...place, deletedAt }], oldest first */
+  _childMap(parent) { return parent === this.data ? this.data : (parent.children = parent.children || {}); }
+  placeOf(id) {
+    const hit = this._locate(id); if (!hit) return null;
+    const parent = hit.parent || this.data;
+    const entries = hit.parent ? TreeStore.childEntries(parent) : Object.entries(this.data);
+    const index = entries.findIndex(([, c]) => c.id === id);
+    return { node: hit.node, name: hit.name, parentId: hit.parent ? hit.parent.id : null, parentPath: hit.path.split('/').slice(0, -1).join('/'), index, path: hit.path };
+  }
+  detach(id) {
+    const place = this.placeOf(id); if (!place) return null;
+    const { path, ...rest } = place; const parent = rest.parentPath ? this.getNode(rest.parentPath) : this.data;
+    delete this._childMap(parent)[rest.name];
+    this._setOrder(parent, TreeStore.childEntries(parent).map(([, c]) => c.id));
+    this._changed('remove', path); return rest;
+  }
+  attach({ node, name, parentId, index }) {
+    if (parentId === null) return this._attachTopLevel(node, name, index);
+    const parentPath = this.findPathById(parentId) || this._rootPath();
+    const parent = this.getNode(parentPath); parent.children = parent.children || {};
+    const ids = TreeStore.childEntries(parent).map(([, c]) => c.id);
+    const finalName = this._freeName(parent, name);
+    parent.children[finalName] = node;
+    ids.splice(index >= 0 ? Math.min(index, ids.length) : ids.length, 0, node.id); this._setOrder(parent, ids);
+    const path = `${parentPath}/${finalName}`;
+    this._changed('add', path); return path;
+  }
+  // this.data has no order list, so the key order is rebuilt with the entry at its old position
+  _attachTopLevel(node, name, index) {
+    let finalName = name; let i = 1;
+    while (this.data[finalName]) finalName = `${name} (${i++})`;
+    const entries = Object.entries(this.data);
+    entries.splice(index >= 0 ? Math.min(index, entries.length) : entries.length, 0, [finalName, node]);
+    for (const key of Object.keys(this.data)) delete this.data[key];
+    for (const [key, value] of entries) this.data[key] = value;
+    this._changed('add', finalName); return finalName;
+  }
+  getTrash() { return this.data[this._rootPath()]?.trash || []; }
+  _setTrash(entries) { const root = this.data[this._rootPath()]; if (entries.length) root.trash = entries; else delete root.trash; }
+  trashItem(path) {
+    // the root node carries the Papierkorb itself
+    const node = this.getNode(path); if (!node || node === this.data[this._rootPath()]) return null;
+    const place = this.detach(node.id); if (!place) return null;
+    const entry = { ...place, deletedAt: new Date().toISOString() };
+    this._setTrash([...this.getTrash(), entry]); this._changed('trash', path); return entry;
+  }
+  restoreFromTrash(id) {
+    const entry = this.getTrash().find(e => e.node.id === id); if (!entry) return null;
+    this._setTrash(this.getTrash().filter(e => e !== entry));
+    const { deletedAt, parentPath, ...place } = entry; return this.attach(place);
+  }
+  // removes trash entries for good; returns [{ entry, at }] so undo can put them back
+  purgeTrash(ids) {
+    const trash = this.getTrash(); const removed = [];
+    trash.forEach((entry, at) => { if (ids.includes(entry.node.id)) removed.push({ entry, at }); });
+    if (!removed.length) return null;
+    this._setTrash(trash.filter(e => !ids.includes(e.node.id))); this._changed('trash', null); return removed;
+  }
+  unpurgeTrash(removed) {
+    const trash = this.getTrash().slice();
+    for (const { entry, at } of removed) trash.splice(Math.min(at, trash.length), 0, entry);
+    this._setTrash(trash); this._changed('trash', null); return removed;
+  }
+  // whole-tree copies for changes that are undone as a block (imports)
+  snapshot() { return JSON.stringify(this.data); }
+  restoreSnapshot(json) { this.data = JSON.parse(json); this._changed('import', null); }
+  /* Content writes record a revision on the node (node.revisions, oldest first):
+     { id, at, note, editorData } for documents, { id, at, note, bpmnXml } for processes.
+     Content that existed before the first tracked save is kept as an "Ausgangsstand" revision (at: null).
+     minor: true marks an editorial change that keeps read acknowledgements valid. */
+  setEditorData(path, editorData, { note = '', restoredFrom, minor = false } = {}) {
+    const node = this.getNode(path); if (!node) return false;
+    this._recordRevision(node, 'editorData', node.editorData, editorData, { note, restoredFrom, minor });
+    node.editorData = editorData; this._reopenApproved(node); this._changed('content', path); return true;
+  }
+  // revision: false writes a draft (the modeler's working copy) without recording a revision
+  setBpmnXml(path, xml, { note = '', restoredFrom, revision = true } = {}) {
+    const node = this.getNode(path); if (!node) return false;
+    node.content = node.content || {};
+    if (revision) this._recordRevision(node, 'bpmnXml', node.content.bpmnXml, xml, { note, restoredFrom });
+    else this._baselineRevision(node, 'bpmnXml', node.content.bpmnXml);
+    node.content.bpmnXml = xml; if (revision) this._reopenApproved(node);
+    this._changed('content', path); return true;
+  }
+  _newRevisionId() { return `rev_${Date.now().toString(36)}_${(this.counter++).toString(36)}`; }
+  // the running number of revision ids continues after the highest one in the data (on load, import, merge, undo)
+  _syncCounter() {
+    let max = 999;
+    const walk = (node) => {
+      if (!node || typeof node !== 'object') return;
+      for (const rev of node.revisions || []) { const m = /_([0-9a-z]+)$/.exec(rev?.id || ''); if (m) max = Math.max(max, parseInt(m[1], 36)); }
+      for (const entry of node.trash || []) walk(entry?.node);
+      for (const child of Object.values(node.children || {})) walk(child);
+    };
+    Object.values(this.data).forEach(walk);
+    this.counter = max + 1;
+  }
+  _baselineRevision(node, field, previous) {
+    node.revisions = node.revisions || [];
+    if (node.revisions.length === 0 && previous) node.revisions.push({ id: this._newRevisionId(), at: null, note: 'Ausgangsstand', [field]: JSON.parse(JSON.stringify(previous)) });
+  }
+  _recordRevision(node, field, previous, value, { note, restoredFrom, minor } = {}) {
+    this._baselineRevision(node, field, previous);
+    const last = node.revisions[node.revisions.length - 1];
+    if (last && JSON.stringify(last[field]) === JSON.stringify(value)) return last;
+    const rev = { id: this._newRevisionId(), at: new Date().toISOString(), note: note || '', [field]: JSON.parse(JSON.stringify(value)) };
+    if (restoredFrom) rev.restoredFrom = restoredFrom;
+    if (minor) rev.minor = true;
+    node.revisions.push(rev); return rev;
+  }
+  /* Translations (see "Internationalisation"): stored per language next to the German editorData and tied to the
+     revision they were made from; they are not versioned themselves */
+  setTranslation(path, lang, editorData) {
+    const node = this.getNode(path); if (!node || node.type !== 'document' || !LANGUAGES[lang] || lang === SOURCE_LANGUAGE) return false;
+    this._baselineRevision(node, 'editorData', node.editorData);
+    const source = (node.revisions || []).slice(-1)[0];
+    node.translations = { ...node.translations, [lang]: { editorData, sourceRevision: source?.id || null, at: new Date().toISOString() } };
+    this._changed('translation', path); return true;
+  }
+  removeTranslation(path, lang) {
+    const node = this.getNode(path); if (!node?.translations?.[lang]) return false;
+    const { [lang]: removed, ...rest } = node.translations;
+    if (Object.keys(rest).length) node.translations = rest; else delete node.translations;
+    this._changed('translation', path); return true;
+  }
+  /* Lifecycle: the approved content is the revision in lifecycle.approvedRevision, anything saved later is a draft.
+     Drafts (revision: false) do not touch the status, the next saved revision does. */
+  approvedRevision(node) {
+    const id = node?.lifecycle?.approvedRevision;
+    return id ? (node.revisions || []).find(r => r.id === id) || null : null;
+  }
+  hasDraft(node) {
+    const rev = this.approvedRevision(node);
+    return !!rev && JSON.stringify(rev[lifecycleField(node)]) !== JSON.stringify(lifecycleContent(node));
+  }
+  _reopenApproved(node) { if (node.lifecycle?.status === 'approved' && this.hasDraft(node)) node.lifecycle.status = 'draft'; }
+  // patch: any lifecycle fields; status "approved" pins the current content as approved revision (approvedAt defaults to today)
+  setLifecycle(path, patch) {
+    const node = this.getNode(path); if (!hasLifecycle(node)) return false;
+    const lc = { ...lifecycleOf(node), ...patch };
+    if (patch.status === 'approved') {
+      const value = lifecycleContent(node);
+      const rev = this._recordRevision(node, lifecycleField(node), value, value, { note: 'Freigabe' });
+      lc.approvedRevision = rev.id; if (!patch.approvedAt) lc.approvedAt = todayIso();
+    }
+    node.lifecycle = lc; this._changed('lifecycle', path); return true;
+  }
+  /* Read acknowledgements (see the section above) */
+  _rootPath() { return Object.keys(this.data).find(k => this.data[k]?.type === 'root') || Object.keys(this.data)[0]; }
+  getUsers() { return this.data[this._rootPath()]?.users || []; }
+  setUsers(users) {
+    const path = this._rootPath(); if (!path) return false;
+    this.data[path].users = users; this._changed('users', path); return true;
+  }
+  // all units of all organigrams: [{ nodeId, unitId, name, parentId, orgName }]
+  orgUnits() {
+    const out = [];
+    const walk = (entries) => {
+      for (const [k, v] of entries) {
+        if (v.type === 'organigram') for (const u of v.orgData?.units || []) out.push({ nodeId: v.id, unitId: u.id, name: u.name, parentId: u.parentId || null, orgName: k });
+        walk(TreeStore.childEntries(v));
+      }
+    };
+    walk(Object.entries(this.data)); return out;
+  }
+  // keys (unitKey) of the given units and all their sub-units
+  _unitScope(refs) {
+    const units = this.orgUnits(); const scope = new Set();
+    const add = (nodeId, unitId) => {
+      if (scope.has(unitKey({ nodeId, unitId }))) return;
+      scope.add(unitKey({ nodeId, unitId }));
+      for (const u of units) if (u.nodeId === nodeId && u.parentId === unitId) add(nodeId, u.unitId);
+    };
+    for (const r of refs || []) add(r.nodeId, r.unitId);
+    return scope;
+  }
+  requiredUsers(node) {
+    if (!node?.mandatoryFor?.length) return [];
+    const scope = this._unitScope(node.mandatoryFor);
+    return this.getUsers().filter(u => (u.units || []).some(r => scope.has(unitKey(r))));
+  }
+  setMandatoryFor(path, refs) {
+    const node = this.getNode(path); if (!node || node.type !== 'document') return false;
+    if (refs.length) node.mandatoryFor = refs; else delete node.mandatoryFor;
+    this._changed('acknowledgement', path); return true;
+  }
+  // the revision in force and the oldest revision a confirmation may point to (earlier ones are outdated)
+  acknowledgementTarget(node) {
+    const revs = node?.revisions || []; const current = this.approvedRevision(node) || revs[revs.length - 1];
+    let i = revs.indexOf(current);
+    while (i > 0 && revs[i].minor) i--;
+    return { current: current || null, since: i >= 0 ? revs[i] : null };
+  }
+  // latest confirmation of the user that still covers the version in force, or null
+  validAcknowledgement(node, userId) {
+    const { since } = this.acknowledgementTarget(node); if (!since) return null;
+    const revs = node.revisions; const min = revs.indexOf(since);
+    return (node.acknowledgements || []).filter(a => a.userId === userId && revs.findIndex(r => r.id === a.revisionId) >= min).pop() || null;
+  }
+  acknowledge(path, userId) {
+    const node = this.getNode(path); if (!node || node.type !== 'document' || !userId) return null;
+    // content from before versioning gets its baseline revision, a confirmation needs something to point to
+    if (!node.revisions?.length) this._baselineRevision(node, 'editorData', node.editorData || { blocks: [] });
+    const ack = { userId, revisionId: this.acknowledgementTarget(node).current.id, at: new Date().toISOString() };
+    node.acknowledgements = [...(node.acknowledgements || []), ack];
+    this._changed('acknowledgement', path); return ack;
+  }
+  setOrgData(path, orgData) {
+    const node = this.getNode(path); if (!node) return false;
+    node.orgData = orgData; this._changed('content', path); return true;
+  }
+  findPathById(id) {
+    if (!id) return null;
+    const walk = (children, path) => {
+      for (const [k, v] of Object.entries(children || {})) {
+        const p = path ? `${path}/${k}` : k;
+        if (v.id === id) return p;
+        const hit = walk(v.children, p); if (hit) return hit;
+      }
+      return null;
+    };
+    return walk(this.data, '');
+  }
+  // entries that link to the given id: [{ id, path, name, type }], built lazily and dropped on every change
+  backlinksTo(id) {
+    if (!this._backlinks) {
+      this._backlinks = new Map();
+      const walk = (entries, path) => {
+        for (const [k, v] of entries) {
+          const p = path ? `${path}/${k}` : k;
+          for (const target of nodeLinkTargets(v)) {
+            if (target === v.id) continue;
+            if (!this._backlinks.has(target)) this._backlinks.set(target, []);
+            this._backlinks.get(target).push({ id: v.id, path: p, name: k, type: v.type });
+          }
+          walk(TreeStore.childEntries(v), p);
+        }
+      };
+      walk(Object.entries(this.data), '');
+    }
+    return this._backlinks.get(id) || [];
   }
+  getRevisions(path) { const node = this.getNode(path); return (node && node.revisions) || []; }
+  restoreRevision(path, revisionId) {
+    const node = this.getNode(path); if (!node) return false;
+    const rev = (node.revisions || []).find(r => r.id === revisionId); if (!rev) return false;
+    const note = `Wiederhergestellt: Version vom ${formatRevisionDate(rev)}`;
+    if (node.type === 'process') return this.setBpmnXml(path, rev.bpmnXml, { note, restoredFrom: rev.id });
+    return this.setEditorData(path, JSON.parse(JSON.stringify(rev.editorData)), { note, restoredFrom: rev.id });
+  }
+  /* buildIndex(): flat list of all entries (quick access) plus the full-text SearchIndex.
+     Content saves update the search index incrementally; structural changes (add, remove, rename, import)
+     only mark it stale, it is rebuilt on the next search. */
   buildIndex() {
     const out = [];
-    const walk = (node, path = '') => {
-      for (const [k, v] of Object.entries(node)) {
+    const search = new SearchIndex();
+    const walk = (entries, path = '') => {
+      for (const [k, v] of entries) {
         const p = path ? `${path}/${k}` : k;
-        out.push({ name: k, path: p, type: v.type, icon: v.icon });
-        if (v.children) walk(v.children, p);
+        out.push({ name: k, path: p, type: v.type, icon: v.icon, ...nodeFacets(v) });
+        search.addNode(p, k, v);
+        if (v.children) walk(TreeStore.childEntries(v), p);
       }
     };
-    walk(this.data, '');
-    this.index = out; return out;
+    walk(Object.entries(this.data), '');
+    this.index = out; this.searchIndex = search; this._searchStale = false; return out;
   }
-  export() { return JSON.stringify(this.data, null, 2); }
-  import(json) { try { const parsed = JSON.parse(json); if (!parsed || typeof parsed !== 'object') return false; this.data = parsed; return true; } catch (e) { return false; } }
-}
-
-/* TreeRenderer (same as before) */
-class TreeRenderer {
-  constructor(container, store) {
-    this.container = container; this.store = store; this.onSelect = () => {};
+  _updateSearchIndex({ kind, path }) {
+    if (!this.searchIndex) return;
+    // changes confined to one node are applied in place, everything else rebuilds on the next search
+    const node = ['content', 'meta', 'lifecycle', 'translation'].includes(kind) ? this.getNode(path) : null;
+    if (!node) { this._searchStale = true; return; }
+    this.searchIndex.addNode(path, path.split('/').pop(), node);
+    const entry = this.index.find(e => e.path === path); if (entry) Object.assign(entry, nodeFacets(node));
   }
-  render() {
-    this.container.innerHTML = '';
-    const root = this.store.getRoot();
-    for (const [k, v] of Object.entries(root)) {
-      const node = this._createNode(k, v, k);
-      this.container.appendChild(node);
+  search(query, opts) {
+    if (!this.searchIndex || this._searchStale) this.buildIndex();
+    return this.searchIndex.search(query, opts);
+  }
+  // index entries matching the facets, in tree order (facet browsing without a query)
+  filterIndex(facets) {
+    if (!this.searchIndex || this._searchStale) this.buildIndex();
+    return this.index.filter(e => matchesFacets(e, facets));
+  }
+  /* Tags and category (see the section above) */
+  setMeta(path, { tags, category }) {
+    const node = this.getNode(path); if (!node) return false;
+    const list = normalizeTags(tags); if (list.length) node.tags = list; else delete node.tags;
+    const cat = String(category || '').trim(); if (cat) node.category = cat; else delete node.category;
+    this._changed('meta', path); return true;
+  }
+  // [{ tag, count }] over the whole tree, most used first
+  tagCounts() {
+    const counts = new Map();
+    for (const e of this.index.length ? this.index : this.buildIndex()) {
+      for (const tag of e.tags) { const key = tagKey(tag); const c = counts.get(key); if (c) c.count++; else counts.set(key, { tag, count: 1 }); }
     }
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'de'));
   }
-  _createNode(name, obj, path) {
-    const el = document.createElement('div');
-    el.className = 'tree-node';
-    el.setAttribute('role', 'treeitem');
-    el.tabIndex = 0;
-    el.dataset.path = path;
-    el.dataset.type = obj.type || 'item';
-    const iconSpan = document.createElement('span'); iconSpan.className = 'icon'; iconSpan.textContent = obj.icon || '📁';
-    const labelSpan = document.createElement('span'); labelSpan.className = 'label'; labelSpan.textContent = name;
-    el.appendChild(iconSpan); el.appendChild(labelSpan);
-    el.addEventListener('click', (e) => { e.stopPropagation(); this._clearSelection(); el.setAttribute('aria-selected', 'true'); this.onSelect(path, obj.type); });
-    el.addEventListener('contextmenu', (e) => { e.preventDefault(); e.stopPropagation(); const ev = new CustomEvent('tree-contextmenu', { detail: { path, type: obj.type, event: e } }); el.dispatchEvent(ev); });
-    el.addEventListener('keydown', (e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); el.click(); } });
-    if (obj.children && Object.keys(obj.children).length > 0) {
-      const childrenWrap = document.createElement('div'); childrenWrap.className = 'tree-children';
-      for (const [k, v] of Object.entries(obj.children)) {
-        const childPath = `${path}/${k}`; const childNode = this._createNode(k, v, childPath); childrenWrap.appendChild(childNode);
+  categories() { return [...new Set((this.index.length ? this.index : this.buildIndex()).map(e => e.category).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'de')); }
+  // files: the embedded block files ({ id: { name, type, size, data: base64 } }), left out of the autosave
+  export({ files } = {}) {
+    const file = { format: HANDBOOK_FORMAT, version: HANDBOOK_VERSION, exportedAt: new Date().toISOString(), data: this.data };
+    if (files && Object.keys(files).length) file.files = files;
+    return JSON.stringify(file, null, 2);
+  }
+  fileIds() { return handbookFileIds(this.data); }
+  // parse + migrate + validate without touching the tree; returns { ok, errors: [{ path, message }], from, data, files }
+  parseImport(json) {
+    let parsed;
+    try { parsed = JSON.parse(json); } catch (e) { return { ok: false, errors: [{ path: t('validate.file'), message: t('validate.notJson', { error: e.message }) }] }; }
+    if (!parsed || typeof parsed !== 'object') return { ok: false, errors: [{ path: t('validate.file'), message: t('validate.notObject') }] };
+    let migrated;
+    try { migrated = migrateHandbook(parsed); } catch (e) { return { ok: false, errors: [{ path: `${t('validate.file')} › version`, message: e.message }] }; }
+    const errors = validateHandbook(migrated.file);
+    return { ok: errors.length === 0, errors, from: migrated.from, data: migrated.file.data, files: migrated.file.files || {} };
+  }
+  // replaces the whole tree if the file is valid; returns the parseImport result
+  import(json) {
+    const result = this.parseImport(json);
+    if (result.ok) { this.data = result.data; this._changed('import', null); }
+    return result;
+  }
+
+  /* === Merge import ===
+     Nodes are matched by id. Conflicts:
+       - kind "content": same id, different content (name or any field except children/order/revisions/acknowledgements/trash)
+       - kind "name":    same name under the same parent, different id
+     Each conflict carries both nodes ("mine", "theirs") for review.
+     Everything else in the file is added. Resolutions per conflict: "mine" | "theirs" | "both". */
+  _locate(id) {
+    const walk = (entries, parent, path) => {
+      for (const [k, v] of entries) {
+        const p = path ? `${path}/${k}` : k;
+        if (v.id === id) return { node: v, parent, name: k, path: p };
+        const hit = walk(TreeStore.childEntries(v), v, p); if (hit) return hit;
+      }
+      return null;
+    };
+    return walk(Object.entries(this.data), null, '');
+  }
+  planMerge(incoming) {
+    const mine = new Map();
+    const index = (entries, path) => { for (const [k, v] of entries) { const p = path ? `${path}/${k}` : k; if (v.id && !mine.has(v.id)) mine.set(v.id, { node: v, name: k, path: p }); index(TreeStore.childEntries(v), p); } };
+    index(Object.entries(this.data), '');
+    const signature = (n) => { const { children, order, revisions, acknowledgements, trash, ...rest } = n; return JSON.stringify(rest); };
+    const plan = { additions: [], conflicts: [], acknowledgements: [] };
+    const visit = (name, node, theirsPath, myParent) => {
+      const hit = mine.get(node.id);
+      if (hit) {
+        // read confirmations are proof and never conflict: both sides are kept
+        if (node.acknowledgements?.length) plan.acknowledgements.push({ id: node.id, entries: node.acknowledgements });
+        if (hit.name !== name || signature(hit.node) !== signature(node)) plan.conflicts.push({ key: `c${plan.conflicts.length}`, kind: 'content', id: node.id, path: hit.path, theirsPath, name, mine: hit.node, theirs: node });
+        for (const [k, v] of TreeStore.childEntries(node)) visit(k, v, `${theirsPath}/${k}`, hit.node);
+        return;
+      }
+      const siblings = myParent ? myParent.children || {} : this.data;
+      const same = siblings[name];
+      if (same) plan.conflicts.push({ key: `c${plan.conflicts.length}`, kind: 'name', id: same.id, parentId: myParent ? myParent.id : null, path: theirsPath, theirsPath, name, mine: same, theirs: node });
+      else plan.additions.push({ parentId: myParent ? myParent.id : null, name, node, theirsPath });
+    };
+    for (const [k, v] of Object.entries(incoming)) visit(k, v, k, null);
+    return plan;
+  }
+  applyMerge(plan, resolutions = {}) {
+    const used = new Set();
+    const collect = (children) => { for (const v of Object.values(children || {})) { used.add(v.id); collect(v.children); } };
+    collect(this.data);
+    // ids from the file are kept unless they already exist here (then the copy gets a fresh one)
+    const adopt = (n) => {
+      const copy = JSON.parse(JSON.stringify(n));
+      const walk = (x) => {
+        const entries = TreeStore.childEntries(x);
+        if (used.has(x.id)) { let id; do { id = uid('id'); } while (used.has(id)); x.id = id; }
+        used.add(x.id); for (const [, c] of entries) walk(c);
+        if (entries.length) x.order = entries.map(([, c]) => c.id);
+      };
+      walk(copy); return copy;
+    };
+    const insert = (parent, name, node, afterId) => {
+      const siblings = parent ? (parent.children = parent.children || {}) : this.data;
+      let finalName = name; let i = 1; while (siblings[finalName]) finalName = `${name} (${i++})`;
+      siblings[finalName] = node;
+      if (parent) {
+        const ids = TreeStore.childEntries(parent).map(([, c]) => c.id).filter(id => id !== node.id);
+        const at = afterId ? ids.indexOf(afterId) : -1;
+        ids.splice(at >= 0 ? at + 1 : ids.length, 0, node.id); parent.order = ids;
+      }
+    };
+    const stats = { added: 0, replaced: 0, kept: 0, copies: 0 };
+    for (const c of plan.conflicts) {
+      const choice = resolutions[c.key] || 'mine';
+      if (choice === 'mine') { stats.kept++; continue; }
+      const loc = this._locate(c.id); if (!loc) continue;
+      const { children, order, revisions, id, acknowledgements, trash, ...fields } = c.theirs;
+      if (c.kind === 'content' && choice === 'theirs') {
+        for (const k of Object.keys(loc.node)) if (!['children', 'order', 'revisions', 'id', 'acknowledgements', 'trash'].includes(k)) delete loc.node[k];
+        Object.assign(loc.node, JSON.parse(JSON.stringify(fields)));
+        // histories are combined, so nothing from either side is lost
+        const revs = new Map([...(loc.node.revisions || []), ...(revisions || [])].map(r => [r.id, r]));
+        if (revs.size) loc.node.revisions = [...revs.values()].sort((a, b) => (a.at || '').localeCompare(b.at || ''));
+        if (loc.name !== c.name) {
+          const siblings = loc.parent ? loc.parent.children : this.data;
+          if (!siblings[c.name]) { siblings[c.name] = loc.node; delete siblings[loc.name]; }
+        }
+        stats.replaced++;
+      } else if (c.kind === 'content') {
+        insert(loc.parent, `${c.name} (importiert)`, adopt({ ...fields, id, revisions }), loc.node.id); stats.copies++;
+      } else if (choice === 'theirs') {
+        const siblings = loc.parent ? loc.parent.children : this.data;
+        delete siblings[loc.name]; used.delete(loc.node.id);
+        insert(loc.parent, loc.name, adopt(c.theirs), null);
+        stats.replaced++;
+      } else {
+        insert(loc.parent, `${c.name} (importiert)`, adopt(c.theirs), loc.node.id); stats.copies++;
       }
-      el.appendChild(childrenWrap);
     }
-    return el;
+    for (const { id, entries } of plan.acknowledgements || []) {
+      const node = this._locate(id)?.node; if (!node) continue;
+      const all = new Map([...(node.acknowledgements || []), ...entries].map(a => [`${a.userId}|${a.revisionId}|${a.at}`, a]));
+      node.acknowledgements = [...all.values()].sort((x, y) => (x.at || '').localeCompare(y.at || ''));
+    }
+    for (const a of plan.additions) {
+      const parent = a.parentId ? this._locate(a.parentId)?.node : null;
+      if (a.parentId && !parent) continue;
+      insert(parent, a.name, adopt(a.node), null); stats.added++;
+    }
+    this._changed('import', null);
+    return stats;
   }
-  _clearSelection() { this.container.querySelectorAll('[aria-selected="true"]').forEach(n => n.removeAttribute('aria-selected')); }
 }
 
-async function enterEdit(node) {
-  try {
-    const { EditorJS, tools } = await ensureEditor();
-    const editor = new EditorJS({
-      holder: 'editorjs',
-      data: node.editorData || { blocks: [] },
-      tools: {
-        header: { class: tools.header },
-        list: { class: tools.list },
-        quote: { class: tools.quote },
-        code: { class: tools.code },
-        delimiter: tools.delimiter ? { class: tools.delimiter } : undefined,
-        marker: tools.marker ? { class: tools.marker } : undefined,
-        checklist: tools.checklist ? { class: tools.checklist } : undefined
-      }
-    });
-    // speichern, zerstören etc.
-  } catch (err) {
-    console.error('Editor loading error:', err);
+/* ==========================
+   Revision helpers: plain text of blocks, block-level diff (LCS) and element-level BPMN diff
+   ========================== */
+function formatRevisionDate(rev) { return rev && rev.at ? new Date(rev.at).toLocaleString('de-DE') : 'vor Versionierung'; }
+
+function stripTags(html) { return String(html || '').replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&'); }
+
+function blockPlainText(block) {
+  const d = (block && block.data) || {};
+  const listItems = (items) => (items || []).map(it => typeof it === 'string' ? stripTags(it) : [stripTags(it.content || it.text), listItems(it.items)].filter(Boolean).join('\n')).join('\n');
+  switch (block && block.type) {
+    case 'list': return listItems(d.items);
+    case 'checklist': return (d.items || []).map(it => `${it.checked ? '[x]' : '[ ]'} ${stripTags(it.text)}`).join('\n');
+    case 'quote': return [stripTags(d.text), stripTags(d.caption)].filter(Boolean).join(' — ');
+    case 'code': return d.code || '';
+    case 'delimiter': return '***';
+    case 'table': return (d.content || []).map(row => (row || []).map(stripTags).join(' | ')).join('\n');
+    case 'warning': return [stripTags(d.title), stripTags(d.message)].filter(Boolean).join(' — ');
+    case 'image': return stripTags(d.caption) || d.file?.name || '';
+    case 'attaches': return stripTags(d.title) || d.file?.name || '';
+    default: return stripTags(d.text);
   }
 }
 
-/* UIManager (enhanced: Editor + BPMN wiring) */
-class UIManager {
-  constructor() {
-    this.store = new TreeStore(JSON.parse(JSON.stringify(defaultData)));
-    this.renderer = new TreeRenderer(document.getElementById('tree'), this.store);
-    this.currentPath = null;
-
-    // Editor instance
-    this._editorInstance = null;
-    this._editorReady = false;
+function diffBlocks(oldBlocks = [], newBlocks = []) {
+  const key = (b) => JSON.stringify({ type: b.type, data: b.data });
+  const a = oldBlocks.map(key); const b = newBlocks.map(key);
+  // classic LCS table, then walk it to produce same/removed/added operations
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) for (let j = b.length - 1; j >= 0; j--) lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+  const ops = []; let i = 0; let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) { ops.push({ op: 'same', old: oldBlocks[i++], new: newBlocks[j++] }); }
+    else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) { ops.push({ op: 'removed', old: oldBlocks[i++] }); }
+    else { ops.push({ op: 'added', new: newBlocks[j++] }); }
+  }
+  // a removal directly followed by an addition of the same block type reads better as a change
+  const out = [];
+  for (let k = 0; k < ops.length; k++) {
+    const cur = ops[k]; const next = ops[k + 1];
+    if (cur.op === 'removed' && next && next.op === 'added' && next.new.type === cur.old.type) { out.push({ op: 'changed', old: cur.old, new: next.new }); k++; }
+    else out.push(cur);
+  }
+  return out;
+}
 
-    // BPMN modeler instance
-    this._bpmnModeler = null;
+const BPMN_DI_NAMESPACES = ['http://www.omg.org/spec/BPMN/20100524/DI', 'http://www.omg.org/spec/DD/20100524/DC', 'http://www.omg.org/spec/DD/20100524/DI'];
 
-    this._bind();
-    this.renderer.onSelect = (path, type) => this.showItem(path, type);
-    this.store.buildIndex();
-    this.renderer.render();
-    this._populateQuickAccess();
+function bpmnElements(xml) {
+  const out = new Map();
+  if (!xml) return out;
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) return out;
+  for (const el of doc.getElementsByTagName('*')) {
+    const id = el.getAttribute('id');
+    if (!id || el === doc.documentElement || BPMN_DI_NAMESPACES.includes(el.namespaceURI)) continue;
+    const docEl = Array.from(el.children).find(c => c.localName === 'documentation');
+    out.set(id, { id, type: el.localName, name: el.getAttribute('name') || '', sourceRef: el.getAttribute('sourceRef') || '', targetRef: el.getAttribute('targetRef') || '', documentation: docEl ? docEl.textContent.trim() : '' });
+  }
+  return out;
+}
 
-    // tree context
-    document.getElementById('tree').addEventListener('tree-contextmenu', (e) => {
-      const { path, type, event } = e.detail; this._showContextMenu(path, type, event);
-    });
-    document.addEventListener('click', () => this._hideContextMenu());
+function diffBpmn(oldXml, newXml) {
+  const a = bpmnElements(oldXml); const b = bpmnElements(newXml); const out = [];
+  for (const [id, el] of b) {
+    const prev = a.get(id);
+    if (!prev) { out.push({ op: 'added', id, new: el }); continue; }
+    const changes = ['type', 'name', 'sourceRef', 'targetRef', 'documentation'].filter(f => prev[f] !== el[f]).map(f => ({ field: f, from: prev[f], to: el[f] }));
+    if (changes.length) out.push({ op: 'changed', id, old: prev, new: el, changes });
   }
+  for (const [id, el] of a) if (!b.has(id)) out.push({ op: 'removed', id, old: el });
+  return out;
+}
 
-  _bind() {
-    document.getElementById('btn-export').addEventListener('click', () => this._export());
-    document.getElementById('btn-import').addEventListener('click', () => this._triggerImport());
-    document.getElementById('import-file').addEventListener('change', (e) => this._handleImport(e));
-    document.getElementById('edit-btn').addEventListener('click', () => this._enterEdit());
-    document.getElementById('save-btn').addEventListener('click', () => this._saveEdit());
-    document.getElementById('cancel-btn').addEventListener('click', () => this._cancelEdit());
-    document.getElementById('search-input').addEventListener('input', (e) => this._search(e.target.value));
+/* ==========================
+   Document lifecycle
+   - node.lifecycle = { status, owner, approver, approvedAt, validFrom, reviewDue, approvedRevision } on documents and processes;
+     dates are "YYYY-MM-DD", approvedRevision is the id of the approved entry in node.revisions
+   - read mode shows the approved revision; content saved after it is a draft until it is approved again
+   ========================== */
+const LIFECYCLE_STATUSES = { draft: 'Entwurf', review: 'In Prüfung', approved: 'Freigegeben', archived: 'Archiviert' };
+const LIFECYCLE_DATES = ['approvedAt', 'validFrom', 'reviewDue'];
+const LIFECYCLE_TYPES = ['document', 'process'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
 
-    // BPMN controls
-    document.getElementById('import-bpmn').addEventListener('click', () => document.getElementById('import-bpmn-file').click());
-    document.getElementById('import-bpmn-file').addEventListener('change', (e) => this._importBpmnFile(e));
-    document.getElementById('export-bpmn').addEventListener('click', () => this._exportBpmnXml());
-    document.getElementById('new-bpmn').addEventListener('click', () => this._newBpmn());
+function hasLifecycle(node) { return !!node && LIFECYCLE_TYPES.includes(node.type); }
+function lifecycleOf(node) { return { status: 'draft', owner: '', approver: '', approvedAt: '', validFrom: '', reviewDue: '', approvedRevision: null, ...(node?.lifecycle || {}) }; }
+function lifecycleField(node) { return node.type === 'process' ? 'bpmnXml' : 'editorData'; }
+function lifecycleContent(node) { return node.type === 'process' ? node.content?.bpmnXml : node.editorData; }
+function todayIso() { const d = new Date(); return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`; }
+function formatIsoDate(iso) { return iso ? new Date(`${iso}T00:00:00`).toLocaleDateString('de-DE') : ''; }
+// archived entries are out of the review cycle
+function isReviewOverdue(node, today = todayIso()) {
+  const lc = lifecycleOf(node); return hasLifecycle(node) && lc.status !== 'archived' && !!lc.reviewDue && lc.reviewDue < today;
+}
+// <span class="status-badge status-…"> for the tree and entry lists
+function statusBadge(node) {
+  const lc = lifecycleOf(node); const badge = document.createElement('span');
+  badge.className = `status-badge status-${lc.status}`; badge.textContent = statusLabel(lc.status);
+  badge.title = t('status.title', { status: badge.textContent });
+  if (isReviewOverdue(node)) { badge.classList.add('overdue'); badge.title += ` · ${t('status.overdueSince', { date: formatUiDate(lc.reviewDue) })}`; }
+  return badge;
+}
+// one line for exports: "Freigegeben am 01.02.2025 durch X · Gültig ab … · Verantwortlich: Y"
+function lifecycleSummary(node) {
+  const lc = lifecycleOf(node); const parts = [LIFECYCLE_STATUSES[lc.status] || lc.status];
+  if (lc.approvedRevision && lc.approvedAt) parts[0] = `Freigegeben am ${formatIsoDate(lc.approvedAt)}${lc.approver ? ` durch ${lc.approver}` : ''}`;
+  if (lc.validFrom) parts.push(`Gültig ab ${formatIsoDate(lc.validFrom)}`);
+  if (lc.owner) parts.push(`Verantwortlich: ${lc.owner}`);
+  if (lc.reviewDue) parts.push(`Nächste Prüfung ${formatIsoDate(lc.reviewDue)}`);
+  return parts.join(' · ');
+}
+
+/* ==========================
+   Read acknowledgements
+   - users: root node .users = [{ id, name, units: [{ nodeId, unitId }] }], units come from the organigram nodes;
+     who works on this device is kept locally (storage key "current-user"), not in the handbook
+   - documents: mandatoryFor = [{ nodeId, unitId }] (sub-units included), acknowledgements = [{ userId, revisionId, at }]
+   - a confirmation covers the version in force (the approved revision, else the latest one) as long as no substantive
+     revision follows; revisions saved as editorial changes (minor: true) keep confirmations valid
+   ========================== */
+const unitKey = (ref) => `${ref.nodeId}:${ref.unitId}`;
+
+function csvLine(fields) { return fields.map((f) => { const s = String(f ?? ''); return /[;"\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; }).join(';'); }
+// semicolon separated with BOM, so spreadsheets with German locale open it as is
+function toCsv(header, rows) { return `\ufeff${[header, ...rows].map(csvLine).join('\r\n')}\r\n`; }
+
+/* ==========================
+   Tags and category
+   - every node may carry tags = ["Datenschutz", …] (free, as entered) and one category (free text)
+   - tags compare case- and umlaut-insensitive (tagKey), so "Mieter" and "mieter" are one tag
+   - facets filter search results and index entries: { type, status, tags } (all tags must be present)
+   ========================== */
+const FACET_TYPES = ['document', 'process', 'organigram'];
+// header element (in index.html) showing category and tags per view
+const VIEW_META = { root: 'folder-meta', folder: 'folder-meta', document: 'doc-meta', process: 'process-meta', organigram: 'org-meta' };
+
+function tagKey(tag) { return normalizeGerman(String(tag).trim()); }
+// trimmed, inner whitespace collapsed, first spelling of duplicates wins
+function normalizeTags(tags) {
+  const seen = new Set(); const out = [];
+  for (const t of tags || []) {
+    const tag = String(t).replace(/\s+/g, ' ').trim(); const key = tagKey(tag);
+    if (!tag || seen.has(key)) continue; seen.add(key); out.push(tag);
   }
+  return out;
+}
+function parseTagInput(text) { return normalizeTags(String(text || '').split(/[,;]/)); }
+function hasActiveFacets({ type = '', status = '', tags = [] } = {}) { return !!(type || status || tags.length); }
+function matchesFacets(entry, { type = '', status = '', tags = [] } = {}) {
+  if (type && entry.type !== type) return false;
+  if (status && entry.status !== status) return false;
+  const keys = new Set((entry.tags || []).map(tagKey));
+  return tags.every(t => keys.has(tagKey(t)));
+}
+// what index entries and search results carry about a node besides name and path
+function nodeFacets(node) { return { tags: node.tags || [], category: node.category || '', status: hasLifecycle(node) ? lifecycleOf(node).status : null }; }
 
-  _populateQuickAccess() {
-    const qa = document.getElementById('quick-access'); qa.innerHTML = '';
-    const roots = this.store.buildIndex().slice(0, 6);
-    for (const r of roots) {
-      const btn = document.createElement('button'); btn.className = 'btn'; btn.textContent = `${r.icon || ''} ${r.name}`;
-      btn.addEventListener('click', () => { const target = this.renderer.container.querySelector(`[data-path="${r.path}"]`); target?.click(); });
-      qa.appendChild(btn);
+/* ==========================
+   BPMN lint
+   - rules work on the BPMN XML (DOMParser), so the active modeler and stored processes are checked alike
+   - BPMN_LINT_RULES: id → { label, check(model) → [{ elementId, message }] }; register new rules there
+   - severity per rule: off | warning | error | strict; errors ask before saving or exporting, strict blocks it
+   ========================== */
+const BPMN_MODEL_NS = 'http://www.omg.org/spec/BPMN/20100524/MODEL';
+const LINT_SEVERITIES = { off: 'Aus', warning: 'Warnung', error: 'Fehler', strict: 'Fehler (blockiert Speichern)' };
+const LINT_RANK = { warning: 1, error: 2, strict: 3 };
+const BPMN_ACTIVITIES = ['task', 'userTask', 'serviceTask', 'sendTask', 'receiveTask', 'manualTask', 'businessRuleTask', 'scriptTask', 'subProcess', 'callActivity', 'transaction', 'adHocSubProcess'];
+const BPMN_EVENTS = ['startEvent', 'endEvent', 'intermediateThrowEvent', 'intermediateCatchEvent', 'boundaryEvent'];
+const isBpmnGateway = (type) => /Gateway$/.test(type);
+const isBpmnFlowNode = (type) => BPMN_ACTIVITIES.includes(type) || BPMN_EVENTS.includes(type) || isBpmnGateway(type);
+
+// { containers: [{ id, type, target, nodes }], nodes: Map, flows, incoming: Map id → n, outgoing: Map id → n } or null if unreadable
+function bpmnLintModel(xml) {
+  const doc = new DOMParser().parseFromString(xml || '', 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length || doc.documentElement.localName !== 'definitions') return null;
+  const all = Array.from(doc.getElementsByTagNameNS(BPMN_MODEL_NS, '*'));
+  // pools show process-level findings on the diagram
+  const pools = new Map(all.filter(e => e.localName === 'participant' && e.getAttribute('processRef')).map(e => [e.getAttribute('processRef'), e.getAttribute('id')]));
+  const nodes = new Map(); const flows = []; const containers = [];
+  for (const el of all) {
+    const type = el.localName; const id = el.getAttribute('id');
+    if (type === 'process' || type === 'subProcess') {
+      containers.push({ id, type, target: pools.get(id) || id, eventSubProcess: el.getAttribute('triggeredByEvent') === 'true', nodes: Array.from(el.children).filter(c => c.namespaceURI === BPMN_MODEL_NS && isBpmnFlowNode(c.localName)).map(c => c.getAttribute('id')) });
     }
+    if (type === 'sequenceFlow') flows.push({ id, sourceRef: el.getAttribute('sourceRef') || '', targetRef: el.getAttribute('targetRef') || '' });
+    else if (id && isBpmnFlowNode(type)) nodes.set(id, { id, type, name: (el.getAttribute('name') || '').trim(), eventSubProcess: el.getAttribute('triggeredByEvent') === 'true' });
   }
-
-  showItem(path, type) {
-    this.currentPath = path;
-    const node = this.store.getNode(path);
-    this._updateBreadcrumb(path);
-    this._hideAllViews();
-    if (type === 'document') this._showDocument(node, path);
-    else if (type === 'process') this._showProcess(node, path);
-    else if (type === 'organigram') this._showOrganigram(node, path);
-    else this._showWelcome();
+  const incoming = new Map(); const outgoing = new Map();
+  for (const f of flows) {
+    if (nodes.has(f.sourceRef)) outgoing.set(f.sourceRef, (outgoing.get(f.sourceRef) || 0) + 1);
+    if (nodes.has(f.targetRef)) incoming.set(f.targetRef, (incoming.get(f.targetRef) || 0) + 1);
   }
+  return { containers, nodes, flows, incoming, outgoing };
+}
 
-  _updateBreadcrumb(path) {
-    const bc = document.getElementById('breadcrumb'); bc.innerHTML = '';
-    const parts = path.split('/'); let accum = [];
-    parts.forEach((part, idx) => {
-      accum.push(part);
-      const btn = document.createElement('button'); btn.className = 'btn'; btn.textContent = part;
-      btn.addEventListener('click', () => { const p = accum.join('/'); const target = this.renderer.container.querySelector(`[data-path="${p}"]`); target?.click(); });
-      bc.appendChild(btn);
-      if (idx < parts.length - 1) { const sep = document.createElement('span'); sep.textContent = '›'; sep.style.margin = '0 6px'; sep.style.color = 'var(--muted)'; bc.appendChild(sep); }
-    });
+const BPMN_LINT_RULES = {
+  'flow-connected': {
+    label: 'Sequenzflüsse haben Quelle und Ziel', severity: 'error',
+    check: (m) => m.flows.flatMap(f => [
+      !m.nodes.has(f.sourceRef) && { elementId: f.id, message: 'Sequenzfluss ohne Quelle' },
+      !m.nodes.has(f.targetRef) && { elementId: f.id, message: 'Sequenzfluss ohne Ziel' }
+    ].filter(Boolean))
+  },
+  'node-connected': {
+    label: 'Elemente sind in den Ablauf eingebunden', severity: 'warning',
+    check: (m) => Array.from(m.nodes.values()).flatMap((n) => {
+      // event sub-processes and boundary events are entered without a sequence flow
+      if (n.eventSubProcess) return [];
+      const out = [];
+      if (!['startEvent', 'boundaryEvent'].includes(n.type) && !m.incoming.get(n.id)) out.push({ elementId: n.id, message: 'Kein eingehender Sequenzfluss' });
+      if (n.type !== 'endEvent' && !m.outgoing.get(n.id)) out.push({ elementId: n.id, message: 'Kein ausgehender Sequenzfluss' });
+      return out;
+    })
+  },
+  'label-required': {
+    label: 'Aufgaben sind benannt', severity: 'warning',
+    check: (m) => Array.from(m.nodes.values()).filter(n => BPMN_ACTIVITIES.includes(n.type) && !n.name).map(n => ({ elementId: n.id, message: 'Aufgabe ohne Namen' }))
+  },
+  'gateway-branches': {
+    label: 'Verzweigende Gateways haben mehrere Ausgänge', severity: 'warning',
+    check: (m) => Array.from(m.nodes.values()).filter(n => isBpmnGateway(n.type) && (m.incoming.get(n.id) || 0) <= 1 && (m.outgoing.get(n.id) || 0) < 2)
+      .map(n => ({ elementId: n.id, message: 'Gateway mit nur einem ausgehenden Pfad' }))
+  },
+  'start-event-required': {
+    label: 'Jeder Ablauf hat ein Startereignis', severity: 'warning',
+    check: (m) => m.containers.filter(c => c.nodes.length && !c.nodes.some(id => m.nodes.get(id)?.type === 'startEvent')).map(c => ({ elementId: c.target, message: c.type === 'process' ? 'Prozess ohne Startereignis' : 'Teilprozess ohne Startereignis' }))
+  },
+  'end-event-required': {
+    label: 'Jeder Ablauf hat ein Endereignis', severity: 'error',
+    check: (m) => m.containers.filter(c => c.nodes.length && !c.eventSubProcess && !c.nodes.some(id => m.nodes.get(id)?.type === 'endEvent')).map(c => ({ elementId: c.target, message: c.type === 'process' ? 'Prozess ohne Endereignis' : 'Teilprozess ohne Endereignis' }))
   }
+};
 
-  _hideAllViews() {
-    document.querySelectorAll('.view').forEach(v => v.classList.add('hidden'));
-    document.querySelectorAll('.view').forEach(v => v.classList.remove('active'));
-  }
+function defaultLintConfig() { return Object.fromEntries(Object.entries(BPMN_LINT_RULES).map(([id, r]) => [id, r.severity])); }
 
-  _showWelcome() {
-    const welcome = document.getElementById('welcome'); welcome.classList.remove('hidden'); welcome.classList.add('active');
+// findings [{ rule, severity, elementId, message }], most severe first
+function lintBpmn(xml, config = defaultLintConfig()) {
+  const model = bpmnLintModel(xml);
+  if (!model) return [{ rule: 'xml', severity: 'strict', elementId: null, message: 'Diagramm kann nicht gelesen werden (kein gültiges BPMN-XML)' }];
+  const out = [];
+  for (const [id, rule] of Object.entries(BPMN_LINT_RULES)) {
+    const severity = config[id] || rule.severity; if (severity === 'off') continue;
+    for (const f of rule.check(model)) out.push({ rule: id, severity, ...f });
   }
+  return out.sort((a, b) => LINT_RANK[b.severity] - LINT_RANK[a.severity]);
+}
 
-  _showDocument(node, path) {
+/* ==========================
+   SearchIndex: inverted index over node names, Editor.js block text and BPMN element names/documentation
+   - German-aware normalization (case folding, ä→ae, ö→oe, ü→ue, ß→ss), so "Kuendigung" finds "Kündigung"
+   - units are the smallest jump targets (node name, tags and category, one block, one BPMN element); postings map term → unit keys
+   - prefix matching on every query term, all terms must occur in the same unit
+   - search(query, { facets }) drops results whose node does not match the facets (see "Tags and category")
+   ========================== */
+const SEARCH_WEIGHTS = { name: 5, meta: 4, header: 3, block: 1, bpmnName: 2, bpmnDoc: 1 };
+const SEARCHABLE_BLOCKS = ['header', 'paragraph', 'list', 'checklist', 'quote', 'table', 'warning'];
+
+function normalizeGerman(s) {
+  return String(s || '').toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenize(text) {
+  const out = [];
+  for (const m of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) out.push({ word: m[0], term: normalizeGerman(m[0]), start: m.index, end: m.index + m[0].length });
+  return out;
+}
+
+class SearchIndex {
+  constructor() { this.units = new Map(); this.postings = new Map(); this.nodes = new Map(); this._seq = 0; }
+
+  clear() { this.units.clear(); this.postings.clear(); this.nodes.clear(); }
+
+  addNode(path, name, node) {
+    this.removeNode(path);
+    this.nodes.set(path, { name, type: node.type, icon: node.icon, ...nodeFacets(node), units: [] });
+    this._addUnit(path, { field: 'name', text: name, weight: SEARCH_WEIGHTS.name });
+    this._addUnit(path, { field: 'meta', text: [...(node.tags || []), node.category || ''].join(' '), weight: SEARCH_WEIGHTS.meta });
+    (node.editorData?.blocks || []).forEach((block, blockIndex) => {
+      if (!SEARCHABLE_BLOCKS.includes(block.type)) return;
+      this._addUnit(path, { field: 'block', blockIndex, text: blockPlainText(block), weight: block.type === 'header' ? SEARCH_WEIGHTS.header : SEARCH_WEIGHTS.block });
+    });
+    if (node.content?.bpmnXml) {
+      for (const el of bpmnElements(node.content.bpmnXml).values()) {
+        if (el.name) this._addUnit(path, { field: 'bpmn', elementId: el.id, text: el.name, weight: SEARCH_WEIGHTS.bpmnName });
+        if (el.documentation) this._addUnit(path, { field: 'bpmn', elementId: el.id, text: el.documentation, weight: SEARCH_WEIGHTS.bpmnDoc });
+      }
+    }
+  }
+
+  removeNode(path) {
+    const entry = this.nodes.get(path); if (!entry) return;
+    for (const key of entry.units) {
+      for (const term of new Set(this.units.get(key).terms)) {
+        const posting = this.postings.get(term); if (!posting) continue;
+        posting.delete(key); if (posting.size === 0) this.postings.delete(term);
+      }
+      this.units.delete(key);
+    }
+    this.nodes.delete(path);
+  }
+
+  _addUnit(path, unit) {
+    const terms = tokenize(unit.text).map(t => t.term); if (terms.length === 0) return;
+    const key = ++this._seq;
+    this.units.set(key, { ...unit, path, terms });
+    this.nodes.get(path).units.push(key);
+    for (const term of terms) {
+      let posting = this.postings.get(term); if (!posting) { posting = new Map(); this.postings.set(term, posting); }
+      posting.set(key, (posting.get(key) || 0) + 1);
+    }
+  }
+
+  search(query, { limit = 30, facets = null } = {}) {
+    const qTerms = [...new Set(tokenize(query).map(t => t.term))]; if (qTerms.length === 0) return [];
+    let unitScores = null;
+    for (const q of qTerms) {
+      const scores = new Map();
+      for (const [term, posting] of this.postings) {
+        if (!term.startsWith(q)) continue;
+        const exact = term === q ? 2 : 1;
+        for (const [key, tf] of posting) scores.set(key, (scores.get(key) || 0) + exact * Math.min(tf, 3) * this.units.get(key).weight);
+      }
+      if (unitScores === null) unitScores = scores;
+      else { for (const key of unitScores.keys()) { if (scores.has(key)) unitScores.set(key, unitScores.get(key) + scores.get(key)); else unitScores.delete(key); } }
+      if (unitScores.size === 0) return [];
+    }
+    const byPath = new Map();
+    for (const [key, score] of unitScores) {
+      const unit = this.units.get(key);
+      let res = byPath.get(unit.path);
+      if (!res) { const n = this.nodes.get(unit.path); res = { path: unit.path, name: n.name, type: n.type, icon: n.icon, tags: n.tags, category: n.category, status: n.status, score: 0, hits: [] }; byPath.set(unit.path, res); }
+      res.hits.push({ field: unit.field, blockIndex: unit.blockIndex, elementId: unit.elementId, score, snippet: this.snippet(unit.text, qTerms) });
+    }
+    const results = [...byPath.values()].filter(r => !facets || matchesFacets(r, facets));
+    for (const r of results) {
+      r.hits.sort((a, b) => b.score - a.score);
+      r.score = r.hits[0].score + 0.25 * r.hits.slice(1).reduce((sum, h) => sum + h.score, 0);
+    }
+    return results.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path)).slice(0, limit);
+  }
+
+  // returns escaped HTML with matching words wrapped in <mark>
+  snippet(text, qTerms, radius = 60) {
+    const tokens = tokenize(text).filter(t => qTerms.some(q => t.term.startsWith(q)));
+    if (tokens.length === 0) return escapeHtml(text.slice(0, radius * 2));
+    const from = Math.max(0, tokens[0].start - radius); const to = Math.min(text.length, tokens[0].end + radius);
+    let out = from > 0 ? '…' : ''; let pos = from;
+    for (const t of tokens) {
+      if (t.start < pos || t.end > to) continue;
+      out += escapeHtml(text.slice(pos, t.start)) + `<mark>${escapeHtml(t.word)}</mark>`; pos = t.end;
+    }
+    return out + escapeHtml(text.slice(pos, to)) + (to < text.length ? '…' : '');
+  }
+}
+
+/* ==========================
+   Read-mode rendering
+   - BLOCK_RENDERERS maps an Editor.js block type to a function (data, ctx) => HTML of exactly one element;
+     register one for every tool added to ensureEditor()
+   - inline text goes through sanitizeInline(), an allow-list of the markup Editor.js inline tools produce
+   - image and attachment blocks reference a local file by id (see FileStore); ctx.fileUrl(file) gives its
+     address where there is one (static site), otherwise the element carries data-file-id and the app
+     fills in src/href after rendering
+   ========================== */
+const INLINE_ALLOWED = { b: [], strong: [], i: [], em: [], u: [], s: [], mark: ['class'], code: ['class'], a: ['href', 'title', 'target', 'rel', 'class', 'data-node-id'], br: [] };
+const SAFE_URL = /^(https?:|mailto:|tel:)/i;
+
+function escapeHtml(s) { return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
+
+// ctx.resolveNodeLink(id) → { href, title } | null turns internal links (data-node-id) into links to the current target;
+// ctx.language picks the catalog for the few fixed texts (default: the UI language)
+function sanitizeInline(html, ctx = {}) {
+  if (!html) return '';
+  const tpl = document.createElement('template'); tpl.innerHTML = String(html);
+  const clean = (parent) => {
+    for (const node of Array.from(parent.childNodes)) {
+      if (node.nodeType === Node.TEXT_NODE) continue;
+      if (node.nodeType !== Node.ELEMENT_NODE) { node.remove(); continue; }
+      const tag = node.localName; const allowed = INLINE_ALLOWED[tag];
+      if (!allowed) {
+        // unknown elements are unwrapped (their text survives), script-like ones dropped entirely
+        if (['script', 'style', 'iframe', 'object', 'embed', 'template'].includes(tag)) { node.remove(); continue; }
+        clean(node); node.replaceWith(...node.childNodes); continue;
+      }
+      for (const attr of Array.from(node.attributes)) if (!allowed.includes(attr.name)) node.removeAttribute(attr.name);
+      if (tag === 'a') {
+        const href = (node.getAttribute('href') || '').trim();
+        // absolute URLs only with a known scheme (no javascript: etc.), relative ones (no colon) pass
+        if (!SAFE_URL.test(href) && href.includes(':')) node.removeAttribute('href');
+        if (node.getAttribute('target') === '_blank') node.setAttribute('rel', 'noopener noreferrer');
+        const nodeId = node.getAttribute('data-node-id');
+        if (nodeId && ctx.resolveNodeLink) {
+          const target = ctx.resolveNodeLink(nodeId);
+          if (target) { node.setAttribute('href', target.href); node.setAttribute('title', target.title); node.classList.add('node-link'); }
+          else { node.removeAttribute('href'); node.setAttribute('title', tIn(ctx.language, 'block.brokenLink')); node.classList.add('node-link', 'node-link-broken'); }
+        }
+      }
+      clean(node);
+    }
+  };
+  clean(tpl.content);
+  return tpl.innerHTML;
+}
+
+// where a block's file is shown from: ctx.fileUrl for local files, a plain http(s) URL for blocks from elsewhere
+function blockFileSrc(file, ctx) {
+  if (file?.id) return ctx.fileUrl ? ctx.fileUrl(file) || '' : '';
+  return /^https?:/i.test(file?.url || '') ? file.url : '';
+}
+
+function renderListItems(items, style, ctx) {
+  const tag = style === 'ordered' ? 'ol' : 'ul';
+  const li = (it) => {
+    if (typeof it === 'string') return `<li>${sanitizeInline(it, ctx)}</li>`;
+    const nested = it.items && it.items.length ? renderListItems(it.items, style, ctx) : '';
+    if (style === 'checklist') return `<li class="checklist-item"><input type="checkbox" disabled${it.meta?.checked ? ' checked' : ''} /> <span>${sanitizeInline(it.content, ctx)}</span>${nested}</li>`;
+    return `<li>${sanitizeInline(it.content, ctx)}${nested}</li>`;
+  };
+  return `<${tag}${style === 'checklist' ? ' class="list-checklist"' : ''}>${(items || []).map(li).join('')}</${tag}>`;
+}
+
+const BLOCK_RENDERERS = {
+  header: (d, ctx) => { const level = Math.min(6, Math.max(1, Number(d.level) || 2)); const id = ctx.headingId ? ` id="${escapeHtml(ctx.headingId(d))}"` : ''; return `<h${level}${id}>${sanitizeInline(d.text, ctx)}</h${level}>`; },
+  paragraph: (d, ctx) => `<p>${sanitizeInline(d.text, ctx)}</p>`,
+  list: (d, ctx) => {
+    // List 2.x: { style, meta: { start }, items: [{ content, meta, items }] }; older data: items are strings
+    const html = renderListItems(d.items, d.style, ctx);
+    const start = d.style === 'ordered' && d.meta?.start > 1 ? ` start="${Number(d.meta.start)}"` : '';
+    return start ? html.replace(/^<ol/, `<ol${start}`) : html;
+  },
+  quote: (d, ctx) => `<blockquote class="block-quote${d.alignment === 'center' ? ' align-center' : ''}"><p>${sanitizeInline(d.text, ctx)}</p>${d.caption ? `<cite>${sanitizeInline(d.caption, ctx)}</cite>` : ''}</blockquote>`,
+  code: (d) => `<pre class="block-code"><code>${escapeHtml(d.code)}</code></pre>`,
+  delimiter: () => '<hr class="block-delimiter" />',
+  checklist: (d, ctx) => `<ul class="list-checklist">${(d.items || []).map(it => `<li class="checklist-item"><input type="checkbox" disabled${it.checked ? ' checked' : ''} /> <span>${sanitizeInline(it.text, ctx)}</span></li>`).join('')}</ul>`,
+  table: (d, ctx) => {
+    const rows = Array.isArray(d.content) ? d.content : [];
+    const row = (cells, tag) => `<tr>${(cells || []).map(c => `<${tag}>${sanitizeInline(c, ctx)}</${tag}>`).join('')}</tr>`;
+    const head = d.withHeadings && rows.length ? `<thead>${row(rows[0], 'th')}</thead>` : '';
+    return `<div class="block-table${d.stretched ? ' stretched' : ''}"><table>${head}<tbody>${rows.slice(head ? 1 : 0).map(r => row(r, 'td')).join('')}</tbody></table></div>`;
+  },
+  warning: (d, ctx) => `<aside class="block-warning" role="note">${d.title ? `<strong>${sanitizeInline(d.title, ctx)}</strong>` : ''}${d.message ? `<p>${sanitizeInline(d.message, ctx)}</p>` : ''}</aside>`,
+  image: (d, ctx) => {
+    const file = d.file || {}; const src = blockFileSrc(file, ctx);
+    const cls = ['block-image', d.withBorder && 'with-border', d.withBackground && 'with-background', d.stretched && 'stretched'].filter(Boolean).join(' ');
+    const img = `<img${file.id ? ` data-file-id="${escapeHtml(file.id)}"` : ''}${src ? ` src="${escapeHtml(src)}"` : ''} alt="${escapeHtml(stripTags(d.caption) || file.name || '')}" />`;
+    return `<figure class="${cls}">${img}${d.caption ? `<figcaption>${sanitizeInline(d.caption, ctx)}</figcaption>` : ''}</figure>`;
+  },
+  attaches: (d, ctx) => {
+    const file = d.file || {}; const src = blockFileSrc(file, ctx);
+    const title = stripTags(d.title) || file.name || tIn(ctx.language, 'block.attachment');
+    const info = [file.extension && String(file.extension).toUpperCase(), file.size ? formatFileSize(file.size) : ''].filter(Boolean).join(', ');
+    const link = `<a${file.id ? ` data-file-id="${escapeHtml(file.id)}"` : ''}${src ? ` href="${escapeHtml(src)}"` : ''} download="${escapeHtml(file.name || title)}">📎 ${escapeHtml(title)}</a>`;
+    return `<div class="block-attachment">${link}${info ? ` <span class="attachment-info">(${escapeHtml(info)})</span>` : ''}</div>`;
+  }
+};
+
+function renderBlock(block, ctx = {}) {
+  const renderer = BLOCK_RENDERERS[block && block.type];
+  if (!renderer) return `<div class="block-unknown" title="${escapeHtml(tIn(ctx.language, 'block.unknownType'))}">${escapeHtml(blockPlainText(block))}</div>`;
+  try { return renderer(block.data || {}, ctx); } catch (err) { console.error('Render failed', block, err); return `<div class="block-unknown">${escapeHtml(tIn(ctx.language, 'block.renderFailed'))}</div>`; }
+}
+
+function renderBlocks(blocks, ctx = {}) { return (blocks || []).map(b => renderBlock(b, ctx)).join(''); }
+
+// stable heading anchors: "sec-" + slug of the heading text, numbered on repeats; collects { id, text, level } for the outline
+function headingAnchors() {
+  const used = new Map(); const headings = [];
+  const headingId = (d) => {
+    const text = stripTags(d.text).trim();
+    const base = `sec-${normalizeGerman(text).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'abschnitt'}`;
+    const n = (used.get(base) || 0) + 1; used.set(base, n);
+    const id = n === 1 ? base : `${base}-${n}`;
+    headings.push({ id, text, level: Math.min(6, Math.max(1, Number(d.level) || 2)) });
+    return id;
+  };
+  return { headingId, headings };
+}
+
+/* ==========================
+   Internal links
+   - inline markup: <a class="node-link" data-node-id="<target id>" href="#/node/<id>">text</a>
+   - links point at ids, so renames and moves do not break them; read mode resolves the current path
+   ========================== */
+const NODE_LINK_PATTERN = /data-node-id="([^"]+)"/g;
+
+// ids of all nodes the given node links to (inline links in documents, linked documents/organigrams in BPMN diagrams)
+function nodeLinkTargets(node) {
+  const out = new Set();
+  const scan = (v) => {
+    if (typeof v === 'string') { for (const m of v.matchAll(NODE_LINK_PATTERN)) out.add(m[1]); }
+    else if (Array.isArray(v)) v.forEach(scan);
+    else if (v && typeof v === 'object') Object.values(v).forEach(scan);
+  };
+  scan(node?.editorData?.blocks);
+  if (node?.content?.bpmnXml) for (const m of node.content.bpmnXml.matchAll(BPMN_LINK_PATTERN)) out.add(m[1]);
+  return out;
+}
+
+/* ==========================
+   BPMN links
+   - flow nodes, lanes and pools link to handbook documents and organigram positions through extension elements:
+     <extensionElements><orgbuch:links><orgbuch:document nodeId="…" /><orgbuch:position nodeId="<organigram id>" positionId="…" /></orgbuch:links></extensionElements>
+   - ORGBUCH_MODDLE is handed to bpmn-js as moddle extension, so the links survive saveXML/importXML and file export
+   ========================== */
+const ORGBUCH_MODDLE = {
+  name: 'OrgBuch', uri: 'http://wbg-zentrum.de/schema/orgbuch', prefix: 'orgbuch', xml: { tagAlias: 'lowerCase' },
+  types: [
+    { name: 'Links', superClass: ['Element'], properties: [{ name: 'documents', type: 'Document', isMany: true }, { name: 'positions', type: 'Position', isMany: true }] },
+    { name: 'Document', properties: [{ name: 'nodeId', type: 'String', isAttr: true }] },
+    { name: 'Position', properties: [{ name: 'nodeId', type: 'String', isAttr: true }, { name: 'positionId', type: 'String', isAttr: true }] }
+  ]
+};
+const BPMN_LINK_PATTERN = /<orgbuch:(?:document|position)\b[^>]*?\snodeId="([^"]+)"/g;
+
+function bpmnLinkable(bo) { return !!bo && ['bpmn:FlowNode', 'bpmn:Lane', 'bpmn:Participant'].some(t => bo.$instanceOf(t)); }
+
+// links of a bpmn-js business object: { documents: [node id], positions: [{ nodeId, positionId }] }
+function bpmnLinksOf(bo) {
+  const links = (bo?.extensionElements?.values || []).filter(v => v.$type === 'orgbuch:Links');
+  return {
+    documents: links.flatMap(l => (l.documents || []).map(d => d.nodeId)).filter(Boolean),
+    positions: links.flatMap(l => (l.positions || []).map(p => ({ nodeId: p.nodeId, positionId: p.positionId }))).filter(p => p.nodeId && p.positionId)
+  };
+}
+
+/* Editor.js inline tool: wraps the selection in a link to another handbook entry.
+   config.pick() must resolve to { id } of the chosen entry (or null). */
+class NodeLinkTool {
+  static get isInline() { return true; }
+  static get title() { return t('picker.title'); }
+  // shares the <a> tag with the built-in link tool, so both attribute sets are allowed
+  static get sanitize() { return { a: (el) => (el.dataset && el.dataset.nodeId ? { href: true, class: true, 'data-node-id': true } : { href: true, target: '_blank', rel: 'nofollow' }) }; }
+  constructor({ api, config }) { this.api = api; this.config = config || {}; this.button = null; this.state = false; }
+  render() {
+    this.button = document.createElement('button'); this.button.type = 'button'; this.button.textContent = '↪';
+    this.button.title = NodeLinkTool.title; this.button.classList.add(this.api.styles.inlineToolButton);
+    return this.button;
+  }
+  async surround(range) {
+    if (!range) return;
+    const existing = this.api.selection.findParentTag('A', 'node-link');
+    if (existing) { existing.replaceWith(...existing.childNodes); return; }
+    const saved = range.cloneRange();
+    const target = await this.config.pick?.(); if (!target) return;
+    const a = document.createElement('a'); a.className = 'node-link'; a.dataset.nodeId = target.id; a.href = `#/node/${target.id}`;
+    a.appendChild(saved.extractContents()); saved.insertNode(a);
+  }
+  checkState() {
+    this.state = !!this.api.selection.findParentTag('A', 'node-link');
+    this.button?.classList.toggle(this.api.styles.inlineToolButtonActive, this.state);
+    return this.state;
+  }
+}
+
+/* ==========================
+   ZipWriter: minimal zip archive (stored, no compression) for bundle downloads
+   ========================== */
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1; t[n] = c >>> 0; }
+  return t;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+class ZipWriter {
+  constructor() { this.files = []; }
+  add(name, content) {
+    const enc = new TextEncoder();
+    const data = typeof content === 'string' ? enc.encode(content) : content;
+    this.files.push({ name: enc.encode(name), data, crc: crc32(data) });
+  }
+  toBlob() {
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = []; const central = []; let offset = 0;
+    for (const f of this.files) {
+      // local file header; flag 0x0800 = UTF-8 file names
+      const lh = new DataView(new ArrayBuffer(30));
+      lh.setUint32(0, 0x04034b50, true); lh.setUint16(4, 20, true); lh.setUint16(6, 0x0800, true); lh.setUint16(8, 0, true);
+      lh.setUint16(10, time, true); lh.setUint16(12, date, true); lh.setUint32(14, f.crc, true);
+      lh.setUint32(18, f.data.length, true); lh.setUint32(22, f.data.length, true); lh.setUint16(26, f.name.length, true); lh.setUint16(28, 0, true);
+      parts.push(lh.buffer, f.name, f.data);
+      const ch = new DataView(new ArrayBuffer(46));
+      ch.setUint32(0, 0x02014b50, true); ch.setUint16(4, 20, true); ch.setUint16(6, 20, true); ch.setUint16(8, 0x0800, true); ch.setUint16(10, 0, true);
+      ch.setUint16(12, time, true); ch.setUint16(14, date, true); ch.setUint32(16, f.crc, true);
+      ch.setUint32(20, f.data.length, true); ch.setUint32(24, f.data.length, true); ch.setUint16(28, f.name.length, true);
+      ch.setUint32(42, offset, true);
+      central.push(ch.buffer, f.name);
+      offset += 30 + f.name.length + f.data.length;
+    }
+    const size = central.reduce((n, p) => n + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); end.setUint16(8, this.files.length, true); end.setUint16(10, this.files.length, true);
+    end.setUint32(12, size, true); end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+  }
+}
+
+// reads zip archives (stored or deflated entries); deflate needs DecompressionStream('deflate-raw')
+class ZipReader {
+  static async entries(buffer) {
+    const view = new DataView(buffer); const bytes = new Uint8Array(buffer); const dec = new TextDecoder();
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    if (eocd < 0) throw new Error('Keine gültige ZIP-Datei.');
+    const count = view.getUint16(eocd + 10, true); let p = view.getUint32(eocd + 16, true);
+    const out = [];
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(p, true) !== 0x02014b50) throw new Error('Beschädigtes ZIP-Verzeichnis.');
+      const method = view.getUint16(p + 10, true); const size = view.getUint32(p + 20, true);
+      const nameLen = view.getUint16(p + 28, true); const extraLen = view.getUint16(p + 30, true); const commentLen = view.getUint16(p + 32, true);
+      const local = view.getUint32(p + 42, true);
+      const name = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+      p += 46 + nameLen + extraLen + commentLen;
+      if (name.endsWith('/')) continue;
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const raw = bytes.subarray(start, start + size);
+      let data;
+      if (method === 0) data = raw;
+      else if (method === 8 && typeof DecompressionStream !== 'undefined') data = new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer());
+      else throw new Error(`Komprimierungsverfahren ${method} wird nicht unterstützt (${name}).`);
+      out.push({ name, data });
+    }
+    return out;
+  }
+}
+
+/* ==========================
+   Markdown conversion (documents ⇄ Markdown)
+   - covers header, paragraph, list (incl. nested and checklist style), checklist, quote, code, delimiter
+     and inline bold, italic, inline code and links; internal links become [text](#/node/<id>)
+   - anything Markdown cannot express exactly (other inline markup, unknown block types, centered quotes)
+     is kept as inline HTML or as an <!-- orgbuch:block {json} --> comment, so a round trip loses nothing
+   - a checklist block is written with "-", a list in checklist style with "*"
+   - several documents in one file are separated by <!-- orgbuch:document {"path":[...]} --> markers
+   ========================== */
+const MD_BLOCK_COMMENT = /^<!-- orgbuch:block (.*) -->$/;
+const MD_DOCUMENT_COMMENT = /^<!-- orgbuch:document (.*) -->$/;
+
+// JSON that can sit inside an HTML comment on a single line
+function mdCommentJson(value) { return JSON.stringify(value).replace(/>/g, '\\u003e').replace(/</g, '\\u003c'); }
+
+function mdEscapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;')
+    .replace(/\n/g, ' ').replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+// Editor.js inline HTML → Markdown
+function inlineToMarkdown(html) {
+  const tpl = document.createElement('template'); tpl.innerHTML = String(html || '');
+  const wrap = (inner, mark) => {
+    const m = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return m[2] ? `${m[1]}${mark}${m[2]}${mark}${m[3]}` : inner;
+  };
+  const attrs = (el) => Array.from(el.attributes).map(a => `${a.name}=${a.value}`).sort().join(' ');
+  const rawTag = (el, inner) => {
+    const shell = el.cloneNode(false).outerHTML;
+    if (!/<\/[^>]+>$/.test(shell)) return shell;
+    const open = shell.slice(0, shell.lastIndexOf('</'));
+    return `${open}${inner}</${el.localName}>`;
+  };
+  const walk = (parent) => Array.from(parent.childNodes).map((node) => {
+    if (node.nodeType === Node.TEXT_NODE) return mdEscapeText(node.data);
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    const tag = node.localName; const inner = walk(node);
+    if ((tag === 'b' || tag === 'strong') && !node.attributes.length) return wrap(inner, '**');
+    if ((tag === 'i' || tag === 'em') && !node.attributes.length) return wrap(inner, '*');
+    if (tag === 'code' && attrs(node) === 'class=inline-code' && node.children.length === 0 && node.textContent.trim()) {
+      const text = node.textContent; const run = Math.max(0, ...(text.match(/`+/g) || []).map(r => r.length)) + 1;
+      const fence = '`'.repeat(run); const pad = /^[`\s]|[`\s]$/.test(text) ? ' ' : '';
+      return `${fence}${pad}${text}${pad}${fence}`;
+    }
+    if (tag === 'a') {
+      const href = node.getAttribute('href') || ''; const dest = /[\s()<>]/.test(href) ? `<${href}>` : href;
+      const nodeId = node.getAttribute('data-node-id');
+      if (nodeId && attrs(node) === `class=node-link data-node-id=${nodeId} href=#/node/${nodeId}`) return `[${inner}](#/node/${nodeId})`;
+      if (!nodeId && href && !href.startsWith('#/node/') && attrs(node) === `href=${href} rel=nofollow target=_blank`) return `[${inner}](${dest})`;
+    }
+    return rawTag(node, inner);
+  }).join('');
+  return walk(tpl.content);
+}
+
+// Markdown inline syntax → Editor.js inline HTML (inline HTML is passed through)
+function inlineFromMarkdown(src) {
+  const s = String(src || ''); let out = ''; let i = 0;
+  const isSpace = (c) => c === undefined || /\s/.test(c);
+  // position of the closing delimiter run for an emphasis that opened at `from`
+  const findClose = (from, ch, n) => {
+    for (let j = from; j < s.length; j++) {
+      const c = s[j];
+      if (c === '\\') { j++; continue; }
+      if (c === '`') { let r = 1; while (s[j + r] === '`') r++; const end = s.indexOf('`'.repeat(r), j + r); if (end > 0) j = end + r - 1; continue; }
+      if (c !== ch) continue;
+      let run = 1; while (s[j + run] === ch) run++;
+      if (run >= n && !isSpace(s[j - 1]) && !(n === 1 && run === 2)) return j + run - n;
+      j += run - 1;
+    }
+    return -1;
+  };
+  while (i < s.length) {
+    const c = s[i];
+    if (c === '\\' && /[!-\/:-@[-`{-~]/.test(s[i + 1] || '')) { out += escapeHtml(s[i + 1]).replace(/&quot;/, '"'); i += 2; continue; }
+    if (c === '`') {
+      let r = 1; while (s[i + r] === '`') r++;
+      const end = s.indexOf('`'.repeat(r), i + r);
+      if (end > 0 && s[end + r] !== '`') {
+        let code = s.slice(i + r, end);
+        if (code.length > 1 && code.startsWith(' ') && code.endsWith(' ') && code.trim()) code = code.slice(1, -1);
+        out += `<code class="inline-code">${escapeHtml(code).replace(/&quot;/g, '"')}</code>`; i = end + r; continue;
+      }
+      out += '`'.repeat(r); i += r; continue;
+    }
+    if ((c === '*' || c === '_') && !isSpace(s[i + 1]) && !(c === '_' && /[A-Za-z0-9]/.test(s[i - 1] || ''))) {
+      const n = s[i + 1] === c ? 2 : 1;
+      const close = findClose(i + n, c, n);
+      if (close > i + n) {
+        const inner = inlineFromMarkdown(s.slice(i + n, close));
+        out += n === 2 ? `<b>${inner}</b>` : `<i>${inner}</i>`; i = close + n; continue;
+      }
+    }
+    if (c === '[') {
+      const link = mdParseLink(s, i);
+      if (link) {
+        const text = inlineFromMarkdown(link.text); const node = link.href.match(/^#\/node\/(.+)$/);
+        if (node) out += `<a class="node-link" data-node-id="${escapeHtml(node[1])}" href="#/node/${escapeHtml(node[1])}">${text}</a>`;
+        else out += `<a href="${escapeHtml(link.href)}"${link.title ? ` title="${escapeHtml(link.title)}"` : ''} target="_blank" rel="nofollow">${text}</a>`;
+        i = link.end; continue;
+      }
+    }
+    if (c === '<') {
+      const auto = s.slice(i).match(/^<((?:https?:|mailto:)[^\s<>]+)>/i);
+      if (auto) { out += `<a href="${escapeHtml(auto[1])}" target="_blank" rel="nofollow">${escapeHtml(auto[1])}</a>`; i += auto[0].length; continue; }
+      const tag = s.slice(i).match(/^<\/?[A-Za-z][A-Za-z0-9-]*(?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/);
+      if (tag) { out += tag[0]; i += tag[0].length; continue; }
+      out += '&lt;'; i++; continue;
+    }
+    if (c === '&') {
+      const ent = s.slice(i).match(/^&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/i);
+      if (ent) { out += ent[0]; i += ent[0].length; continue; }
+      out += '&amp;'; i++; continue;
+    }
+    out += c === '>' ? '&gt;' : c; i++;
+  }
+  return out;
+}
+
+// [text](destination "title") starting at s[at] === '[' → { text, href, title, end } | null
+function mdParseLink(s, at) {
+  let depth = 0; let j = at;
+  for (; j < s.length; j++) {
+    if (s[j] === '\\') { j++; continue; }
+    if (s[j] === '[') depth++;
+    else if (s[j] === ']' && --depth === 0) break;
+  }
+  if (j >= s.length || s[j + 1] !== '(') return null;
+  const rest = s.slice(j + 2).match(/^\s*(?:<([^<>\n]*)>|((?:[^\s()\\]|\\.|\([^\s()]*\))*))(?:\s+"((?:[^"\\]|\\.)*)")?\s*\)/);
+  if (!rest) return null;
+  const unescape = (v) => (v || '').replace(/\\([!-\/:-@[-`{-~])/g, '$1');
+  return { text: s.slice(at + 1, j), href: unescape(rest[1] ?? rest[2]), title: unescape(rest[3]), end: j + 2 + rest[0].length };
+}
+
+function mdListLines(items, style, marker, indent = '') {
+  const lines = [];
+  (items || []).forEach((it, idx) => {
+    const item = typeof it === 'string' ? { content: it, items: [] } : it;
+    const bullet = style === 'ordered' ? `${marker + idx}.` : marker;
+    const check = style === 'checklist' ? (item.meta?.checked ? '[x] ' : '[ ] ') : '';
+    lines.push(`${indent}${bullet} ${check}${inlineToMarkdown(item.content)}`);
+    if (item.items?.length) lines.push(...mdListLines(item.items, style, style === 'ordered' ? 1 : marker, indent + ' '.repeat(bullet.length + 1)));
+  });
+  return lines;
+}
+
+// one block → Markdown, or null when Markdown cannot represent it exactly
+const MD_BLOCK_WRITERS = {
+  header: (d) => {
+    const level = Number(d.level) || 2; if (level < 1 || level > 6) return null;
+    return `${'#'.repeat(level)} ${inlineToMarkdown(d.text).replace(/#(\s*)$/, '\\#$1')}`;
+  },
+  paragraph: (d) => {
+    const text = inlineToMarkdown(d.text).trim(); if (!text) return '';
+    // escape what would otherwise start a heading, list, quote, fence or rule
+    return text.replace(/^(#|[-+](?=\s|$)|-{3,}|={3,}|~~~)/, '\\$1').replace(/^(\d+)([.)])(?=\s)/, '$1\\$2');
+  },
+  list: (d) => {
+    const style = d.style === 'ordered' || d.style === 'checklist' ? d.style : 'unordered';
+    if (style === 'ordered' && d.meta?.counterType && d.meta.counterType !== 'numeric') return null;
+    const marker = style === 'ordered' ? Math.max(0, Number(d.meta?.start) || 1) : style === 'checklist' ? '*' : '-';
+    return mdListLines(d.items, style, marker).join('\n');
+  },
+  checklist: (d) => (d.items || []).map(it => `- ${it.checked ? '[x]' : '[ ]'} ${inlineToMarkdown(it.text)}`).join('\n'),
+  quote: (d) => {
+    if (d.alignment && d.alignment !== 'left') return null;
+    const lines = [`> ${inlineToMarkdown(d.text)}`];
+    if (d.caption) lines.push('>', `> — ${inlineToMarkdown(d.caption)}`);
+    return lines.join('\n');
+  },
+  code: (d) => {
+    const code = String(d.code || ''); const run = Math.max(2, ...(code.match(/`+/g) || []).map(r => r.length)) + 1;
+    return `${'`'.repeat(run)}\n${code}\n${'`'.repeat(run)}`;
+  },
+  delimiter: () => '---'
+};
+
+function blocksToMarkdown(blocks) {
+  const parts = []; let prev = null;
+  for (const block of blocks || []) {
+    const writer = MD_BLOCK_WRITERS[block.type];
+    let md = writer ? writer(block.data || {}) : null;
+    if (md === '') continue;
+    if (md === null) md = `<!-- orgbuch:block ${mdCommentJson({ type: block.type, data: block.data || {} })} -->`;
+    // two adjacent lists would be read back as one
+    if (prev && ['list', 'checklist'].includes(prev) && ['list', 'checklist'].includes(block.type)) parts.push('<!-- -->');
+    parts.push(md); prev = block.type;
+  }
+  return parts.length ? `${parts.join('\n\n')}\n` : '';
+}
+
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const MD_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const MD_FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const MD_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+
+// joins soft-wrapped lines; two trailing spaces or a backslash make a hard break
+function mdJoinLines(lines) {
+  return lines.map((l, i) => {
+    const last = i === lines.length - 1; const line = l.trim();
+    if (!last && /\\$/.test(line)) return `${line.slice(0, -1)}<br>`;
+    if (!last && / {2,}$/.test(l)) return `${line}<br>`;
+    return last ? line : `${line} `;
+  }).join('').replace(/<br> /g, '<br>');
+}
+
+function mdParseList(lines, i) {
+  const first = lines[i].match(MD_LIST_ITEM); const baseIndent = first[1].length;
+  const kindOf = (m) => (/\d/.test(m[2]) ? 'ordered' : m[2]);
+  const kind = kindOf(first); const flat = [];
+  while (i < lines.length) {
+    const line = lines[i]; const m = line.match(MD_LIST_ITEM);
+    if (!line.trim()) {
+      let k = i + 1; while (k < lines.length && !lines[k].trim()) k++;
+      const next = lines[k] && lines[k].match(MD_LIST_ITEM);
+      if (next && (next[1].length > baseIndent || kindOf(next) === kind)) { i = k; continue; }
+      break;
+    }
+    if (m && !MD_RULE.test(line) && (m[1].length > baseIndent || kindOf(m) === kind) && m[1].length >= baseIndent) {
+      flat.push({ indent: m[1].length, marker: m[2], text: [m[3] || ''] }); i++; continue;
+    }
+    if (flat.length && /^\s+\S/.test(line) && !m) { flat[flat.length - 1].text.push(line); i++; continue; }
+    break;
+  }
+  const checkOf = (t) => t.match(/^\[([ xX])\][ \t]+/);
+  const topLevel = flat.filter(f => f.indent === baseIndent);
+  const checklist = topLevel.every(f => checkOf(f.text[0]));
+  const style = kind === 'ordered' ? 'ordered' : checklist ? 'checklist' : 'unordered';
+  const root = { items: [] }; const stack = [{ indent: -1, node: root }];
+  for (const f of flat) {
+    while (stack.length > 1 && stack[stack.length - 1].indent >= f.indent) stack.pop();
+    const check = style === 'checklist' && checkOf(f.text[0]);
+    const text = [check ? f.text[0].slice(check[0].length) : f.text[0], ...f.text.slice(1)];
+    const item = { content: inlineFromMarkdown(mdJoinLines(text)), meta: style === 'checklist' ? { checked: !!check && check[1] !== ' ' } : {}, items: [] };
+    stack[stack.length - 1].node.items.push(item); stack.push({ indent: f.indent, node: item });
+  }
+  const nested = root.items.some(it => it.items.length);
+  let block;
+  if (style === 'checklist' && kind === '-' && !nested) block = { type: 'checklist', data: { items: root.items.map(it => ({ text: it.content, checked: it.meta.checked })) } };
+  else {
+    const meta = {}; const start = parseInt(first[2], 10);
+    if (style === 'ordered' && start !== 1) meta.start = start;
+    block = { type: 'list', data: { style, meta, items: root.items } };
+  }
+  return { block, next: i };
+}
+
+function markdownToBlocks(md) {
+  const lines = String(md || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = []; let i = 0;
+  const startsBlock = (line) => MD_HEADING.test(line) || MD_FENCE.test(line) || /^ {0,3}>/.test(line) || MD_RULE.test(line) || /^ {0,3}([-*+]|1[.)])[ \t]+\S/.test(line) || /^<!--.*-->\s*$/.test(line);
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+    const comment = line.trim().match(/^<!--(.*)-->$/);
+    if (comment) {
+      const raw = line.trim().match(MD_BLOCK_COMMENT);
+      if (raw) { try { const b = JSON.parse(raw[1]); if (b && typeof b.type === 'string') blocks.push({ type: b.type, data: b.data || {} }); } catch (err) { console.warn('Ignoring malformed block comment', err); } }
+      i++; continue;
+    }
+    const fence = line.match(MD_FENCE);
+    if (fence) {
+      const close = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+      const body = []; i++;
+      while (i < lines.length && !close.test(lines[i])) body.push(lines[i++]);
+      i++; blocks.push({ type: 'code', data: { code: body.join('\n') } }); continue;
+    }
+    const heading = line.match(MD_HEADING);
+    if (heading) { blocks.push({ type: 'header', data: { text: inlineFromMarkdown((heading[2] || '').trim()), level: heading[1].length } }); i++; continue; }
+    if (MD_RULE.test(line)) { blocks.push({ type: 'delimiter', data: {} }); i++; continue; }
+    if (/^ {0,3}>/.test(line)) {
+      const body = [];
+      while (i < lines.length && /^ {0,3}>/.test(lines[i])) body.push(lines[i++].replace(/^ {0,3}> ?/, ''));
+      let caption = '';
+      const last = body[body.length - 1];
+      if (body.length > 1 && /^(—|--)\s+/.test(last)) { caption = inlineFromMarkdown(last.replace(/^(—|--)\s+/, '').trim()); body.pop(); }
+      while (body.length && !body[body.length - 1].trim()) body.pop();
+      blocks.push({ type: 'quote', data: { text: inlineFromMarkdown(mdJoinLines(body.filter(l => l.trim()))), caption, alignment: 'left' } }); continue;
+    }
+    if (MD_LIST_ITEM.test(line) && (line.match(MD_LIST_ITEM)[3] || '').trim()) { const { block, next } = mdParseList(lines, i); blocks.push(block); i = next; continue; }
+    const para = [line]; i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i]) && !/^ {0,3}=+\s*$/.test(lines[i])) para.push(lines[i++]);
+    // setext heading: paragraph underlined with === or ---
+    if (i < lines.length && /^ {0,3}(=+|-+)\s*$/.test(lines[i]) && lines[i].trim()) {
+      blocks.push({ type: 'header', data: { text: inlineFromMarkdown(mdJoinLines(para)), level: lines[i].trim()[0] === '=' ? 1 : 2 } }); i++; continue;
+    }
+    blocks.push({ type: 'paragraph', data: { text: inlineFromMarkdown(mdJoinLines(para)) } });
+  }
+  return blocks;
+}
+
+// splits a file with <!-- orgbuch:document --> markers into [{ path: [...names], markdown }]; no markers → one unnamed part
+function splitMarkdownDocuments(md) {
+  const parts = []; let current = { path: null, lines: [] };
+  for (const line of String(md || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const m = line.trim().match(MD_DOCUMENT_COMMENT);
+    let path = null;
+    if (m) { try { path = JSON.parse(m[1]).path; } catch (err) { path = null; } }
+    if (Array.isArray(path) && path.length) {
+      if (current.path || current.lines.some(l => l.trim())) parts.push(current);
+      current = { path: path.map(String), lines: [] }; continue;
+    }
+    current.lines.push(line);
+  }
+  if (current.path || current.lines.some(l => l.trim())) parts.push(current);
+  return parts.map(p => ({ path: p.path, markdown: p.lines.join('\n') }));
+}
+
+// file name for a node name: no path separators or characters Windows rejects
+function mdFileName(name) { return String(name).replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').replace(/^\.+/, '_').trim() || 'unbenannt'; }
+
+
+/* ==========================
+   StaticSiteBuilder: read-only HTML export of the whole handbook
+   - one page per node (<id>.html) with navigation tree, breadcrumbs and a table of contents
+   - documents use the same block renderers as the read mode, processes/organigrams are embedded as SVG
+   - documents and processes are published in their approved version (if any) with a lifecycle line
+   - print.html contains everything on one page, every top-level chapter starts on a new page
+   - options.renderBpmnSvg(xml) → Promise<svg string> (bpmn-js saveSVG), may be missing or fail
+   - options.loadFile(id) → Promise<{ name, type, data: Blob }> (FileStore.get); images and attachments of the
+     published versions are bundled under dateien/
+   ========================== */
+const SITE_CSS = `*{box-sizing:border-box}
+body{margin:0;font-family:Inter,system-ui,-apple-system,"Segoe UI",Roboto,Arial,sans-serif;color:#12343b;background:#fbfaf8;line-height:1.5}
+a{color:#21808d}
+.site-header{display:flex;gap:16px;align-items:center;padding:12px 20px;background:#fff;border-bottom:1px solid rgba(0,0,0,0.08)}
+.site-header .brand{font-weight:600;text-decoration:none;color:inherit}
+.site-header .meta{color:#66797b;font-size:13px;flex:1}
+.site-layout{display:grid;grid-template-columns:280px 1fr;gap:24px;padding:20px}
+.site-nav ul{list-style:none;margin:0;padding-left:14px}
+.site-nav>ul{padding-left:0}
+.site-nav li{margin:3px 0;font-size:14px}
+.site-nav a{text-decoration:none;color:inherit}
+.site-nav a[aria-current]{font-weight:600;color:#21808d}
+main{background:#fff;border:1px solid rgba(0,0,0,0.06);border-radius:8px;padding:20px 28px;min-width:0}
+.crumbs{font-size:13px;color:#66797b;margin-bottom:8px}
+.lifecycle{font-size:13px;color:#66797b;margin:-4px 0 12px}
+.toc{border:1px solid rgba(0,0,0,0.08);border-radius:8px;padding:8px 16px;margin:12px 0;font-size:14px}
+.toc ul{margin:4px 0;padding-left:18px}
+.diagram svg{max-width:100%;height:auto}
+blockquote{margin:12px 0;padding:8px 16px;border-left:3px solid #21808d}
+blockquote cite{display:block;color:#66797b;font-size:13px}
+pre{background:#f4f6f6;border-radius:6px;padding:10px;overflow:auto}
+.list-checklist{list-style:none;padding-left:4px}
+.block-delimiter{border:0;text-align:center}
+.block-delimiter::before{content:"***";letter-spacing:8px;color:#66797b}
+.block-table{overflow-x:auto;margin:12px 0}
+.block-table table{border-collapse:collapse}
+.block-table th,.block-table td{border:1px solid rgba(0,0,0,0.15);padding:6px 10px;text-align:left;vertical-align:top}
+.block-table th{background:#f4f6f6}
+.block-warning{margin:12px 0;padding:10px 14px;border-left:4px solid #9a6700;background:rgba(154,103,0,0.07)}
+.block-warning strong{display:block}
+.block-warning p{margin:4px 0 0}
+.block-image{margin:12px 0;text-align:center}
+.block-image img{max-width:100%;height:auto}
+.block-image.with-border img{border:1px solid rgba(0,0,0,0.15)}
+.block-image figcaption{color:#66797b;font-size:13px}
+.block-attachment{margin:8px 0}
+.attachment-info{color:#66797b;font-size:13px}
+mark{background:rgba(245,235,111,0.6)}
+.node-link-broken{color:#b42318;text-decoration:line-through}
+.backlinks{margin-top:24px;font-size:13px;color:#66797b}
+.print-node{margin-bottom:24px}
+.chapter{page-break-before:always;break-before:page}
+@media print{
+  .site-header,.site-nav,.no-print{display:none}
+  .site-layout{display:block;padding:0}
+  main{border:0;padding:0}
+  body{background:#fff}
+  a{color:inherit;text-decoration:none}
+  .diagram,.block-image,.block-table{page-break-inside:avoid;break-inside:avoid}
+}`;
+
+class StaticSiteBuilder {
+  constructor(store, options = {}) {
+    this.store = store; this.options = options;
+    this.title = Object.keys(store.getRoot())[0] || 'Handbuch';
+    this.stamp = new Date().toLocaleDateString('de-DE');
+  }
+
+  static fileFor(node) { return `${String(node.id).replace(/[^A-Za-z0-9_-]/g, '_')}.html`; }
+
+  // flat list of all nodes in tree order: { name, path, node, depth, parents: [entries] }
+  _entries() {
+    const out = [];
+    const walk = (pairs, path, depth, parents) => {
+      for (const [k, v] of pairs) {
+        const p = path ? `${path}/${k}` : k;
+        const entry = { name: k, path: p, node: v, depth, parents };
+        out.push(entry);
+        walk(TreeStore.childEntries(v), p, depth + 1, [...parents, entry]);
+      }
+    };
+    walk(Object.entries(this.store.getRoot()), '', 0, []);
+    return out;
+  }
+
+  async build() {
+    const zip = new ZipWriter(); const entries = this._entries();
+    this._byId = new Map(entries.map(e => [e.node.id, e]));
+    this._svgs = new Map();
+    for (const e of entries) this._svgs.set(e.node.id, await this._diagramFor(e.node));
+    this._backlinks = this._publishedBacklinks(entries);
+    this._files = await this._bundleFiles(zip, entries);
+    for (const e of entries) zip.add(`handbuch/${StaticSiteBuilder.fileFor(e.node)}`, this._page(e, entries));
+    zip.add('handbuch/index.html', this._indexPage(entries));
+    zip.add('handbuch/print.html', this._printPage(entries));
+    zip.add('handbuch/site.css', SITE_CSS);
+    return zip;
+  }
+
+  // id → relative path of every file the published documents reference
+  async _bundleFiles(zip, entries) {
+    const paths = new Map();
+    for (const e of entries) {
+      if (e.node.type !== 'document') continue;
+      for (const b of this._published(e.node)?.blocks || []) {
+        const ref = blockFileRef(b); if (!ref || paths.has(ref.id)) continue;
+        let record = null;
+        try { record = await this.options.loadFile?.(ref.id); } catch (err) { console.error('File unavailable for export', ref.id, err); }
+        if (!record) continue;
+        const path = `dateien/${ref.id}-${String(record.name).replace(/[^A-Za-z0-9._-]/g, '_')}`;
+        zip.add(`handbuch/${path}`, new Uint8Array(await record.data.arrayBuffer())); paths.set(ref.id, path);
+      }
+    }
+    return paths;
+  }
+
+  _published(node) { return this.store.approvedRevision(node)?.editorData ?? node.editorData; }
+  _publishedXml(node) { return this.store.approvedRevision(node)?.bpmnXml ?? node.content?.bpmnXml; }
+
+  // id → entries whose published content links to it; drafts must not announce links the site does not show
+  _publishedBacklinks(entries) {
+    const index = new Map();
+    for (const e of entries) {
+      const published = { editorData: this._published(e.node), content: { bpmnXml: this._publishedXml(e.node) } };
+      for (const target of nodeLinkTargets(published)) {
+        if (target === e.node.id) continue;
+        if (!index.has(target)) index.set(target, []);
+        index.get(target).push(e);
+      }
+    }
+    return index;
+  }
+
+  async _diagramFor(node) {
+    if (node.type === 'organigram' && node.orgData?.positions?.length) {
+      const chart = new OrgChart(document.createElement('div')); chart.data = node.orgData;
+      return chart.toSvgString().replace(/^<\?xml[^>]*>\s*/, '');
+    }
+    if (node.type !== 'process') return null;
+    // the published diagram is the approved one, if there is any
+    const xml = this._publishedXml(node);
+    if (!xml) return '<p><em>Kein Diagramm hinterlegt.</em></p>';
+    try {
+      if (!this.options.renderBpmnSvg) throw new Error('no renderer');
+      return (await this.options.renderBpmnSvg(xml)).replace(/^<\?xml[^>]*>\s*/, '');
+    } catch (err) {
+      console.error('SVG export failed', err); return '<p><em>Diagramm konnte nicht exportiert werden.</em></p>';
+    }
+  }
+
+  _ctx(linkFor, headingPrefix = '') {
+    const anchors = headingAnchors();
+    return {
+      anchors,
+      ctx: {
+        headingId: (d) => headingPrefix + anchors.headingId(d),
+        language: SOURCE_LANGUAGE,
+        resolveNodeLink: (id) => { const e = this._byId.get(id); return e ? { href: linkFor(e), title: e.path } : null; },
+        fileUrl: (file) => this._files.get(file.id)
+      }
+    };
+  }
+
+  _body(e, linkFor, headingPrefix) {
+    const n = e.node; let html = ''; let headings = [];
+    if (hasLifecycle(n)) html += `<p class="lifecycle">${escapeHtml(lifecycleSummary(n))}</p>`;
+    if (n.type === 'document') {
+      const { anchors, ctx } = this._ctx(linkFor, headingPrefix);
+      const data = this._published(n);
+      html += data?.blocks?.length ? renderBlocks(data.blocks, ctx) : '<p><em>Kein Inhalt verfügbar.</em></p>';
+      headings = anchors.headings.map(h => ({ ...h, id: headingPrefix + h.id }));
+    } else if (n.type === 'process' || n.type === 'organigram') {
+      html += `<figure class="diagram">${this._svgs.get(n.id) || '<p><em>Keine Daten.</em></p>'}</figure>`;
+    }
+    const kids = TreeStore.childEntries(n);
+    if (kids.length) html += `<ul class="children">${kids.map(([k, c]) => { const ce = this._byId.get(c.id); return `<li>${escapeHtml(c.icon || '')} <a href="${ce ? linkFor(ce) : '#'}">${escapeHtml(k)}</a></li>`; }).join('')}</ul>`;
+    return { html, headings };
+  }
+
+  _toc(headings) {
+    if (headings.length < 2) return '';
+    return `<nav class="toc" aria-label="Inhalt"><strong>Inhalt</strong><ul>${headings.map(h => `<li style="margin-left:${(h.level - 1) * 12}px"><a href="#${escapeHtml(h.id)}">${escapeHtml(h.text)}</a></li>`).join('')}</ul></nav>`;
+  }
+
+  _nav(entries, currentId) {
+    const build = (parentDepth, list) => {
+      let html = '<ul>';
+      for (let i = 0; i < list.length; i++) {
+        const e = list[i]; if (e.depth !== parentDepth) continue;
+        const kids = []; for (let j = i + 1; j < list.length && list[j].depth > e.depth; j++) kids.push(list[j]);
+        html += `<li><a href="${StaticSiteBuilder.fileFor(e.node)}"${e.node.id === currentId ? ' aria-current="page"' : ''}>${escapeHtml(e.node.icon || '')} ${escapeHtml(e.name)}</a>${kids.length ? build(e.depth + 1, kids) : ''}</li>`;
+      }
+      return `${html}</ul>`;
+    };
+    return build(0, entries);
+  }
+
+  _layout(title, nav, main) {
+    return `<!doctype html>
+<html lang="de">
+<head><meta charset="utf-8" /><meta name="viewport" content="width=device-width, initial-scale=1" /><title>${escapeHtml(title)} — ${escapeHtml(this.title)}</title><link rel="stylesheet" href="site.css" /></head>
+<body>
+<header class="site-header"><a class="brand" href="index.html">🏢 ${escapeHtml(this.title)}</a><span class="meta">Organisationshandbuch · Stand ${escapeHtml(this.stamp)}</span><a href="print.html">Druckversion</a></header>
+<div class="site-layout"><nav class="site-nav" aria-label="Navigation">${nav}</nav><main>${main}</main></div>
+</body>
+</html>`;
+  }
+
+  _page(e, entries) {
+    const link = (x) => StaticSiteBuilder.fileFor(x.node);
+    const crumbs = [...e.parents, e].map(x => x === e ? escapeHtml(x.name) : `<a href="${link(x)}">${escapeHtml(x.name)}</a>`).join(' › ');
+    const { html, headings } = this._body(e, link, '');
+    const backlinks = this._backlinks.get(e.node.id) || [];
+    const back = backlinks.length ? `<aside class="backlinks"><strong>Verweise hierher:</strong> ${backlinks.map(b => `<a href="${link(b)}">${escapeHtml(b.path)}</a>`).join(', ')}</aside>` : '';
+    return this._layout(e.name, this._nav(entries, e.node.id), `<nav class="crumbs" aria-label="Breadcrumb">${crumbs}</nav><h1>${escapeHtml(e.node.icon || '')} ${escapeHtml(e.name)}</h1>${this._toc(headings)}${html}${back}`);
+  }
+
+  _indexPage(entries) {
+    const toc = entries.map(e => `<li style="margin-left:${e.depth * 16}px">${escapeHtml(e.node.icon || '')} <a href="${StaticSiteBuilder.fileFor(e.node)}">${escapeHtml(e.name)}</a></li>`).join('');
+    return this._layout('Inhaltsverzeichnis', this._nav(entries, null), `<h1>Inhaltsverzeichnis</h1><p>Schreibgeschützte Fassung, erstellt am ${escapeHtml(this.stamp)}. <a href="print.html">Gesamtes Handbuch drucken</a></p><ul class="toc-list" style="list-style:none;padding:0">${toc}</ul>`);
+  }
+
+  _printPage(entries) {
+    const anchor = (x) => `#n-${StaticSiteBuilder.fileFor(x.node).replace(/\.html$/, '')}`;
+    const toc = entries.map(e => `<li style="margin-left:${e.depth * 16}px"><a href="${anchor(e)}">${escapeHtml(e.name)}</a></li>`).join('');
+    const sections = entries.map(e => {
+      const prefix = `${anchor(e).slice(1)}-`;
+      const { html } = this._body(e, anchor, prefix);
+      const level = Math.min(6, e.depth + 1);
+      return `<section id="${anchor(e).slice(1)}" class="print-node${e.depth === 1 ? ' chapter' : ''}"><h${level}>${escapeHtml(e.node.icon || '')} ${escapeHtml(e.name)}</h${level}><p class="crumbs">${escapeHtml(e.path)}</p>${html}</section>`;
+    }).join('\n');
+    return `<!doctype html>
+<html lang="de">
+<head><meta charset="utf-8" /><title>${escapeHtml(this.title)} — Druckfassung</title><link rel="stylesheet" href="site.css" /></head>
+<body><main>
+<p class="no-print"><a href="index.html">← zur Website</a> · <button onclick="window.print()">Drucken / als PDF speichern</button></p>
+<h1>${escapeHtml(this.title)} — Organisationshandbuch</h1><p>Stand ${escapeHtml(this.stamp)}</p>
+<nav class="toc" aria-label="Inhalt"><strong>Inhalt</strong><ul style="list-style:none;padding:0">${toc}</ul></nav>
+${sections}
+</main></body>
+</html>`;
+  }
+}
+
+/* TreeRenderer
+   - WAI-ARIA tree: flat list of treeitems with aria-level / aria-setsize / aria-posinset, aria-expanded on folders
+     with children; roving tabindex (only the active row is tabbable); arrows, Home/End, * and type-ahead
+   - only rows inside expanded folders exist in the DOM; render() reuses the rows whose content did not change,
+     so re-rendering after a mutation touches just the affected rows
+   - expanded: Set of node ids (null = only the top level is open); onToggle(ids) lets the app persist it
+   - events are delegated to the container, rows carry nothing but data-path */
+class TreeRenderer {
+  constructor(container, store) {
+    this.container = container; this.store = store; this.onSelect = () => {}; this.onMove = () => {}; this.onToggle = () => {};
+    this.expanded = null; this.selectedPath = null;
+    this._rows = new Map(); this._activePath = null; this._dragPath = null; this._typeahead = { text: '', at: 0 };
+    this._bindEvents();
+  }
+  _isExpanded(node, level) { return this.expanded ? this.expanded.has(node.id) : level === 1; }
+  // the rows that are currently reachable: { path, name, node, level, pos, size }
+  _visibleRows() {
+    const out = [];
+    const walk = (entries, parentPath, level) => {
+      entries.forEach(([name, node], i) => {
+        const path = parentPath ? `${parentPath}/${name}` : name;
+        out.push({ path, name, node, level, pos: i + 1, size: entries.length });
+        if (this._isExpanded(node, level)) walk(TreeStore.childEntries(node), path, level + 1);
+      });
+    };
+    walk(Object.entries(this.store.getRoot()), '', 1);
+    return out;
+  }
+  render() {
+    const rows = this._visibleRows(); const next = new Map();
+    // a replaced row must not take the keyboard focus with it
+    const hadFocus = !!this._rowOf(document.activeElement);
+    // anything else in the container (search results) is dropped
+    const own = new Set([...this._rows.values()].map(r => r.el));
+    for (let child = this.container.firstChild, after; child; child = after) { after = child.nextSibling; if (!own.has(child)) child.remove(); }
+    let cursor = this.container.firstChild;
+    for (const r of rows) {
+      const sig = this._signature(r); const old = this._rows.get(r.path);
+      const el = old && old.sig === sig ? old.el : this._createRow(r);
+      next.set(r.path, { el, sig, node: r.node });
+      if (el === cursor) cursor = cursor.nextSibling; else this.container.insertBefore(el, cursor);
+    }
+    for (const [path, row] of this._rows) if (next.get(path)?.el !== row.el) row.el.remove();
+    this._rows = next;
+    if (!this._activePath || !next.has(this._activePath)) this._activePath = next.has(this.selectedPath) ? this.selectedPath : rows[0]?.path || null;
+    for (const [path, row] of next) {
+      row.el.tabIndex = path === this._activePath ? 0 : -1;
+      if (path === this.selectedPath) row.el.setAttribute('aria-selected', 'true'); else row.el.removeAttribute('aria-selected');
+    }
+    if (hadFocus && !this._rowOf(document.activeElement)) next.get(this._activePath)?.el.focus();
+  }
+  _signature({ path, node, level, pos, size }) {
+    const lc = hasLifecycle(node) ? `${lifecycleOf(node).status}${isReviewOverdue(node) ? '!' : ''}` : '';
+    return [path, node.id, node.type, node.icon, level, pos, size, TreeStore.childEntries(node).length > 0, this._isExpanded(node, level), lc, uiLanguage].join('|');
+  }
+  _createRow({ path, name, node, level, pos, size }) {
+    const el = document.createElement('div');
+    el.className = 'tree-node';
+    el.setAttribute('role', 'treeitem');
+    el.setAttribute('aria-level', level); el.setAttribute('aria-setsize', size); el.setAttribute('aria-posinset', pos);
+    el.style.paddingLeft = `${8 + (level - 1) * 16}px`;
+    el.dataset.path = path;
+    el.dataset.type = node.type || 'item';
+    const hasChildren = TreeStore.childEntries(node).length > 0;
+    const twisty = document.createElement('span'); twisty.className = 'twisty'; twisty.setAttribute('aria-hidden', 'true');
+    if (hasChildren) {
+      const open = this._isExpanded(node, level);
+      el.setAttribute('aria-expanded', String(open)); twisty.textContent = open ? '▾' : '▸';
+    }
+    const iconSpan = document.createElement('span'); iconSpan.className = 'icon'; iconSpan.textContent = node.icon || '📁';
+    const labelSpan = document.createElement('span'); labelSpan.className = 'label'; labelSpan.textContent = name;
+    el.appendChild(twisty); el.appendChild(iconSpan); el.appendChild(labelSpan);
+    if (hasLifecycle(node)) el.appendChild(statusBadge(node));
+    // top-level entries cannot be dragged
+    if (path.includes('/')) el.draggable = true;
+    return el;
+  }
+  _rowOf(target) { const el = target?.closest?.('[role="treeitem"]'); return el && this.container.contains(el) && this._rows.get(el.dataset.path)?.el === el ? el : null; }
+  _nodeAt(path) { return this._rows.get(path)?.node || this.store.getNode(path); }
+
+  /* === expansion === */
+  setExpanded(path, open) {
+    const node = this._nodeAt(path); if (!node || !TreeStore.childEntries(node).length) return;
+    if (!this.expanded) this.expanded = new Set(Object.values(this.store.getRoot()).map(n => n.id));
+    if (open === this.expanded.has(node.id)) return;
+    if (open) this.expanded.add(node.id); else this.expanded.delete(node.id);
+    // keyboard focus must not vanish into a collapsed folder
+    if (!open && this._activePath?.startsWith(`${path}/`)) this._activePath = path;
+    this.render(); this.onToggle([...this.expanded]);
+  }
+  // opens all ancestors of path, so its row exists
+  reveal(path) {
+    const parts = path.split('/'); let changed = false;
+    for (let i = 1; i < parts.length; i++) {
+      const node = this.store.getNode(parts.slice(0, i).join('/')); if (!node) return null;
+      if (!this.expanded) this.expanded = new Set(Object.values(this.store.getRoot()).map(n => n.id));
+      if (!this.expanded.has(node.id)) { this.expanded.add(node.id); changed = true; }
+    }
+    if (changed) this.onToggle([...this.expanded]);
+    this.render(); return this._rows.get(path)?.el || null;
+  }
+
+  /* === selection and focus === */
+  // marks a row as selected (revealing it) without calling onSelect
+  select(path) {
+    this.selectedPath = path;
+    const el = path ? this.reveal(path) : (this.render(), null);
+    if (el) { this._setActive(path); el.scrollIntoView?.({ block: 'nearest' }); }
+  }
+  _setActive(path) {
+    const prev = this._rows.get(this._activePath)?.el; if (prev) prev.tabIndex = -1;
+    this._activePath = path; const el = this._rows.get(path)?.el; if (el) el.tabIndex = 0;
+    return el;
+  }
+  focus(path) { const el = this.reveal(path); if (el) { this._setActive(path); el.focus(); } }
+  _activate(path) { this.select(path); this.onSelect(path, this._nodeAt(path)?.type); }
+
+  _bindEvents() {
+    const c = this.container;
+    c.addEventListener('click', (e) => {
+      const el = this._rowOf(e.target); if (!el) return;
+      e.stopPropagation(); const path = el.dataset.path;
+      if (e.target.classList.contains('twisty')) { this._setActive(path); this.setExpanded(path, el.getAttribute('aria-expanded') !== 'true'); return; }
+      this._activate(path);
+    });
+    c.addEventListener('dblclick', (e) => { const el = this._rowOf(e.target); if (el?.hasAttribute('aria-expanded')) this.setExpanded(el.dataset.path, el.getAttribute('aria-expanded') !== 'true'); });
+    c.addEventListener('focusin', (e) => { const el = this._rowOf(e.target); if (el) this._setActive(el.dataset.path); });
+    c.addEventListener('contextmenu', (e) => {
+      const el = this._rowOf(e.target); if (!el) return;
+      e.preventDefault(); e.stopPropagation();
+      // opened from the keyboard (context menu key, Shift+F10): place the menu at the row
+      let at = e;
+      if (!e.pageX && !e.pageY) { const r = el.getBoundingClientRect(); at = { pageX: r.left + window.scrollX + 24, pageY: r.bottom + window.scrollY }; }
+      el.dispatchEvent(new CustomEvent('tree-contextmenu', { bubbles: true, detail: { path: el.dataset.path, type: this._nodeAt(el.dataset.path)?.type, event: at } }));
+    });
+    c.addEventListener('keydown', (e) => this._onKey(e));
+    this._bindDrag();
+  }
+
+  _onKey(e) {
+    const el = this._rowOf(e.target); if (!el || e.altKey || e.ctrlKey || e.metaKey) return;
+    const paths = [...this._rows.keys()]; const path = el.dataset.path; const i = paths.indexOf(path);
+    const expandable = el.hasAttribute('aria-expanded'); const open = el.getAttribute('aria-expanded') === 'true';
+    const parentPath = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : null;
+    const move = (target) => { if (target) this.focus(target); };
+    switch (e.key) {
+      case 'ArrowDown': move(paths[i + 1]); break;
+      case 'ArrowUp': move(paths[i - 1]); break;
+      case 'Home': move(paths[0]); break;
+      case 'End': move(paths[paths.length - 1]); break;
+      case 'ArrowRight':
+        if (expandable && !open) this.setExpanded(path, true);
+        else if (open) move(paths[i + 1]);
+        break;
+      case 'ArrowLeft':
+        if (open) this.setExpanded(path, false); else move(parentPath);
+        break;
+      case 'Enter': case ' ': this._activate(path); break;
+      case '*': {
+        // expands all siblings of the focused row
+        const parent = parentPath ? this.store.getNode(parentPath) : null;
+        const siblings = parent ? TreeStore.childEntries(parent).map(([k]) => `${parentPath}/${k}`) : Object.keys(this.store.getRoot());
+        for (const p of siblings) this.setExpanded(p, true);
+        this.focus(path); break;
+      }
+      default:
+        if (e.key.length !== 1 || !e.key.trim()) return;
+        this._typeAhead(e.key, i, paths);
+    }
+    e.preventDefault(); e.stopPropagation();
+  }
+
+  // focuses the next visible row whose label starts with the typed characters (typed within 500 ms)
+  _typeAhead(char, from, paths) {
+    const now = Date.now(); const t = this._typeahead;
+    t.text = now - t.at < 500 ? t.text + char.toLowerCase() : char.toLowerCase(); t.at = now;
+    const label = (p) => p.slice(p.lastIndexOf('/') + 1).toLowerCase();
+    // a repeated first letter cycles through the matches, a longer prefix keeps the current row if it matches
+    const start = t.text.length === 1 ? from + 1 : from;
+    for (let k = 0; k < paths.length; k++) {
+      const p = paths[(start + k) % paths.length];
+      if (label(p).startsWith(t.text)) { this.focus(p); return; }
+    }
+  }
+
+  /* drag & drop: the upper/lower quarter of a row drops before/after it, the middle drops inside (folders only);
+     top-level entries cannot be dragged */
+  _bindDrag() {
+    const c = this.container;
+    const clear = (el) => el?.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    const positionFor = (e, el) => {
+      const path = el.dataset.path; const r = el.getBoundingClientRect(); const y = (e.clientY - r.top) / (r.height || 1);
+      const container = this.store.isContainer(this._nodeAt(path));
+      if (!path.includes('/')) return container ? 'inside' : null;
+      if (container) return y < 0.25 ? 'before' : y > 0.75 ? 'after' : 'inside';
+      return y < 0.5 ? 'before' : 'after';
+    };
+    c.addEventListener('dragstart', (e) => {
+      const el = this._rowOf(e.target); if (!el) return;
+      if (!el.draggable) { e.preventDefault(); return; }
+      this._dragPath = el.dataset.path; e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', el.dataset.path); el.classList.add('dragging');
+    });
+    c.addEventListener('dragend', (e) => { this._rowOf(e.target)?.classList.remove('dragging'); this._dragPath = null; });
+    c.addEventListener('dragover', (e) => {
+      const el = this._rowOf(e.target); if (!el) return;
+      const src = this._dragPath; const path = el.dataset.path;
+      if (!src || src === path || path.startsWith(`${src}/`)) return;
+      const pos = positionFor(e, el); if (!pos) return;
+      e.preventDefault(); e.dataTransfer.dropEffect = 'move';
+      clear(el); el.classList.add(`drop-${pos}`);
+    });
+    c.addEventListener('dragleave', (e) => { const el = this._rowOf(e.target); if (el && !el.contains(e.relatedTarget)) clear(el); });
+    c.addEventListener('drop', (e) => {
+      const el = this._rowOf(e.target); if (!el) return;
+      e.preventDefault(); clear(el);
+      const src = this._dragPath; const pos = positionFor(e, el); this._dragPath = null;
+      if (src && pos && src !== el.dataset.path) this.onMove(src, el.dataset.path, pos);
+    });
+  }
+}
+
+/* ==========================
+   Organigram
+   - node.orgData = { units: [{ id, name, parentId }],
+                      positions: [{ id, title, unitId, reportsTo, deputyId, holderIds, documentId }],
+                      people: [{ id, name, email, phone }] }
+   - reportsTo builds the hierarchy, deputyId is the Vertretung (drawn dashed),
+     documentId points to the job description node in the tree
+   ========================== */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const ORG_BOX = { w: 190, h: 70, gapX: 24, gapY: 56 };
+const ORG_UNIT_COLORS = ['#21808d', '#a84b2f', '#5b5fc7', '#9a6700', '#1a7f37', '#b42318', '#6e7781'];
+
+function uid(prefix) { return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`; }
+
+function emptyOrgData() { return { units: [], positions: [], people: [] }; }
+
+// true if candidateId is positionId itself or one of its (transitive) subordinates
+function isOrgDescendant(orgData, positionId, candidateId) {
+  let cur = orgData.positions.find(p => p.id === candidateId); const seen = new Set();
+  while (cur && !seen.has(cur.id)) {
+    if (cur.id === positionId) return true;
+    seen.add(cur.id); cur = orgData.positions.find(p => p.id === cur.reportsTo);
+  }
+  return false;
+}
+
+class OrgChart {
+  constructor(container) {
+    this.container = container; this.data = emptyOrgData(); this.editing = false; this.selectedId = null;
+    this.view = { scale: 1, x: 20, y: 20 };
+    this.onOpen = () => {}; this.onSelect = () => {}; this.onMove = () => {}; this.onEdit = () => {};
+    this._drag = null;
+  }
+
+  // simple tidy tree: each subtree is as wide as its children, parents are centered above them
+  static layout(data) {
+    const byId = new Map(data.positions.map(p => [p.id, p]));
+    const children = new Map(data.positions.map(p => [p.id, []]));
+    const roots = [];
+    for (const p of data.positions) { if (p.reportsTo && byId.has(p.reportsTo) && p.reportsTo !== p.id) children.get(p.reportsTo).push(p); else roots.push(p); }
+    const boxes = new Map(); const widths = new Map();
+    const measure = (p, seen) => {
+      if (seen.has(p.id)) return ORG_BOX.w; seen.add(p.id);
+      const kids = children.get(p.id);
+      const w = kids.length ? Math.max(ORG_BOX.w, kids.reduce((sum, k) => sum + measure(k, seen), 0) + ORG_BOX.gapX * (kids.length - 1)) : ORG_BOX.w;
+      widths.set(p.id, w); return w;
+    };
+    const place = (p, left, depth) => {
+      if (boxes.has(p.id)) return;
+      const w = widths.get(p.id) || ORG_BOX.w;
+      boxes.set(p.id, { x: left + (w - ORG_BOX.w) / 2, y: depth * (ORG_BOX.h + ORG_BOX.gapY), position: p });
+      let x = left;
+      for (const k of children.get(p.id)) { place(k, x, depth + 1); x += (widths.get(k.id) || ORG_BOX.w) + ORG_BOX.gapX; }
+    };
+    let left = 0; const seen = new Set();
+    for (const r of roots) { measure(r, seen); place(r, left, 0); left += widths.get(r.id) + ORG_BOX.gapX * 2; }
+    let width = 0; let height = 0;
+    for (const b of boxes.values()) { width = Math.max(width, b.x + ORG_BOX.w); height = Math.max(height, b.y + ORG_BOX.h); }
+    return { boxes, width, height };
+  }
+
+  render(data) {
+    if (data) this.data = data;
+    this.container.innerHTML = '';
+    if (this.data.positions.length === 0) {
+      const empty = document.createElement('p'); empty.className = 'muted'; empty.textContent = t('org.empty');
+      this.container.appendChild(empty); return;
+    }
+    const svg = this._buildSvg(OrgChart.layout(this.data));
+    svg.setAttribute('class', 'org-svg'); svg.setAttribute('role', 'img'); svg.setAttribute('aria-label', t('type.organigram'));
+    this._svg = svg; this._viewport = svg.querySelector('.org-viewport');
+    this._applyView(); this._bindInteractions(svg);
+    this.container.appendChild(svg);
+  }
+
+  _buildSvg(layout, { forExport = false } = {}) {
+    const el = (name, attrs = {}, parent) => { const n = document.createElementNS(SVG_NS, name); for (const [k, v] of Object.entries(attrs)) n.setAttribute(k, v); if (parent) parent.appendChild(n); return n; };
+    const svg = el('svg', { xmlns: SVG_NS, 'font-family': 'Inter, system-ui, sans-serif' });
+    if (forExport) { svg.setAttribute('width', layout.width + 40); svg.setAttribute('height', layout.height + 40); svg.setAttribute('viewBox', `-20 -20 ${layout.width + 40} ${layout.height + 40}`); }
+    const vp = el('g', { class: 'org-viewport' }, svg);
+    const unitColor = new Map(this.data.units.map((u, i) => [u.id, ORG_UNIT_COLORS[i % ORG_UNIT_COLORS.length]]));
+    const unitName = new Map(this.data.units.map(u => [u.id, u.name]));
+    const people = new Map(this.data.people.map(p => [p.id, p]));
+    const clip = (t, n) => (t && t.length > n ? `${t.slice(0, n - 1)}…` : t || '');
+
+    for (const b of layout.boxes.values()) {
+      const parent = layout.boxes.get(b.position.reportsTo); if (!parent || parent === b) continue;
+      const x1 = parent.x + ORG_BOX.w / 2; const y1 = parent.y + ORG_BOX.h; const x2 = b.x + ORG_BOX.w / 2; const y2 = b.y; const mid = y1 + ORG_BOX.gapY / 2;
+      el('path', { d: `M${x1},${y1} V${mid} H${x2} V${y2}`, fill: 'none', stroke: '#9aa5a6', 'stroke-width': 1.5 }, vp);
+    }
+    for (const b of layout.boxes.values()) {
+      const dep = layout.boxes.get(b.position.deputyId); if (!dep || dep === b) continue;
+      const x1 = b.x + ORG_BOX.w; const y1 = b.y + ORG_BOX.h / 2; const x2 = dep.x + (dep.x > b.x ? 0 : ORG_BOX.w); const y2 = dep.y + ORG_BOX.h / 2;
+      const line = el('path', { d: `M${x1},${y1} C${x1 + 30},${y1} ${x2 + (dep.x > b.x ? -30 : 30)},${y2} ${x2},${y2}`, fill: 'none', stroke: '#a84b2f', 'stroke-width': 1.2, 'stroke-dasharray': '5 4' }, vp);
+      el('title', {}, line).textContent = `${t('org.deputy')}: ${dep.position.title}`;
+    }
+    for (const b of layout.boxes.values()) {
+      const p = b.position; const color = unitColor.get(p.unitId) || '#6e7781';
+      const g = el('g', { class: 'org-box', transform: `translate(${b.x},${b.y})`, 'data-pos-id': p.id, 'data-x': b.x, 'data-y': b.y }, vp);
+      if (!forExport) { g.setAttribute('tabindex', 0); g.setAttribute('role', 'button'); }
+      const selected = !forExport && p.id === this.selectedId;
+      el('rect', { width: ORG_BOX.w, height: ORG_BOX.h, rx: 8, fill: '#ffffff', stroke: selected ? '#21808d' : 'rgba(0,0,0,0.15)', 'stroke-width': selected ? 2.5 : 1 }, g);
+      el('rect', { width: 6, height: ORG_BOX.h, rx: 3, fill: color }, g);
+      el('text', { x: 14, y: 22, 'font-size': 13, 'font-weight': 600, fill: '#12343b' }, g).textContent = clip(p.title, 24) + (p.documentId ? ' 📄' : '');
+      const holders = (p.holderIds || []).map(id => people.get(id)?.name).filter(Boolean).join(', ');
+      el('text', { x: 14, y: 40, 'font-size': 12, fill: holders ? '#12343b' : '#66797b' }, g).textContent = clip(holders || 'unbesetzt', 28);
+      el('text', { x: 14, y: 58, 'font-size': 11, fill: color }, g).textContent = clip(unitName.get(p.unitId) || '', 30);
+      const contact = (p.holderIds || []).map(id => people.get(id)).filter(Boolean).map(pp => [pp.name, pp.email, pp.phone].filter(Boolean).join(' · ')).join('\n');
+      el('title', {}, g).textContent = [p.title, contact, unitName.get(p.unitId)].filter(Boolean).join('\n');
+    }
+    return svg;
+  }
+
+  toSvgString() {
+    const svg = this._buildSvg(OrgChart.layout(this.data), { forExport: true });
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+  }
+
+  zoom(factor, cx, cy) {
+    const rect = this._svg ? this._svg.getBoundingClientRect() : { width: 0, height: 0 };
+    const px = cx ?? rect.width / 2; const py = cy ?? rect.height / 2;
+    const scale = Math.min(3, Math.max(0.2, this.view.scale * factor)); const k = scale / this.view.scale;
+    this.view = { scale, x: px - (px - this.view.x) * k, y: py - (py - this.view.y) * k };
+    this._applyView();
+  }
+  resetView() { this.view = { scale: 1, x: 20, y: 20 }; this._applyView(); }
+  _applyView() { if (this._viewport) this._viewport.setAttribute('transform', `translate(${this.view.x},${this.view.y}) scale(${this.view.scale})`); }
+
+  _bindInteractions(svg) {
+    svg.addEventListener('wheel', (e) => { e.preventDefault(); const r = svg.getBoundingClientRect(); this.zoom(e.deltaY < 0 ? 1.1 : 1 / 1.1, e.clientX - r.left, e.clientY - r.top); }, { passive: false });
+    svg.addEventListener('pointerdown', (e) => {
+      const box = e.target.closest('[data-pos-id]');
+      this._drag = { id: box ? box.dataset.posId : null, startX: e.clientX, startY: e.clientY, view: { ...this.view }, moved: false };
+      svg.setPointerCapture(e.pointerId);
+    });
+    svg.addEventListener('pointermove', (e) => {
+      const d = this._drag; if (!d) return;
+      const dx = e.clientX - d.startX; const dy = e.clientY - d.startY;
+      if (Math.abs(dx) + Math.abs(dy) > 4) d.moved = true;
+      if (!d.moved) return;
+      if (d.id && this.editing) {
+        const g = svg.querySelector(`[data-pos-id="${d.id}"]`); g.classList.add('dragging');
+        g.setAttribute('transform', `translate(${Number(g.dataset.x) + dx / this.view.scale},${Number(g.dataset.y) + dy / this.view.scale})`);
+      } else if (!d.id || !this.editing) { this.view = { ...d.view, x: d.view.x + dx, y: d.view.y + dy }; this._applyView(); }
+    });
+    svg.addEventListener('pointerup', (e) => {
+      const d = this._drag; this._drag = null; if (!d) return;
+      if (!d.moved) { if (d.id) this._activate(d.id); return; }
+      if (d.id && this.editing) {
+        const hit = document.elementsFromPoint(e.clientX, e.clientY).map(n => n.closest && n.closest('[data-pos-id]')).find(n => n && n.dataset.posId !== d.id);
+        this.onMove(d.id, hit ? hit.dataset.posId : null);
+      }
+    });
+    svg.addEventListener('dblclick', (e) => { const box = e.target.closest('[data-pos-id]'); if (box && this.editing) this.onEdit(box.dataset.posId); });
+    svg.addEventListener('keydown', (e) => {
+      const box = e.target.closest && e.target.closest('[data-pos-id]'); if (!box) return;
+      if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); this._activate(box.dataset.posId); }
+    });
+  }
+
+  // view mode: open the job description; edit mode: select the position
+  _activate(id) {
+    const pos = this.data.positions.find(p => p.id === id); if (!pos) return;
+    if (this.editing) { this.selectedId = id; this.onSelect(pos); this.render(); this._svg.querySelector(`[data-pos-id="${id}"]`)?.focus(); }
+    else this.onOpen(pos);
+  }
+}
+
+/* ==========================
+   Storage adapters
+   - an adapter is any object with async load(key), save(key, value) and remove(key)
+   - IndexedDbStorage is the default; a REST backend only needs to implement the same three methods
+     (e.g. GET/PUT/DELETE /api/handbook/:key) and can be passed as new UIManager({ storage })
+   ========================== */
+class IndexedDbStorage {
+  constructor(dbName = 'wbg-orgbuch', storeName = 'kv') {
+    this.name = 'IndexedDB'; this.dbName = dbName; this.storeName = storeName; this._db = null;
+  }
+  static isAvailable() { return typeof indexedDB !== 'undefined'; }
+  _open() {
+    if (this._db) return this._db;
+    this._db = new Promise((resolve, reject) => {
+      const req = indexedDB.open(this.dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(this.storeName);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return this._db;
+  }
+  async _request(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const req = fn(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+  load(key) { return this._request('readonly', (os) => os.get(key)); }
+  save(key, value) { return this._request('readwrite', (os) => os.put(value, key)); }
+  remove(key) { return this._request('readwrite', (os) => os.delete(key)); }
+}
+
+/* ==========================
+   Block files: images and attachments of documents
+   - the binary lives next to the handbook in the same storage adapter, one record per file under
+     "file:<id>": { name, type, size, data: Blob }; the block only references it:
+     data.file = { id, name, size, extension, type }
+   - while editing, data.file.url holds an object URL (what the Editor.js tools display); withoutUrls()
+     drops it again on save, so no URL ever ends up in the handbook
+   - the JSON export embeds the referenced files as files: { <id>: { name, type, size, data: base64 } }
+   - without an adapter the files only live for the session, like the handbook itself
+   - files nothing in the tree references any more (deleted blocks, purged entries, imports) are removed
+     at the next start, see FileStore.prune()
+   ========================== */
+const FILE_BLOCK_TYPES = ['image', 'attaches'];
+// ids of the stored files (the adapter cannot list keys), so unreferenced ones can be cleaned up
+const FILE_INDEX_KEY = 'file-index';
+
+function blockFileRef(block) { return FILE_BLOCK_TYPES.includes(block?.type) && block.data?.file?.id ? block.data.file : null; }
+
+// ids of every file the tree references: current content, old revisions, translations and the Papierkorb
+// (data is the root object or any list of nodes)
+function handbookFileIds(data) {
+  const ids = new Set();
+  const fromData = (editorData) => { for (const b of editorData?.blocks || []) { const ref = blockFileRef(b); if (ref) ids.add(ref.id); } };
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return;
+    fromData(node.editorData);
+    for (const rev of node.revisions || []) fromData(rev?.editorData);
+    for (const tr of Object.values(node.translations || {})) fromData(tr?.editorData);
+    for (const entry of node.trash || []) walk(entry?.node);
+    for (const child of Object.values(node.children || {})) walk(child);
+  };
+  Object.values(data || {}).forEach(walk);
+  return [...ids];
+}
+
+function fileExtension(name) { const m = /\.([A-Za-z0-9]{1,8})$/.exec(name || ''); return m ? m[1].toLowerCase() : ''; }
+
+function formatFileSize(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  return n < 1024 * 1024 ? `${(n / 1024).toFixed(0)} KB` : `${(n / 1024 / 1024).toFixed(1).replace('.', ',')} MB`;
+}
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer()); let bin = '';
+  // in chunks: String.fromCharCode with a whole file as arguments overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function base64ToBlob(data, type) {
+  const bin = atob(data); const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
+
+class FileStore {
+  constructor(adapter) { this.adapter = adapter; this._memory = new Map(); this._urls = new Map(); }
+  static key(id) { return `file:${id}`; }
+
+  // stores a File/Blob and returns the reference the block keeps
+  async put(file, name = file.name) {
+    const id = uid('file'); const fileName = name || 'datei';
+    const record = { name: fileName, type: file.type || 'application/octet-stream', size: file.size, data: file };
+    await this._write(id, record);
+    return { id, name: fileName, size: record.size, extension: fileExtension(fileName), type: record.type };
+  }
+  async get(id) {
+    if (this._memory.has(id)) return this._memory.get(id);
+    const record = this.adapter ? await this.adapter.load(FileStore.key(id)) : null;
+    if (record) this._memory.set(id, record);
+    return record || null;
+  }
+  async _write(id, record) {
+    this._memory.set(id, record);
+    if (!this.adapter) return;
+    await this.adapter.save(FileStore.key(id), record);
+    const ids = await this._storedIds(); if (!ids.has(id)) { ids.add(id); await this.adapter.save(FILE_INDEX_KEY, [...ids]); }
+  }
+  async _storedIds() {
+    if (!this._ids) this._ids = new Set((this.adapter && await this.adapter.load(FILE_INDEX_KEY)) || []);
+    return this._ids;
+  }
+  // removes every stored file whose id is not in keep (handbookFileIds); returns how many went
+  async prune(keep) {
+    const ids = await this._storedIds(); const wanted = new Set(keep); let removed = 0;
+    for (const id of [...ids]) {
+      if (wanted.has(id)) continue;
+      if (this.adapter) await this.adapter.remove(FileStore.key(id));
+      this._memory.delete(id); ids.delete(id); removed++;
+      if (this._urls.has(id)) { URL.revokeObjectURL(this._urls.get(id)); this._urls.delete(id); }
+    }
+    if (removed && this.adapter) await this.adapter.save(FILE_INDEX_KEY, [...ids]);
+    return removed;
+  }
+  // object URL for display, one per file and session; null when the file is missing
+  async url(id) {
+    if (this._urls.has(id)) return this._urls.get(id);
+    const record = await this.get(id); if (!record) return null;
+    const url = URL.createObjectURL(record.data); this._urls.set(id, url);
+    return url;
+  }
+
+  // copy of editor data with object URLs on every file reference (for the Editor.js tools)
+  async withUrls(editorData) {
+    const data = JSON.parse(JSON.stringify(editorData || { blocks: [] }));
+    for (const b of data.blocks || []) { const ref = blockFileRef(b); if (ref) ref.url = (await this.url(ref.id)) || ''; }
+    return data;
+  }
+  // editor output back to references: object URLs are dropped, remote URLs stay as they came
+  static withoutUrls(editorData) {
+    for (const b of editorData?.blocks || []) { const ref = blockFileRef(b); if (ref) delete ref.url; }
+    return editorData;
+  }
+
+  // { id: { name, type, size, data: base64 } } for the JSON export; missing files are left out
+  async exportFiles(ids) {
+    const out = {};
+    for (const id of ids) {
+      const record = await this.get(id).catch(() => null);
+      if (record) out[id] = { name: record.name, type: record.type, size: record.size, data: await blobToBase64(record.data) };
+    }
+    return out;
+  }
+  async importFiles(files) {
+    for (const [id, f] of Object.entries(files || {})) {
+      const data = base64ToBlob(f.data, f.type || 'application/octet-stream'); this._urls.delete(id);
+      await this._write(id, { name: f.name, type: data.type, size: data.size, data });
+    }
+  }
+}
+
+/* ==========================
+   AutoSaver: writes the store through the adapter after every "change" event (debounced)
+   and keeps the header status ("gespeichert" / "nicht gespeichert") up to date
+   ========================== */
+class AutoSaver {
+  constructor(store, adapter, statusEl, { key = 'handbook', delay = 400 } = {}) {
+    this.store = store; this.adapter = adapter; this.statusEl = statusEl; this.key = key; this.delay = delay;
+    this._timer = null; this._dirty = false;
+    // set by restore() when the stored handbook could not be used: { errors, backupKey }
+    this.failure = null;
+    this.store.addEventListener('change', () => this.schedule());
+    // flush pending changes when the tab goes to the background (page may be closed next)
+    // page unload is handled by UIManager, together with unsaved editor and modeler changes
+    document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden' && this._dirty) this.flush(); });
+    this._setStatus(adapter ? 'saved' : 'unavailable');
+  }
+  async restore() {
+    if (!this.adapter) return false;
+    this._setStatus('loading');
+    try {
+      const json = await this.adapter.load(this.key);
+      // nothing stored yet: the defaults are what there is
+      if (!json) { this._setStatus('saved'); return false; }
+      const result = this.store.import(json);
+      if (!result.ok) {
+        // the defaults must not silently replace what is stored: keep a copy first, and stop writing if that fails too
+        console.error('Stored handbook is invalid, keeping defaults', result.errors);
+        let backupKey = `${this.key}-backup`;
+        try { await this.adapter.save(backupKey, json); } catch (err) { console.error('Backing up the stored handbook failed', err); backupKey = null; }
+        this.failure = { errors: result.errors, backupKey };
+        this._setStatus(backupKey ? 'saved' : 'blocked');
+        return false;
+      }
+      // the import itself fires a change event; what was just loaded does not need to be written back
+      clearTimeout(this._timer); this._dirty = false; this._setStatus('saved');
+      return true;
+    } catch (err) {
+      // unreadable, not necessarily lost: no write may replace it in this session
+      console.error('Restore failed', err);
+      this.failure = { errors: [{ path: this.key, message: err.message || String(err) }], backupKey: null };
+      this._setStatus('blocked'); return false;
+    }
+  }
+  // true while changes are waiting to be written
+  get pending() { return this._dirty; }
+  // writing is blocked when the stored handbook could neither be loaded nor backed up
+  get blocked() { return !!this.failure && !this.failure.backupKey; }
+  schedule() {
+    this._dirty = true;
+    if (this.blocked) { this._setStatus('blocked'); return; }
+    this._setStatus('dirty');
+    if (!this.adapter) return;
+    clearTimeout(this._timer); this._timer = setTimeout(() => this.flush(), this.delay);
+  }
+  async flush() {
+    if (!this.adapter || this.blocked) return false;
+    clearTimeout(this._timer); this._dirty = false; this._setStatus('saving');
+    try {
+      await this.adapter.save(this.key, this.store.export());
+      if (!this._dirty) this._setStatus('saved');
+      return true;
+    } catch (err) {
+      console.error('Autosave failed', err); this._dirty = true; this._setStatus('error'); return false;
+    }
+  }
+  // re-renders the current status, e.g. after the UI language changed
+  refreshStatus() { this._setStatus(this.statusEl?.dataset.state || 'saved'); }
+  _setStatus(state) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = t(`save.${state}`);
+    this.statusEl.dataset.state = state;
+    this.statusEl.title = this.adapter ? t('save.location', { name: this.adapter.name || 'Adapter' }) : t('save.noStorage');
+  }
+}
+
+/* ==========================
+   Hash router: the location hash names what is shown, so views can be bookmarked, shared and
+   walked with back/forward
+   - #/node/<id>[/<anchor>]: a node by its stable id (survives rename and move); the anchor is a
+     heading id (documents), block-<n> (a search hit) or a BPMN element id (processes)
+   - #/tag/<tag>: the tag page with every entry carrying that tag; #/trash: the Papierkorb
+   - an empty hash or #/ is the welcome view; anything else cannot be resolved ("nicht gefunden")
+   - onRoute(route) shows the route and returns false to stay (unsaved changes), which puts the
+     previous hash back
+   ========================== */
+function formatRoute({ id = null, anchor = null, tag = null, trash = false } = {}) {
+  if (tag) return `#/tag/${encodeURIComponent(tag)}`;
+  if (trash) return '#/trash';
+  return id ? `#/node/${encodeURIComponent(id)}${anchor ? `/${encodeURIComponent(anchor)}` : ''}` : '#/';
+}
+
+// { id, anchor } with id null for the welcome view, { tag } for a tag page, { trash: true }; null when the hash is not a route
+function parseRoute(hash) {
+  if (!hash || hash === '#' || hash === '#/') return { id: null, anchor: null };
+  if (hash === '#/trash') return { trash: true };
+  const tag = /^#\/tag\/(.+)$/.exec(hash);
+  if (tag) { try { return { tag: decodeURIComponent(tag[1]) }; } catch (e) { return null; } }
+  const m = /^#\/node\/([^/]+)(?:\/(.+))?$/.exec(hash); if (!m) return null;
+  try { return { id: decodeURIComponent(m[1]), anchor: m[2] ? decodeURIComponent(m[2]) : null }; } catch (e) { return null; }
+}
+
+class HashRouter {
+  constructor() {
+    this.onRoute = async () => true;
+    this._hash = location.hash;
+    window.addEventListener('hashchange', () => this._follow());
+  }
+  // resolves the hash the page was opened with
+  async start() { await this._follow(true); }
+  // shows the route first and only then records it, so a refused navigation leaves no history entry
+  async navigate(route, { replace = false } = {}) {
+    if ((await this.onRoute(route)) === false) return false;
+    const hash = formatRoute(route);
+    if (hash !== location.hash) history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+    this._hash = location.hash; return true;
+  }
+  async _follow(force = false) {
+    if (!force && location.hash === this._hash) return;
+    if ((await this.onRoute(parseRoute(location.hash))) === false) { history.replaceState(null, '', this._hash || location.pathname + location.search); return; }
+    this._hash = location.hash;
+  }
+}
+
+/* ==========================
+   Undo / redo: structural changes (new, rename, move, duplicate, delete, restore, purge, import) are commands
+   - a command is { label, run(), undo() }: run() makes the change (again, on redo) and undo() reverts it;
+     both return something truthy, or null/false when it was not possible
+   - commands hold node ids, not paths, so they stay valid when paths change in between
+   - content edits are not on the stack, they have the revision history; nothing a command takes out of the tree
+     is dropped on undo: created entries go to the Papierkorb, imports only swap back while the tree is unchanged
+   ========================== */
+class CommandStack {
+  constructor({ limit = 100 } = {}) { this.limit = limit; this.done = []; this.undone = []; }
+  execute(cmd) {
+    const result = cmd.run(); if (!result) return result;
+    this.done.push(cmd); if (this.done.length > this.limit) this.done.shift();
+    this.undone = []; return result;
+  }
+  // { cmd, ok }; a command that cannot be undone (redone) any more is dropped from the stack
+  undo() { const cmd = this.done.pop(); if (!cmd) return null; const ok = !!cmd.undo(); if (ok) this.undone.push(cmd); return { cmd, ok }; }
+  redo() { const cmd = this.undone.pop(); if (!cmd) return null; const ok = !!cmd.run(); if (ok) this.done.push(cmd); return { cmd, ok }; }
+}
+
+const quoted = (name) => t('quoted', { text: name });
+
+// create() adds the entry the first time; undo moves it to the Papierkorb (with whatever was written into it since),
+// redo takes the very same node back out of there
+function addCommand(store, label, create) {
+  let id = null;
+  return {
+    label,
+    run() {
+      if (id) return store.restoreFromTrash(id);
+      const path = create(); if (path) id = store.getNode(path).id; return path;
+    },
+    undo: () => store.trashItem(store.findPathById(id))
+  };
+}
+
+function renameCommand(store, path, newName) {
+  const id = store.getNode(path)?.id; const oldName = path.split('/').pop();
+  return {
+    label: t('cmd.renamed', { from: quoted(oldName), to: quoted(newName) }),
+    run: () => store.renameItem(store.findPathById(id), newName),
+    undo: () => store.renameItem(store.findPathById(id), oldName)
+  };
+}
+
+function moveCommand(store, path, targetPath, position) {
+  const id = store.getNode(path)?.id; const targetId = store.getNode(targetPath)?.id; let before = null;
+  return {
+    label: t('cmd.moved', { name: quoted(path.split('/').pop()) }),
+    run() { before = store.placeOf(id); return store.moveItem(store.findPathById(id), store.findPathById(targetId), position); },
+    undo() { return store.detach(id) && store.attach(before); }
+  };
+}
+
+function trashCommand(store, path) {
+  const id = store.getNode(path)?.id;
+  return {
+    label: t('cmd.trashed', { name: quoted(path.split('/').pop()) }),
+    run: () => store.trashItem(store.findPathById(id)),
+    undo: () => store.restoreFromTrash(id)
+  };
+}
+
+function restoreCommand(store, entry) {
+  const id = entry.node.id;
+  return {
+    label: t('cmd.restored', { name: quoted(entry.name) }),
+    run: () => store.restoreFromTrash(id),
+    undo: () => store.trashItem(store.findPathById(id))
+  };
+}
+
+function purgeCommand(store, ids, label) {
+  let removed = null;
+  return { label, run: () => (removed = store.purgeTrash(ids)), undo: () => store.unpurgeTrash(removed) };
+}
+
+// apply() changes the tree in any way (import, merge); undo and redo swap whole-tree snapshots, but only while the
+// tree is exactly as the command left it: any later edit (content, revisions, lifecycle) would be lost with the swap
+function snapshotCommand(store, label, apply) {
+  const before = store.snapshot(); let after = null;
+  const swap = (expected, json) => { if (store.snapshot() !== expected) return null; store.restoreSnapshot(json); return true; };
+  return {
+    label,
+    run() {
+      if (after) return swap(before, after);
+      const result = apply(); if (result) after = store.snapshot(); return result;
+    },
+    undo: () => swap(after, before)
+  };
+}
+
+async function enterEdit(node) {
+  try {
+    const { EditorJS, tools } = await ensureEditor();
+    const editor = new EditorJS({
+      holder: 'editorjs',
+      data: node.editorData || { blocks: [] },
+      tools: {
+        header: { class: tools.header },
+        list: { class: tools.list },
+        quote: { class: tools.quote },
+        code: { class: tools.code },
+        delimiter: tools.delimiter ? { class: tools.delimiter } : undefined,
+        marker: tools.marker ? { class: tools.marker } : undefined,
+        checklist: tools.checklist ? { class: tools.checklist } : undefined
+      }
+    });
+    // speichern, zerstören etc.
+  } catch (err) {
+    console.error('Editor loading error:', err);
+  }
+}
+
+/* ==========================
+   Internationalisation
+   - UI strings come from MESSAGES[<language>][<key>]; German is the source catalog and the fallback for keys
+     another catalog lacks; {name} placeholders are filled from params, a { one, other } entry picks by params.n
+   - index.html marks its strings with data-i18n (text) and data-i18n-placeholder / -title / -aria-label
+   - the chosen language is kept locally (storage key "language"), like the current user; <html lang> follows it
+   - what people entered (names, documents) stays as it is; documents carry their own translations:
+     node.translations = { <lang>: { editorData, sourceRevision, at } }, sourceRevision being the German revision
+     the translation was made from; a later substantive revision makes it outdated (editorial ones do not)
+   - the HTML export, lint findings and handbook data (revision notes) stay German
+   ========================== */
+const LANGUAGES = { de: { label: 'Deutsch', locale: 'de-DE' }, en: { label: 'English', locale: 'en-GB' }, tr: { label: 'Türkçe', locale: 'tr-TR' } };
+const SOURCE_LANGUAGE = 'de';
+const I18N_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+let uiLanguage = SOURCE_LANGUAGE;
+
+// message catalogs: key → text or { one, other } (picked by params.n); missing keys fall back to German
+const MESSAGES = {
+  de: {
+    'quoted': '„{text}“',
+
+    'cmd.renamed': '{from} umbenannt in {to}',
+    'cmd.moved': '{name} verschoben',
+    'cmd.trashed': '{name} gelöscht',
+    'cmd.restored': '{name} wiederhergestellt',
+    'cmd.importedUpgraded': '{name} importiert (von Formatversion {from} auf {to} aktualisiert)',
+    'cmd.imported': '{name} importiert',
+    'cmd.merged': 'Zusammenführung',
+    'cmd.documentsImported': { one: '1 Dokument importiert', other: '{n} Dokumente importiert' },
+    'cmd.created': '{name} angelegt',
+    'cmd.duplicated': '{name} dupliziert',
+
+    'status.title': 'Status: {status}',
+    'status.overdueSince': 'Prüfung überfällig seit {date}',
+    'status.draft': 'Entwurf',
+    'status.review': 'In Prüfung',
+    'status.approved': 'Freigegeben',
+    'status.archived': 'Archiviert',
+
+    'save.saved': 'gespeichert',
+    'save.dirty': 'nicht gespeichert',
+    'save.saving': 'speichert…',
+    'save.error': 'nicht gespeichert (Fehler)',
+    'save.unavailable': 'nicht gespeichert (kein lokaler Speicher)',
+    'save.blocked': 'nicht gespeichert (gesperrt)',
+    'save.loading': 'lädt…',
+    'save.location': 'Speicherort: {name}',
+    'save.noStorage': 'Kein Speicher verfügbar – bitte regelmäßig exportieren.',
+
+    'type.document': 'Dokument',
+    'type.folder': 'Ordner',
+    'type.process': 'Prozess',
+    'type.organigram': 'Organigramm',
+
+    'template.doc-empty': 'Leeres Dokument',
+    'template.doc-work-instruction': 'Arbeitsanweisung',
+    'template.doc-job-description': 'Stellenbeschreibung',
+    'template.doc-policy': 'Richtlinie',
+    'template.folder-empty': 'Ordner',
+    'template.process-simple': 'Einfacher Ablauf',
+    'template.process-approval': 'Freigabeprozess',
+    'template.org-empty': 'Organigramm',
+
+    'app.title': 'WBG Zentrum — Organisationshandbuch (Editor.js + BPMN)',
+    'app.subtitle': 'Organisationshandbuch',
+
+    'header.searchLabel': 'Suchen',
+    'header.search': 'Suchen...',
+    'header.filter': 'Filter',
+    'header.export': 'Export',
+    'header.exportSite': 'HTML-Export',
+    'header.exportSiteTitle': 'Schreibgeschützte HTML-Fassung mit Druckansicht',
+    'header.import': 'Import',
+    'header.ackReport': 'Kenntnisnahmen',
+    'header.ackReportTitle': 'Offene Kenntnisnahmen je Dokument und Person',
+    'header.userTitle': 'Wer arbeitet an diesem Gerät? Personen verwalten',
+    'header.language': 'Sprache',
+    'header.signIn': 'Anmelden',
+
+    'nav.label': 'Navigation',
+    'nav.tree': 'Handbuch',
+
+    'trash.title': 'Papierkorb',
+    'trash.emptyAll': 'Papierkorb leeren',
+    'trash.hint': 'Gelöschte Einträge bleiben hier, bis sie endgültig gelöscht werden. Im Baum macht Strg+Z die letzte Änderung rückgängig, Strg+Y wiederholt sie.',
+    'trash.isEmpty': 'Der Papierkorb ist leer.',
+    'trash.entry': 'aus {from}, gelöscht am {date}',
+    'trash.restore': 'Wiederherstellen',
+    'trash.purge': 'Endgültig löschen',
+    'trash.entries': { one: '{n} Eintrag', other: '{n} Einträge' },
+    'trash.confirmPurge': '{what} endgültig löschen? Nach dem Schließen der Seite lässt sich das nicht mehr rückgängig machen.',
+    'trash.purged': '{what} endgültig gelöscht',
+
+    'welcome.title': 'Willkommen',
+    'welcome.hint': 'Wählen Sie einen Eintrag links.',
+
+    'notFound.title': 'Nicht gefunden',
+    'notFound.home': 'Zur Startseite',
+    'notFound.trashed': '{name} wurde gelöscht und liegt im Papierkorb, wo er wiederhergestellt werden kann.',
+    'notFound.id': 'Es gibt keinen Eintrag mit der Kennung {id}. Er wurde gelöscht oder stammt aus einem anderen Handbuch.',
+    'notFound.hash': 'Die Adresse {hash} verweist auf keinen Eintrag.',
+
+    'meta.label': 'Kategorie und Schlagwörter',
+    'meta.category': 'Kategorie',
+    'meta.edit': 'bearbeiten',
+    'meta.add': 'Kategorie und Schlagwörter hinzufügen',
+    'meta.tagsInput': 'Schlagwörter (durch Komma getrennt)',
+    'meta.tags': 'Schlagwörter',
+    'meta.tag': 'Schlagwort',
+    'meta.tagUnused': 'Kein Eintrag trägt dieses Schlagwort.',
+    'meta.noCategory': 'Ohne Kategorie',
+
+    'folder.lint': 'Prozessprüfung',
+    'folder.empty': 'Dieser Ordner ist leer.',
+    'folder.noProcesses': 'Keine Prozesse in diesem Ordner.',
+    'folder.lintIssues': { one: '{count} von {n} Prozess hat offene Probleme.', other: '{count} von {n} Prozessen haben offene Probleme.' },
+    'folder.lintClean': { one: 'Der Prozess ist ohne Befund.', other: 'Alle {n} Prozesse ohne Befund.' },
+
+    'common.history': 'Verlauf',
+    'common.edit': 'Bearbeiten',
+    'common.save': 'Speichern',
+    'common.cancel': 'Abbrechen',
+    'common.remove': 'Entfernen',
+    'common.none': 'Keine.',
+    'common.apply': 'Übernehmen',
+    'common.name': 'Name',
+    'common.close': 'Schließen',
+    'common.ok': 'OK',
+
+    'lifecycle.label': 'Lebenszyklus',
+    'lifecycle.status': 'Status',
+    'lifecycle.owner': 'Verantwortlich',
+    'lifecycle.approver': 'Freigabe durch',
+    'lifecycle.approvedAt': 'Freigegeben am',
+    'lifecycle.validFrom': 'Gültig ab',
+    'lifecycle.reviewDue': 'Nächste Prüfung',
+    'lifecycle.overdue': 'Prüfung überfällig',
+    'lifecycle.archived': 'Archiviert – nicht mehr gültig.',
+    'lifecycle.noApproved': 'Noch keine freigegebene Fassung.',
+    'lifecycle.approvedVersion': 'Freigegebene Fassung vom {date}.',
+    'lifecycle.showingDraft': 'Angezeigt: Entwurf. Freigegeben ist die Fassung vom {date}.',
+    'lifecycle.showApproved': 'Freigegebene Fassung anzeigen',
+    'lifecycle.showingApproved': 'Angezeigt: freigegebene Fassung vom {date}. Es gibt einen neueren Entwurf.',
+    'lifecycle.showDraft': 'Entwurf anzeigen',
+    'lifecycle.differences': 'Unterschiede',
+    'lifecycle.needApprover': 'Bitte zuerst eintragen, wer freigibt („Freigabe durch“).',
+    'lifecycle.saveFirst': 'Bitte zuerst speichern – freigegeben wird der gespeicherte Stand.',
+    'lifecycle.noContent': 'Ein Eintrag ohne Inhalt kann nicht freigegeben werden.',
+
+    'ack.label': 'Kenntnisnahme',
+    'ack.doneBy': 'Zur Kenntnis genommen von {name} am {date}',
+    'ack.confirm': 'Zur Kenntnis genommen',
+    'ack.changedSince': 'Das Dokument wurde seit Ihrer letzten Bestätigung inhaltlich geändert.',
+    'ack.requiredForYou': 'Pflichtlektüre für Sie – noch nicht bestätigt.',
+    'ack.requiredFor': { one: 'Pflichtlektüre für {units} – {done} von 1 Person hat bestätigt.', other: 'Pflichtlektüre für {units} – {done} von {n} Personen haben bestätigt.' },
+    'ack.report': 'Bericht',
+    'ack.notRequired': 'Keine Pflichtlektüre.',
+    'ack.setRequired': 'Pflichtlektüre festlegen',
+    'ack.whoConfirms': 'Bitte unter „Personen“ eintragen und als „Ich“ auswählen, wer bestätigt.',
+    'ack.noUnits': 'Es gibt noch keine Organisationseinheiten. Bitte zuerst in einem Organigramm Stellen mit Einheiten anlegen.',
+    'ack.mandatoryHint': 'Alle Personen der gewählten Einheiten und ihrer Untereinheiten müssen das Dokument zur Kenntnis nehmen.',
+    'ack.required': 'Pflichtlektüre',
+    'ack.state.confirmed': 'bestätigt',
+    'ack.state.again': 'erneut zu bestätigen',
+    'ack.state.open': 'offen',
+    'ack.group': 'Gruppieren',
+    'ack.byDocument': 'nach Dokument',
+    'ack.byPerson': 'nach Person',
+    'ack.onlyOpen': 'nur offene',
+    'ack.exportCsv': 'CSV exportieren',
+    'ack.noRows': 'Keine Pflichtlektüre mit zugeordneten Personen.',
+    'ack.progress': '{done} von {n} bestätigt',
+    'ack.allDone': 'Alle Kenntnisnahmen liegen vor.',
+    'ack.csv.document': 'Dokument',
+    'ack.csv.person': 'Person',
+    'ack.csv.units': 'Organisationseinheiten',
+    'ack.csv.status': 'Status',
+    'ack.csv.at': 'Bestätigt am',
+    'ack.csv.version': 'Bestätigte Version vom',
+
+    'history.label': 'Versionsverlauf',
+    'history.beforeVersioning': 'vor Versionierung',
+    'history.none': 'Noch keine Versionen gespeichert.',
+    'history.asOf': 'Stand am',
+    'history.noneAtDate': 'Zu diesem Datum existierte noch keine Version.',
+    'history.date': 'Datum',
+    'history.note': 'Notiz',
+    'history.pick': 'Version vom {date} als {slot}',
+    'history.minor': 'redaktionell',
+    'history.approved': 'freigegeben',
+    'history.restore': 'Wiederherstellen',
+    'history.compare': 'Vergleich',
+    'history.noDifferences': 'Keine Unterschiede.',
+    'history.restoreConfirm': 'Version vom {date} wiederherstellen? Der aktuelle Stand bleibt im Verlauf erhalten.',
+    'history.restoreFailed': 'Wiederherstellen fehlgeschlagen.',
+
+    'links.backlinks': 'Verweise hierher',
+    'links.gone': 'Das verlinkte Element existiert nicht mehr.',
+    'links.none': 'Keine Einträge verweisen auf diese Seite.',
+
+    'edit.notePlaceholder': 'Änderungsnotiz (optional)',
+    'edit.note': 'Änderungsnotiz',
+    'edit.minor': 'Nur redaktionelle Änderung (Kenntnisnahmen bleiben gültig)',
+    'edit.hint': 'Editor: Editor.js (WYSIWYG). Änderungen nach "Speichern" werden in das JSON-Dokument übernommen.',
+    'edit.loadFailed': 'Fehler beim Laden des Editors. Prüfe die Konsole.',
+    'edit.missingSections': 'Folgende Pflichtabschnitte fehlen: {sections}. Trotzdem speichern?',
+    'edit.saved': 'Änderungen gespeichert.',
+    'edit.saveFailed': 'Speichern fehlgeschlagen. Details in Konsole.',
+    'edit.savedFallback': 'Änderungen gespeichert (Fallback).',
+    'edit.invalidJson': 'Ungültiges JSON.',
+    'edit.discard': 'Ungespeicherte Änderungen verwerfen?',
+
+    'process.import': 'Importieren',
+    'process.export': 'Exportieren',
+    'process.new': 'Neu',
+    'process.properties': 'Eigenschaften',
+    'process.problems': 'Probleme',
+    'process.loadFailed': 'Fehler beim Laden von bpmn-js. Details in Konsole.',
+    'process.xmlFailed': 'Fehler beim Importieren des BPMN-XML. Details in Konsole.',
+    'process.noneActive': 'Kein Prozess aktiv.',
+    'process.exportFailed': 'Fehler beim Exportieren. Details in Konsole.',
+    'process.noneToImport': 'Kein aktiver Prozess zum Importieren.',
+    'process.imported': 'BPMN importiert und in Node gespeichert.',
+    'process.importFailed': 'Import fehlgeschlagen. Details in Konsole.',
+    'process.created': 'Neues BPMN-Diagramm erstellt.',
+    'process.draftRestored': 'Ungespeicherte Änderungen am Diagramm wiederhergestellt.',
+    'process.selectHint': 'Aufgabe, Ereignis oder Lane im Diagramm auswählen, um Dokumente und Stellen zu verknüpfen.',
+    'process.unlink': 'Verknüpfung entfernen',
+    'process.documents': 'Dokumente',
+    'process.documentMissing': 'Dokument nicht gefunden',
+    'process.linkDocument': 'Dokument verknüpfen',
+    'process.positions': 'Stellen',
+    'process.positionMissing': 'Stelle nicht gefunden',
+    'process.choosePosition': 'Stelle wählen',
+    'process.clickHint': 'Klick auf ein verknüpftes Element öffnet das Dokument.',
+    'process.ctrlClickHint': 'Strg+Klick auf ein verknüpftes Element öffnet das Dokument.',
+    'process.openLinkedDocument': 'Verknüpftes Dokument öffnen',
+    'process.openLinkedPosition': 'Verknüpfte Stelle im Organigramm öffnen',
+    'process.openDocument': 'Dokument öffnen',
+    'process.severalDocuments': 'Dieses Element ist mit mehreren Dokumenten verknüpft.',
+
+    'org.zoomOut': 'Verkleinern',
+    'org.zoomReset': 'Zoom zurücksetzen',
+    'org.zoomIn': 'Vergrößern',
+    'org.addPosition': 'Position hinzufügen',
+    'org.editPosition': 'Position bearbeiten',
+    'org.exportSvg': 'SVG exportieren',
+    'org.empty': 'Noch keine Positionen. Im Bearbeitungsmodus „Position hinzufügen“ wählen.',
+    'org.deputy': 'Vertretung',
+    'org.done': 'Fertig',
+    'org.noJobDescription': 'Für „{title}“ ist keine Stellenbeschreibung verknüpft.',
+    'org.needTitle': 'Bitte eine Bezeichnung angeben.',
+    'org.reportsToSelf': 'Eine Position kann nicht an sich selbst oder eine untergeordnete Position berichten.',
+    'org.title': 'Bezeichnung',
+    'org.unit': 'Organisationseinheit',
+    'org.reportsTo': 'Berichtet an',
+    'org.topLevel': 'keine (oberste Ebene)',
+    'org.noneOption': 'keine',
+    'org.jobDescription': 'Stellenbeschreibung',
+    'org.holders': 'Stelleninhaber',
+    'org.email': 'E-Mail',
+    'org.phone': 'Telefon',
+    'org.removeConfirm': 'Position „{title}“ entfernen? Untergeordnete Positionen berichten danach an die nächsthöhere Ebene.',
+    'org.moveUnderSelf': 'Eine Position kann nicht unter sich selbst oder eine untergeordnete Position verschoben werden.',
+
+    'outline.title': 'Gliederung',
+    'outline.untitled': '(ohne Titel)',
+
+    'dash.toRead': 'Von Ihnen zur Kenntnis zu nehmen',
+    'dash.toReadEmpty': 'Alle Pflichtdokumente bestätigt.',
+    'dash.changedSinceAck': 'inhaltlich geändert seit Ihrer Bestätigung',
+    'dash.notAcknowledged': 'noch nicht bestätigt',
+    'dash.overdue': 'Prüfung überfällig',
+    'dash.overdueEmpty': 'Keine überfälligen Prüfungen.',
+    'dash.dueSince': 'fällig seit {date}',
+    'dash.owner': 'verantwortlich: {name}',
+    'dash.pending': 'Wartet auf Freigabe',
+    'dash.pendingEmpty': 'Nichts wartet auf Freigabe.',
+    'dash.approvalBy': 'Freigabe durch {name}',
+    'dash.noApprover': 'keine freigebende Person eingetragen',
+
+    'undo.undo': 'Rückgängig',
+    'undo.redo': 'Wiederholen',
+    'undo.nothing': 'Nichts rückgängig zu machen.',
+    'undo.nothingToRedo': 'Nichts zu wiederholen.',
+    'undo.undone': 'Rückgängig: {label}',
+    'undo.undoFailed': 'Nicht mehr rückgängig zu machen: {label}',
+    'undo.redoFailed': 'Nicht mehr zu wiederholen: {label}',
+
+    'lint.counts': '{errors} Fehler, {warnings} Warnung(en)',
+    'lint.persistFailed': 'Prüfregeln konnten nicht dauerhaft gespeichert werden.',
+    'lint.rules': 'Regeln',
+    'lint.noProblems': 'Keine Probleme gefunden.',
+    'lint.severity.off': 'Aus',
+    'lint.severity.warning': 'Warnung',
+    'lint.severity.error': 'Fehler',
+    'lint.severity.strict': 'Fehler (blockiert Speichern)',
+    'lint.blocked.save': 'Das Diagramm lässt sich nicht speichern',
+    'lint.anyway.save': 'Trotzdem speichern?',
+    'lint.blocked.export': 'Das Diagramm lässt sich nicht exportieren',
+    'lint.anyway.export': 'Trotzdem exportieren?',
+    'lint.blocked.import': 'Das Diagramm lässt sich nicht übernehmen',
+    'lint.anyway.import': 'Trotzdem übernehmen?',
+    'lint.errors': { one: 'Das Diagramm hat 1 Fehler', other: 'Das Diagramm hat {n} Fehler' },
+    'lint.rule.flow-connected': 'Sequenzflüsse haben Quelle und Ziel',
+    'lint.rule.node-connected': 'Elemente sind in den Ablauf eingebunden',
+    'lint.rule.label-required': 'Aufgaben sind benannt',
+    'lint.rule.gateway-branches': 'Verzweigende Gateways haben mehrere Ausgänge',
+    'lint.rule.start-event-required': 'Jeder Ablauf hat ein Startereignis',
+    'lint.rule.end-event-required': 'Jeder Ablauf hat ein Endereignis',
+    'lint.title': 'Prüfregeln für Prozesse',
+    'lint.default': 'Standard',
+
+    'picker.title': 'Verweis auf Eintrag',
+    'block.brokenLink': 'Verweisziel nicht gefunden',
+    'block.attachment': 'Anhang',
+    'block.unknownType': 'Unbekannter Blocktyp',
+    'block.renderFailed': 'Block konnte nicht dargestellt werden.',
+    'picker.search': 'Eintrag suchen…',
+    'picker.searchLabel': 'Eintrag suchen',
+    'picker.target': 'Verweisziel',
+    'picker.link': 'Verlinken',
+
+    'doc.noContent': 'Kein Inhalt verfügbar.',
+
+    'translation.available': 'Übersetzungen: {languages}',
+    'translation.outdatedShort': 'veraltet',
+    'translation.outdated': 'Übersetzung ({language}) veraltet: das deutsche Original wurde seither inhaltlich geändert.',
+    'translation.shown': 'Übersetzung ({language}).',
+    'translation.showOriginal': 'Deutsches Original anzeigen',
+    'translation.original': 'Deutsches Original.',
+    'translation.ofDraft': 'Die Übersetzung ({language}) gehört zu einem noch nicht freigegebenen Entwurf, angezeigt wird das freigegebene deutsche Original.',
+    'translation.showTranslation': 'Übersetzung anzeigen ({language})',
+    'translation.missing': 'Noch keine Übersetzung ({language}), das deutsche Original wird angezeigt.',
+    'translation.translate': 'Übersetzen',
+    'translation.editing': 'Übersetzung ({language}): wird beim Speichern mit dem aktuellen deutschen Stand verknüpft.',
+
+    'editor.warningTitle': 'Achtung',
+    'editor.warningMessage': 'Hinweistext',
+    'editor.imageCaption': 'Bildunterschrift',
+    'editor.imageButton': 'Bild auswählen',
+    'editor.attachButton': 'Datei anhängen',
+    'editor.attachError': 'Datei konnte nicht gespeichert werden',
+    'editor.noImageUrls': 'Bilder werden nicht über eine Web-Adresse geladen. Bitte die Bilddatei speichern und hochladen.',
+
+    'templates.persistFailed': 'Vorlage konnte nicht dauerhaft gespeichert werden.',
+    'templates.label': 'Vorlage',
+    'templates.custom': 'eigene Vorlage',
+    'templates.requiredSections': 'Pflichtabschnitte',
+    'templates.delete': 'Vorlage „{name}“ löschen',
+    'templates.create': 'Anlegen',
+    'templates.needName': 'Bitte Namen und Vorlage angeben.',
+    'templates.createFailed': 'Eintrag konnte nicht angelegt werden.',
+    'templates.notPossible': 'Dieser Eintrag kann nicht als Vorlage gespeichert werden.',
+    'templates.name': 'Name der Vorlage',
+    'templates.saved': 'Vorlage „{name}“ gespeichert.',
+
+    'unsaved.title': 'Ungespeicherte Änderungen',
+    'unsaved.document': 'Das Dokument „{name}“ hat ungespeicherte Änderungen.',
+    'unsaved.process': 'Der Prozess „{name}“ hat ungespeicherte Änderungen.',
+    'unsaved.stay': 'Hier bleiben',
+    'unsaved.discard': 'Verwerfen',
+
+    'users.deletedUnit': 'gelöschte Einheit',
+    'users.hint': 'Die Personenliste wird mit dem Handbuch gespeichert, die Auswahl „Ich“ nur auf diesem Gerät.',
+    'users.noUnits': 'Organisationseinheiten stehen zur Auswahl, sobald ein Organigramm Einheiten hat.',
+    'users.person': 'Person',
+    'users.me': 'Ich',
+    'users.units': 'Organisationseinheiten',
+    'users.remove': 'Person entfernen',
+    'users.title': 'Personen',
+
+    'site.exporting': 'Exportiere',
+    'site.failed': 'HTML-Export fehlgeschlagen. Details in Konsole.',
+
+    'import.how': 'Wie soll „{name}“ übernommen werden?',
+    'import.merge': 'Zusammenführen',
+    'import.mergeHint': 'ergänzt neue Einträge und fragt bei Konflikten nach.',
+    'import.replace': 'Ersetzen',
+    'import.replaceHint': 'verwirft den bisherigen Stand vollständig.',
+    'import.filesFailed': 'Bilder und Anhänge aus der Datei konnten nicht gespeichert werden.',
+    'import.conflicts': { one: '1 Konflikt', other: '{n} Konflikte' },
+    'import.mergeDone': 'Zusammenführung abgeschlossen: {added} hinzugefügt, {replaced} übernommen, {copies} als Kopie, {kept} unverändert.',
+    'import.additions': { one: '1 neuer Eintrag wird ohne Rückfrage hinzugefügt.', other: '{n} neue Einträge werden ohne Rückfrage hinzugefügt.' },
+    'import.keep.mine': 'Meine behalten',
+    'import.keep.theirs': 'Deren übernehmen',
+    'import.keep.both': 'Beide behalten',
+    'import.all': 'Alle',
+    'import.sameId': 'Gleiche ID, anderer Inhalt ({mine} ↔ {theirs})',
+    'import.inFileAt': 'in der Datei unter „{path}“',
+    'import.sameName': 'Gleicher Name, andere ID ({mine} ↔ {theirs})',
+    'import.blocks': { one: '1 Block', other: '{n} Blöcke' },
+    'import.bpmnElements': { one: '1 BPMN-Element', other: '{n} BPMN-Elemente' },
+    'import.asOf': 'Stand {date}',
+    'import.rejected': '„{name}“ wurde nicht importiert, der bisherige Stand bleibt erhalten.',
+    'import.problems': 'Gefundene Probleme ({n})',
+    'import.more': 'und {n} weitere.',
+    'import.failed': 'Import fehlgeschlagen',
+    'restore.failed': 'Gespeichertes Handbuch nicht geladen',
+    'restore.backedUp': 'Das gespeicherte Handbuch konnte nicht geladen werden, es wird mit dem Standardinhalt gestartet. Eine Kopie liegt unter „{key}“.',
+    'restore.blocked': 'Das gespeicherte Handbuch konnte nicht geladen werden, es wird mit dem Standardinhalt gestartet. Damit es nicht überschrieben wird, wird in dieser Sitzung nichts gespeichert – bitte exportieren, was erhalten bleiben soll.',
+    'validate.file': '(Datei)',
+    'validate.notJson': 'kein gültiges JSON: {error}',
+    'validate.notObject': 'kein JSON-Objekt',
+    'validate.format': 'erwartet "{format}"',
+    'validate.noRoot': 'muss mindestens einen Wurzeleintrag enthalten',
+    'validate.nodeNotObject': 'Eintrag ist kein Objekt',
+    'validate.missing': 'fehlt',
+    'validate.type': 'unbekannter Typ "{type}" (erlaubt: {allowed})',
+    'validate.text': 'muss Text sein',
+    'validate.tags': 'muss eine Liste von Schlagwörtern (Text) sein',
+    'validate.order': 'muss eine Liste von ids sein',
+    'validate.children': 'muss ein Objekt { Name: Eintrag } sein',
+    'validate.slash': 'Name darf kein "/" enthalten',
+    'validate.list': 'muss eine Liste sein',
+    'validate.object': 'muss ein Objekt sein',
+    'validate.bpmn': 'muss BPMN-XML (Text) oder null sein',
+    'validate.orgData': 'braucht die Listen units, positions und people',
+    'validate.status': 'unbekannter Status "{status}" (erlaubt: {allowed})',
+    'validate.date': 'muss ein Datum JJJJ-MM-TT sein',
+    'validate.approvedRevision': 'verweist auf keine vorhandene Version',
+    'validate.users': 'muss eine Liste von Personen { id, name, units } sein',
+    'validate.mandatoryFor': 'muss eine Liste von Organisationseinheiten { nodeId, unitId } sein',
+    'validate.acknowledgements': 'muss eine Liste von Bestätigungen { userId, revisionId, at } sein',
+    'validate.trashEntry': 'braucht { name, node, parentId, index }',
+    'validate.revisions': 'muss eine Liste von Versionen mit id sein',
+    'validate.translations': 'muss ein Objekt { Sprache: Übersetzung } sein',
+    'validate.sourceRevision': 'muss eine Versions-id sein',
+    'validate.files': 'muss ein Objekt { id: Datei } sein',
+    'validate.fileEntry': 'braucht { name, type, data } mit Base64-Inhalt',
+    'validate.tooNew': 'Die Datei hat Formatversion {version}, unterstützt wird bis {max}. Bitte die Anwendung aktualisieren.',
+    'validate.unknownVersion': 'Unbekannte Formatversion.',
+    'validate.noMigration': 'Keine Migration von Version {version} vorhanden.',
+
+    'newName.document': 'Neues Dokument',
+    'newName.folder': 'Neuer Ordner',
+    'newName.process': 'Neuer Prozess',
+    'newName.organigram': 'Neues Organigramm',
+
+    'facets.all': 'Alle',
+    'facets.type': 'Art',
+    'facets.noTags': 'Noch keine Schlagwörter vergeben.',
+    'facets.reset': 'Filter zurücksetzen',
+
+    'search.noResults': 'Keine Treffer',
+
+    'menu.new': 'Neu: {type}',
+    'menu.rename': 'Umbenennen',
+    'menu.duplicate': 'Duplizieren',
+    'menu.delete': 'Löschen',
+    'menu.moveUp': 'Nach oben',
+    'menu.moveDown': 'Nach unten',
+    'menu.moveTo': 'Verschieben nach',
+    'menu.saveTemplate': 'Als Vorlage speichern',
+    'menu.mdExport': 'Als Markdown exportieren',
+    'menu.mdImport': 'Markdown importieren',
+
+    'markdown.noDocuments': 'Dieser Ordner enthält keine Dokumente.',
+    'markdown.exportAs': { one: '1 Dokument aus „{name}“ exportieren als', other: '{n} Dokumente aus „{name}“ exportieren als' },
+    'markdown.single': 'Eine Datei',
+    'markdown.zip': 'ZIP mit Ordnerstruktur',
+    'markdown.oneFile': 'In ein Dokument kann nur eine Markdown-Datei importiert werden.',
+    'markdown.replaceConfirm': 'Inhalt von „{name}“ durch „{file}“ ersetzen? Der bisherige Stand bleibt im Verlauf erhalten.',
+    'markdown.import': 'Markdown-Import',
+    'markdown.noneFound': 'Keine Markdown-Dokumente gefunden.',
+    'markdown.importFailed': 'Markdown-Import fehlgeschlagen',
+
+    'move.failed': 'Verschieben nicht möglich.',
+    'move.target': 'Zielordner',
+    'move.button': 'Verschieben',
+
+    'rename.prompt': 'Neuer Name',
+    'rename.failed': 'Fehler beim Umbenennen.',
+
+    'duplicate.notFound': 'Element nicht gefunden.',
+    'duplicate.failed': 'Kann nicht duplizieren.',
+
+    'delete.confirm': '„{name}“ in den Papierkorb verschieben?',
+    'delete.linked': { one: 'Achtung: 1 Eintrag verweist darauf', other: 'Achtung: {n} Einträge verweisen darauf' },
+    'delete.linksBroken': 'Diese Verweise sind ungültig, bis der Eintrag wiederhergestellt wird.',
+    'delete.failed': 'Fehler beim Löschen.',
+
+    'files.missing': 'Datei nicht gefunden'
+  },
+  en: {
+    'quoted': '“{text}”',
+
+    'cmd.renamed': '{from} renamed to {to}',
+    'cmd.moved': '{name} moved',
+    'cmd.trashed': '{name} deleted',
+    'cmd.restored': '{name} restored',
+    'cmd.importedUpgraded': '{name} imported (upgraded from format version {from} to {to})',
+    'cmd.imported': '{name} imported',
+    'cmd.merged': 'Merge',
+    'cmd.documentsImported': { one: '1 document imported', other: '{n} documents imported' },
+    'cmd.created': '{name} created',
+    'cmd.duplicated': '{name} duplicated',
+
+    'status.title': 'Status: {status}',
+    'status.overdueSince': 'Review overdue since {date}',
+    'status.draft': 'Draft',
+    'status.review': 'In review',
+    'status.approved': 'Approved',
+    'status.archived': 'Archived',
+
+    'save.saved': 'saved',
+    'save.dirty': 'not saved',
+    'save.saving': 'saving…',
+    'save.error': 'not saved (error)',
+    'save.unavailable': 'not saved (no local storage)',
+    'save.blocked': 'not saved (blocked)',
+    'save.loading': 'loading…',
+    'save.location': 'Stored in: {name}',
+    'save.noStorage': 'No storage available – please export regularly.',
+
+    'type.document': 'Document',
+    'type.folder': 'Folder',
+    'type.process': 'Process',
+    'type.organigram': 'Organisation chart',
+
+    'template.doc-empty': 'Empty document',
+    'template.doc-work-instruction': 'Work instruction',
+    'template.doc-job-description': 'Job description',
+    'template.doc-policy': 'Policy',
+    'template.folder-empty': 'Folder',
+    'template.process-simple': 'Simple flow',
+    'template.process-approval': 'Approval process',
+    'template.org-empty': 'Organisation chart',
+
+    'app.title': 'WBG Zentrum — Organisation handbook (Editor.js + BPMN)',
+    'app.subtitle': 'Organisation handbook',
+
+    'header.searchLabel': 'Search',
+    'header.search': 'Search...',
+    'header.filter': 'Filter',
+    'header.export': 'Export',
+    'header.exportSite': 'HTML export',
+    'header.exportSiteTitle': 'Read-only HTML version with a print view',
+    'header.import': 'Import',
+    'header.ackReport': 'Acknowledgements',
+    'header.ackReportTitle': 'Outstanding acknowledgements per document and person',
+    'header.userTitle': 'Who is working on this device? Manage people',
+    'header.language': 'Language',
+    'header.signIn': 'Sign in',
+
+    'nav.label': 'Navigation',
+    'nav.tree': 'Handbook',
+
+    'trash.title': 'Recycle bin',
+    'trash.emptyAll': 'Empty recycle bin',
+    'trash.hint': 'Deleted entries stay here until they are deleted permanently. In the tree, Ctrl+Z undoes the last change and Ctrl+Y redoes it.',
+    'trash.isEmpty': 'The recycle bin is empty.',
+    'trash.entry': 'from {from}, deleted on {date}',
+    'trash.restore': 'Restore',
+    'trash.purge': 'Delete permanently',
+    'trash.entries': { one: '{n} entry', other: '{n} entries' },
+    'trash.confirmPurge': 'Delete {what} permanently? Once the page is closed this cannot be undone.',
+    'trash.purged': '{what} deleted permanently',
+
+    'welcome.title': 'Welcome',
+    'welcome.hint': 'Choose an entry on the left.',
+
+    'notFound.title': 'Not found',
+    'notFound.home': 'Back to the start page',
+    'notFound.trashed': '{name} was deleted and is in the recycle bin, where it can be restored.',
+    'notFound.id': 'There is no entry with the id {id}. It was deleted or belongs to another handbook.',
+    'notFound.hash': 'The address {hash} does not point to an entry.',
+
+    'meta.label': 'Category and tags',
+    'meta.category': 'Category',
+    'meta.edit': 'edit',
+    'meta.add': 'Add category and tags',
+    'meta.tagsInput': 'Tags (separated by commas)',
+    'meta.tags': 'Tags',
+    'meta.tag': 'Tag',
+    'meta.tagUnused': 'No entry carries this tag.',
+    'meta.noCategory': 'No category',
+
+    'folder.lint': 'Process check',
+    'folder.empty': 'This folder is empty.',
+    'folder.noProcesses': 'No processes in this folder.',
+    'folder.lintIssues': { one: '{count} of {n} process has open problems.', other: '{count} of {n} processes have open problems.' },
+    'folder.lintClean': { one: 'The process has no findings.', other: 'All {n} processes without findings.' },
+
+    'common.history': 'History',
+    'common.edit': 'Edit',
+    'common.save': 'Save',
+    'common.cancel': 'Cancel',
+    'common.remove': 'Remove',
+    'common.none': 'None.',
+    'common.apply': 'Apply',
+    'common.name': 'Name',
+    'common.close': 'Close',
+    'common.ok': 'OK',
+
+    'lifecycle.label': 'Lifecycle',
+    'lifecycle.status': 'Status',
+    'lifecycle.owner': 'Owner',
+    'lifecycle.approver': 'Approved by',
+    'lifecycle.approvedAt': 'Approved on',
+    'lifecycle.validFrom': 'Valid from',
+    'lifecycle.reviewDue': 'Next review',
+    'lifecycle.overdue': 'Review overdue',
+    'lifecycle.archived': 'Archived – no longer valid.',
+    'lifecycle.noApproved': 'No approved version yet.',
+    'lifecycle.approvedVersion': 'Approved version of {date}.',
+    'lifecycle.showingDraft': 'Showing: draft. The approved version is from {date}.',
+    'lifecycle.showApproved': 'Show approved version',
+    'lifecycle.showingApproved': 'Showing: approved version of {date}. There is a newer draft.',
+    'lifecycle.showDraft': 'Show draft',
+    'lifecycle.differences': 'Differences',
+    'lifecycle.needApprover': 'Please enter first who approves (“Approved by”).',
+    'lifecycle.saveFirst': 'Please save first – the saved version is what gets approved.',
+    'lifecycle.noContent': 'An entry without content cannot be approved.',
+
+    'ack.label': 'Acknowledgement',
+    'ack.doneBy': 'Acknowledged by {name} on {date}',
+    'ack.confirm': 'Acknowledge',
+    'ack.changedSince': 'The document has changed since your last acknowledgement.',
+    'ack.requiredForYou': 'Required reading for you – not yet acknowledged.',
+    'ack.requiredFor': { one: 'Required reading for {units} – {done} of 1 person has acknowledged.', other: 'Required reading for {units} – {done} of {n} people have acknowledged.' },
+    'ack.report': 'Report',
+    'ack.notRequired': 'Not required reading.',
+    'ack.setRequired': 'Set required reading',
+    'ack.whoConfirms': 'Please add who acknowledges under “People” and select them as “Me”.',
+    'ack.noUnits': 'There are no organisational units yet. Please first add positions with units in an org chart.',
+    'ack.mandatoryHint': 'Everyone in the chosen units and their sub-units has to acknowledge the document.',
+    'ack.required': 'Required reading',
+    'ack.state.confirmed': 'acknowledged',
+    'ack.state.again': 'to acknowledge again',
+    'ack.state.open': 'open',
+    'ack.group': 'Group',
+    'ack.byDocument': 'by document',
+    'ack.byPerson': 'by person',
+    'ack.onlyOpen': 'open only',
+    'ack.exportCsv': 'Export CSV',
+    'ack.noRows': 'No required reading with assigned people.',
+    'ack.progress': '{done} of {n} acknowledged',
+    'ack.allDone': 'All acknowledgements are in.',
+    'ack.csv.document': 'Document',
+    'ack.csv.person': 'Person',
+    'ack.csv.units': 'Organisational units',
+    'ack.csv.status': 'Status',
+    'ack.csv.at': 'Acknowledged on',
+    'ack.csv.version': 'Acknowledged version of',
+
+    'history.label': 'Version history',
+    'history.beforeVersioning': 'before versioning',
+    'history.none': 'No versions saved yet.',
+    'history.asOf': 'As of',
+    'history.noneAtDate': 'No version existed on that date.',
+    'history.date': 'Date',
+    'history.note': 'Note',
+    'history.pick': 'Version of {date} as {slot}',
+    'history.minor': 'editorial',
+    'history.approved': 'approved',
+    'history.restore': 'Restore',
+    'history.compare': 'Comparison',
+    'history.noDifferences': 'No differences.',
+    'history.restoreConfirm': 'Restore the version of {date}? The current state stays in the history.',
+    'history.restoreFailed': 'Restoring failed.',
+
+    'links.backlinks': 'Links to this page',
+    'links.gone': 'The linked entry no longer exists.',
+    'links.none': 'No entries link to this page.',
+
+    'edit.notePlaceholder': 'Change note (optional)',
+    'edit.note': 'Change note',
+    'edit.minor': 'Editorial change only (acknowledgements stay valid)',
+    'edit.hint': 'Editor: Editor.js (WYSIWYG). Changes are written to the JSON document on "Save".',
+    'edit.loadFailed': 'The editor could not be loaded. Check the console.',
+    'edit.missingSections': 'These mandatory sections are missing: {sections}. Save anyway?',
+    'edit.saved': 'Changes saved.',
+    'edit.saveFailed': 'Saving failed. Details in the console.',
+    'edit.savedFallback': 'Changes saved (fallback).',
+    'edit.invalidJson': 'Invalid JSON.',
+    'edit.discard': 'Discard unsaved changes?',
+
+    'process.import': 'Import',
+    'process.export': 'Export',
+    'process.new': 'New',
+    'process.properties': 'Properties',
+    'process.problems': 'Problems',
+    'process.loadFailed': 'bpmn-js could not be loaded. Details in the console.',
+    'process.xmlFailed': 'The BPMN XML could not be imported. Details in the console.',
+    'process.noneActive': 'No active process.',
+    'process.exportFailed': 'Export failed. Details in the console.',
+    'process.noneToImport': 'No active process to import into.',
+    'process.imported': 'BPMN imported and stored in the entry.',
+    'process.importFailed': 'Import failed. Details in the console.',
+    'process.created': 'New BPMN diagram created.',
+    'process.draftRestored': 'Unsaved diagram changes restored.',
+    'process.selectHint': 'Select a task, event or lane in the diagram to link documents and positions.',
+    'process.unlink': 'Remove link',
+    'process.documents': 'Documents',
+    'process.documentMissing': 'Document not found',
+    'process.linkDocument': 'Link document',
+    'process.positions': 'Positions',
+    'process.positionMissing': 'Position not found',
+    'process.choosePosition': 'Choose position',
+    'process.clickHint': 'Click a linked element to open the document.',
+    'process.ctrlClickHint': 'Ctrl+click on a linked element opens the document.',
+    'process.openLinkedDocument': 'Open linked document',
+    'process.openLinkedPosition': 'Open linked position in the org chart',
+    'process.openDocument': 'Open document',
+    'process.severalDocuments': 'This element is linked to several documents.',
+
+    'org.zoomOut': 'Zoom out',
+    'org.zoomReset': 'Reset zoom',
+    'org.zoomIn': 'Zoom in',
+    'org.addPosition': 'Add position',
+    'org.editPosition': 'Edit position',
+    'org.exportSvg': 'Export SVG',
+    'org.empty': 'No positions yet. Choose “Add position” in edit mode.',
+    'org.deputy': 'Deputy',
+    'org.done': 'Done',
+    'org.noJobDescription': 'No job description is linked to “{title}”.',
+    'org.needTitle': 'Please enter a title.',
+    'org.reportsToSelf': 'A position cannot report to itself or to a subordinate position.',
+    'org.title': 'Title',
+    'org.unit': 'Organisational unit',
+    'org.reportsTo': 'Reports to',
+    'org.topLevel': 'none (top level)',
+    'org.noneOption': 'none',
+    'org.jobDescription': 'Job description',
+    'org.holders': 'Position holders',
+    'org.email': 'Email',
+    'org.phone': 'Phone',
+    'org.removeConfirm': 'Remove the position “{title}”? Subordinate positions then report to the next level up.',
+    'org.moveUnderSelf': 'A position cannot be moved under itself or a subordinate position.',
+
+    'outline.title': 'Outline',
+    'outline.untitled': '(untitled)',
+
+    'dash.toRead': 'For you to acknowledge',
+    'dash.toReadEmpty': 'All mandatory documents acknowledged.',
+    'dash.changedSinceAck': 'content changed since you acknowledged it',
+    'dash.notAcknowledged': 'not acknowledged yet',
+    'dash.overdue': 'Review overdue',
+    'dash.overdueEmpty': 'No overdue reviews.',
+    'dash.dueSince': 'due since {date}',
+    'dash.owner': 'owner: {name}',
+    'dash.pending': 'Awaiting approval',
+    'dash.pendingEmpty': 'Nothing is awaiting approval.',
+    'dash.approvalBy': 'approval by {name}',
+    'dash.noApprover': 'no approver set',
+
+    'undo.undo': 'Undo',
+    'undo.redo': 'Redo',
+    'undo.nothing': 'Nothing to undo.',
+    'undo.nothingToRedo': 'Nothing to redo.',
+    'undo.undone': 'Undone: {label}',
+    'undo.undoFailed': 'Can no longer be undone: {label}',
+    'undo.redoFailed': 'Can no longer be redone: {label}',
+
+    'lint.counts': '{errors} error(s), {warnings} warning(s)',
+    'lint.persistFailed': 'The check rules could not be stored permanently.',
+    'lint.rules': 'Rules',
+    'lint.noProblems': 'No problems found.',
+    'lint.severity.off': 'Off',
+    'lint.severity.warning': 'Warning',
+    'lint.severity.error': 'Error',
+    'lint.severity.strict': 'Error (blocks saving)',
+    'lint.blocked.save': 'The diagram cannot be saved',
+    'lint.anyway.save': 'Save anyway?',
+    'lint.blocked.export': 'The diagram cannot be exported',
+    'lint.anyway.export': 'Export anyway?',
+    'lint.blocked.import': 'The diagram cannot be taken over',
+    'lint.anyway.import': 'Take it over anyway?',
+    'lint.errors': { one: 'The diagram has 1 error', other: 'The diagram has {n} errors' },
+    'lint.rule.flow-connected': 'Sequence flows have a source and a target',
+    'lint.rule.node-connected': 'Elements are connected to the flow',
+    'lint.rule.label-required': 'Tasks are named',
+    'lint.rule.gateway-branches': 'Branching gateways have several outgoing paths',
+    'lint.rule.start-event-required': 'Every flow has a start event',
+    'lint.rule.end-event-required': 'Every flow has an end event',
+    'lint.title': 'Check rules for processes',
+    'lint.default': 'Default',
+
+    'picker.title': 'Link to entry',
+    'block.brokenLink': 'Link target not found',
+    'block.attachment': 'Attachment',
+    'block.unknownType': 'Unknown block type',
+    'block.renderFailed': 'This block could not be displayed.',
+    'picker.search': 'Search entry…',
+    'picker.searchLabel': 'Search entry',
+    'picker.target': 'Link target',
+    'picker.link': 'Link',
+
+    'doc.noContent': 'No content available.',
+
+    'translation.available': 'Translations: {languages}',
+    'translation.outdatedShort': 'outdated',
+    'translation.outdated': 'Translation ({language}) outdated: the German original has changed since.',
+    'translation.shown': 'Translation ({language}).',
+    'translation.showOriginal': 'Show German original',
+    'translation.original': 'German original.',
+    'translation.ofDraft': 'The translation ({language}) belongs to a draft that is not approved yet; the approved German original is shown.',
+    'translation.showTranslation': 'Show translation ({language})',
+    'translation.missing': 'No translation ({language}) yet, showing the German original.',
+    'translation.translate': 'Translate',
+    'translation.editing': 'Translation ({language}): saving ties it to the current German version.',
+
+    'editor.warningTitle': 'Caution',
+    'editor.warningMessage': 'Notice text',
+    'editor.imageCaption': 'Caption',
+    'editor.imageButton': 'Choose image',
+    'editor.attachButton': 'Attach file',
+    'editor.attachError': 'The file could not be stored',
+    'editor.noImageUrls': 'Images are not loaded from a web address. Please save the image file and upload it.',
+
+    'templates.persistFailed': 'The template could not be stored permanently.',
+    'templates.label': 'Template',
+    'templates.custom': 'custom template',
+    'templates.requiredSections': 'Mandatory sections',
+    'templates.delete': 'Delete template “{name}”',
+    'templates.create': 'Create',
+    'templates.needName': 'Please enter a name and choose a template.',
+    'templates.createFailed': 'The entry could not be created.',
+    'templates.notPossible': 'This entry cannot be saved as a template.',
+    'templates.name': 'Template name',
+    'templates.saved': 'Template “{name}” saved.',
+
+    'unsaved.title': 'Unsaved changes',
+    'unsaved.document': 'The document “{name}” has unsaved changes.',
+    'unsaved.process': 'The process “{name}” has unsaved changes.',
+    'unsaved.stay': 'Stay here',
+    'unsaved.discard': 'Discard',
+
+    'users.deletedUnit': 'deleted unit',
+    'users.hint': 'The list of people is stored with the handbook, the “Me” choice only on this device.',
+    'users.noUnits': 'Organisational units can be chosen once an org chart has units.',
+    'users.person': 'Person',
+    'users.me': 'Me',
+    'users.units': 'Organisational units',
+    'users.remove': 'Remove person',
+    'users.title': 'People',
+
+    'site.exporting': 'Exporting',
+    'site.failed': 'HTML export failed. Details in the console.',
+
+    'import.how': 'How should “{name}” be taken over?',
+    'import.merge': 'Merge',
+    'import.mergeHint': 'adds new entries and asks about conflicts.',
+    'import.replace': 'Replace',
+    'import.replaceHint': 'discards the current state completely.',
+    'import.filesFailed': 'The images and attachments from the file could not be stored.',
+    'import.conflicts': { one: '1 conflict', other: '{n} conflicts' },
+    'import.mergeDone': 'Merge complete: {added} added, {replaced} taken over, {copies} as copies, {kept} unchanged.',
+    'import.additions': { one: '1 new entry is added without asking.', other: '{n} new entries are added without asking.' },
+    'import.keep.mine': 'Keep mine',
+    'import.keep.theirs': 'Take theirs',
+    'import.keep.both': 'Keep both',
+    'import.all': 'All',
+    'import.sameId': 'Same ID, different content ({mine} ↔ {theirs})',
+    'import.inFileAt': 'in the file at “{path}”',
+    'import.sameName': 'Same name, different ID ({mine} ↔ {theirs})',
+    'import.blocks': { one: '1 block', other: '{n} blocks' },
+    'import.bpmnElements': { one: '1 BPMN element', other: '{n} BPMN elements' },
+    'import.asOf': 'as of {date}',
+    'import.rejected': '“{name}” was not imported, the current state is kept.',
+    'import.problems': 'Problems found ({n})',
+    'import.more': 'and {n} more.',
+    'import.failed': 'Import failed',
+    'restore.failed': 'Stored handbook not loaded',
+    'restore.backedUp': 'The stored handbook could not be loaded, starting with the default content. A copy was kept under “{key}”.',
+    'restore.blocked': 'The stored handbook could not be loaded, starting with the default content. So that it is not overwritten, nothing is saved in this session – please export what you want to keep.',
+    'validate.file': '(file)',
+    'validate.notJson': 'not valid JSON: {error}',
+    'validate.notObject': 'not a JSON object',
+    'validate.format': 'expected "{format}"',
+    'validate.noRoot': 'must contain at least one root entry',
+    'validate.nodeNotObject': 'entry is not an object',
+    'validate.missing': 'missing',
+    'validate.type': 'unknown type "{type}" (allowed: {allowed})',
+    'validate.text': 'must be text',
+    'validate.tags': 'must be a list of tags (text)',
+    'validate.order': 'must be a list of ids',
+    'validate.children': 'must be an object { name: entry }',
+    'validate.slash': 'name must not contain "/"',
+    'validate.list': 'must be a list',
+    'validate.object': 'must be an object',
+    'validate.bpmn': 'must be BPMN XML (text) or null',
+    'validate.orgData': 'needs the lists units, positions and people',
+    'validate.status': 'unknown status "{status}" (allowed: {allowed})',
+    'validate.date': 'must be a date YYYY-MM-DD',
+    'validate.approvedRevision': 'does not refer to an existing version',
+    'validate.users': 'must be a list of people { id, name, units }',
+    'validate.mandatoryFor': 'must be a list of organisational units { nodeId, unitId }',
+    'validate.acknowledgements': 'must be a list of confirmations { userId, revisionId, at }',
+    'validate.trashEntry': 'needs { name, node, parentId, index }',
+    'validate.revisions': 'must be a list of versions with id',
+    'validate.translations': 'must be an object { language: translation }',
+    'validate.sourceRevision': 'must be a version id',
+    'validate.files': 'must be an object { id: file }',
+    'validate.fileEntry': 'needs { name, type, data } with Base64 content',
+    'validate.tooNew': 'The file has format version {version}, supported up to {max}. Please update the application.',
+    'validate.unknownVersion': 'Unknown format version.',
+    'validate.noMigration': 'No migration from version {version} available.',
+
+    'newName.document': 'New document',
+    'newName.folder': 'New folder',
+    'newName.process': 'New process',
+    'newName.organigram': 'New org chart',
+
+    'facets.all': 'All',
+    'facets.type': 'Type',
+    'facets.noTags': 'No tags assigned yet.',
+    'facets.reset': 'Reset filters',
+
+    'search.noResults': 'No results',
+
+    'menu.new': 'New: {type}',
+    'menu.rename': 'Rename',
+    'menu.duplicate': 'Duplicate',
+    'menu.delete': 'Delete',
+    'menu.moveUp': 'Move up',
+    'menu.moveDown': 'Move down',
+    'menu.moveTo': 'Move to',
+    'menu.saveTemplate': 'Save as template',
+    'menu.mdExport': 'Export as Markdown',
+    'menu.mdImport': 'Import Markdown',
+
+    'markdown.noDocuments': 'This folder contains no documents.',
+    'markdown.exportAs': { one: 'Export 1 document from “{name}” as', other: 'Export {n} documents from “{name}” as' },
+    'markdown.single': 'One file',
+    'markdown.zip': 'ZIP with folder structure',
+    'markdown.oneFile': 'Only one Markdown file can be imported into a document.',
+    'markdown.replaceConfirm': 'Replace the content of “{name}” with “{file}”? The current state stays in the history.',
+    'markdown.import': 'Markdown import',
+    'markdown.noneFound': 'No Markdown documents found.',
+    'markdown.importFailed': 'Markdown import failed',
+
+    'move.failed': 'Cannot move.',
+    'move.target': 'Target folder',
+    'move.button': 'Move',
+
+    'rename.prompt': 'New name',
+    'rename.failed': 'Renaming failed.',
+
+    'duplicate.notFound': 'Element not found.',
+    'duplicate.failed': 'Cannot duplicate.',
+
+    'delete.confirm': 'Move “{name}” to the recycle bin?',
+    'delete.linked': { one: 'Caution: 1 entry links to it', other: 'Caution: {n} entries link to it' },
+    'delete.linksBroken': 'These links stay broken until the entry is restored.',
+    'delete.failed': 'Deleting failed.',
+
+    'files.missing': 'File not found'
+  },
+  tr: {
+    'quoted': '“{text}”',
+
+    'cmd.renamed': '{from}, {to} olarak yeniden adlandırıldı',
+    'cmd.moved': '{name} taşındı',
+    'cmd.trashed': '{name} silindi',
+    'cmd.restored': '{name} geri yüklendi',
+    'cmd.importedUpgraded': '{name} içe aktarıldı (biçim sürümü {from} → {to} güncellendi)',
+    'cmd.imported': '{name} içe aktarıldı',
+    'cmd.merged': 'Birleştirme',
+    'cmd.documentsImported': { one: '1 belge içe aktarıldı', other: '{n} belge içe aktarıldı' },
+    'cmd.created': '{name} oluşturuldu',
+    'cmd.duplicated': '{name} çoğaltıldı',
+
+    'status.title': 'Durum: {status}',
+    'status.overdueSince': 'İnceleme {date} tarihinden beri gecikmede',
+    'status.draft': 'Taslak',
+    'status.review': 'İncelemede',
+    'status.approved': 'Onaylandı',
+    'status.archived': 'Arşivlendi',
+
+    'save.saved': 'kaydedildi',
+    'save.dirty': 'kaydedilmedi',
+    'save.saving': 'kaydediliyor…',
+    'save.error': 'kaydedilmedi (hata)',
+    'save.unavailable': 'kaydedilmedi (yerel depolama yok)',
+    'save.blocked': 'kaydedilmedi (engellendi)',
+    'save.loading': 'yükleniyor…',
+    'save.location': 'Depolama yeri: {name}',
+    'save.noStorage': 'Depolama kullanılamıyor – lütfen düzenli olarak dışa aktarın.',
+
+    'type.document': 'Belge',
+    'type.folder': 'Klasör',
+    'type.process': 'Süreç',
+    'type.organigram': 'Organizasyon şeması',
+
+    'template.doc-empty': 'Boş belge',
+    'template.doc-work-instruction': 'Çalışma talimatı',
+    'template.doc-job-description': 'Görev tanımı',
+    'template.doc-policy': 'Yönerge',
+    'template.folder-empty': 'Klasör',
+    'template.process-simple': 'Basit akış',
+    'template.process-approval': 'Onay süreci',
+    'template.org-empty': 'Organizasyon şeması',
+
+    'app.title': 'WBG Zentrum — Organizasyon el kitabı (Editor.js + BPMN)',
+    'app.subtitle': 'Organizasyon el kitabı',
+
+    'header.searchLabel': 'Ara',
+    'header.search': 'Ara...',
+    'header.filter': 'Filtre',
+    'header.export': 'Dışa aktar',
+    'header.exportSite': 'HTML dışa aktarımı',
+    'header.exportSiteTitle': 'Yazdırma görünümlü, salt okunur HTML sürümü',
+    'header.import': 'İçe aktar',
+    'header.ackReport': 'Okundu onayları',
+    'header.ackReportTitle': 'Belge ve kişi bazında bekleyen okundu onayları',
+    'header.userTitle': 'Bu cihazda kim çalışıyor? Kişileri yönet',
+    'header.language': 'Dil',
+    'header.signIn': 'Oturum aç',
+
+    'nav.label': 'Gezinme',
+    'nav.tree': 'El kitabı',
+
+    'trash.title': 'Çöp kutusu',
+    'trash.emptyAll': 'Çöp kutusunu boşalt',
+    'trash.hint': 'Silinen kayıtlar kalıcı olarak silinene kadar burada kalır. Ağaçta Ctrl+Z son değişikliği geri alır, Ctrl+Y yeniden uygular.',
+    'trash.isEmpty': 'Çöp kutusu boş.',
+    'trash.entry': '{from} konumundan, {date} tarihinde silindi',
+    'trash.restore': 'Geri yükle',
+    'trash.purge': 'Kalıcı olarak sil',
+    'trash.entries': '{n} kayıt',
+    'trash.confirmPurge': '{what} kalıcı olarak silinsin mi? Sayfa kapatıldıktan sonra bu geri alınamaz.',
+    'trash.purged': '{what} kalıcı olarak silindi',
+
+    'welcome.title': 'Hoş geldiniz',
+    'welcome.hint': 'Soldan bir kayıt seçin.',
+
+    'notFound.title': 'Bulunamadı',
+    'notFound.home': 'Başlangıç sayfasına dön',
+    'notFound.trashed': '{name} silindi ve geri yüklenebileceği çöp kutusunda duruyor.',
+    'notFound.id': '{id} kimlikli bir kayıt yok. Silinmiş ya da başka bir el kitabına ait.',
+    'notFound.hash': '{hash} adresi hiçbir kayda işaret etmiyor.',
+
+    'meta.label': 'Kategori ve etiketler',
+    'meta.category': 'Kategori',
+    'meta.edit': 'düzenle',
+    'meta.add': 'Kategori ve etiket ekle',
+    'meta.tagsInput': 'Etiketler (virgülle ayrılmış)',
+    'meta.tags': 'Etiketler',
+    'meta.tag': 'Etiket',
+    'meta.tagUnused': 'Bu etiketi taşıyan girdi yok.',
+    'meta.noCategory': 'Kategorisiz',
+
+    'folder.lint': 'Süreç denetimi',
+    'folder.empty': 'Bu klasör boş.',
+    'folder.noProcesses': 'Bu klasörde süreç yok.',
+    'folder.lintIssues': '{n} süreçten {count} tanesinde açık sorun var.',
+    'folder.lintClean': 'Tüm {n} süreç sorunsuz.',
+
+    'common.history': 'Geçmiş',
+    'common.edit': 'Düzenle',
+    'common.save': 'Kaydet',
+    'common.cancel': 'İptal',
+    'common.remove': 'Kaldır',
+    'common.none': 'Yok.',
+    'common.apply': 'Uygula',
+    'common.name': 'Ad',
+    'common.close': 'Kapat',
+    'common.ok': 'Tamam',
+
+    'lifecycle.label': 'Yaşam döngüsü',
+    'lifecycle.status': 'Durum',
+    'lifecycle.owner': 'Sorumlu',
+    'lifecycle.approver': 'Onaylayan',
+    'lifecycle.approvedAt': 'Onay tarihi',
+    'lifecycle.validFrom': 'Geçerlilik başlangıcı',
+    'lifecycle.reviewDue': 'Sonraki gözden geçirme',
+    'lifecycle.overdue': 'Gözden geçirme gecikti',
+    'lifecycle.archived': 'Arşivlendi – artık geçerli değil.',
+    'lifecycle.noApproved': 'Henüz onaylanmış sürüm yok.',
+    'lifecycle.approvedVersion': '{date} tarihli onaylı sürüm.',
+    'lifecycle.showingDraft': 'Gösterilen: taslak. Onaylı sürüm {date} tarihli.',
+    'lifecycle.showApproved': 'Onaylı sürümü göster',
+    'lifecycle.showingApproved': 'Gösterilen: {date} tarihli onaylı sürüm. Daha yeni bir taslak var.',
+    'lifecycle.showDraft': 'Taslağı göster',
+    'lifecycle.differences': 'Farklar',
+    'lifecycle.needApprover': 'Lütfen önce onaylayanı girin (“Onaylayan”).',
+    'lifecycle.saveFirst': 'Lütfen önce kaydedin – onaylanan, kaydedilmiş sürümdür.',
+    'lifecycle.noContent': 'İçeriği olmayan bir girdi onaylanamaz.',
+
+    'ack.label': 'Okundu onayı',
+    'ack.doneBy': '{name} tarafından {date} tarihinde okundu olarak onaylandı',
+    'ack.confirm': 'Okudum, anladım',
+    'ack.changedSince': 'Belge son onayınızdan bu yana değişti.',
+    'ack.requiredForYou': 'Sizin için zorunlu okuma – henüz onaylanmadı.',
+    'ack.requiredFor': { one: '{units} için zorunlu okuma – 1 kişiden {done} kişi onayladı.', other: '{units} için zorunlu okuma – {n} kişiden {done} kişi onayladı.' },
+    'ack.report': 'Rapor',
+    'ack.notRequired': 'Zorunlu okuma değil.',
+    'ack.setRequired': 'Zorunlu okumayı belirle',
+    'ack.whoConfirms': 'Lütfen onaylayan kişiyi “Kişiler” altında ekleyip “Ben” olarak seçin.',
+    'ack.noUnits': 'Henüz organizasyon birimi yok. Lütfen önce bir organizasyon şemasında birimli pozisyonlar ekleyin.',
+    'ack.mandatoryHint': 'Seçilen birimlerdeki ve alt birimlerindeki herkes belgeyi okuduğunu onaylamalıdır.',
+    'ack.required': 'Zorunlu okuma',
+    'ack.state.confirmed': 'onaylandı',
+    'ack.state.again': 'yeniden onaylanmalı',
+    'ack.state.open': 'açık',
+    'ack.group': 'Grupla',
+    'ack.byDocument': 'belgeye göre',
+    'ack.byPerson': 'kişiye göre',
+    'ack.onlyOpen': 'yalnızca açık olanlar',
+    'ack.exportCsv': 'CSV dışa aktar',
+    'ack.noRows': 'Kişi atanmış zorunlu okuma yok.',
+    'ack.progress': '{n} içinden {done} onaylandı',
+    'ack.allDone': 'Tüm onaylar alındı.',
+    'ack.csv.document': 'Belge',
+    'ack.csv.person': 'Kişi',
+    'ack.csv.units': 'Organizasyon birimleri',
+    'ack.csv.status': 'Durum',
+    'ack.csv.at': 'Onay tarihi',
+    'ack.csv.version': 'Onaylanan sürüm tarihi',
+
+    'history.label': 'Sürüm geçmişi',
+    'history.beforeVersioning': 'sürümlemeden önce',
+    'history.none': 'Henüz kaydedilmiş sürüm yok.',
+    'history.asOf': 'Tarih itibarıyla',
+    'history.noneAtDate': 'O tarihte henüz bir sürüm yoktu.',
+    'history.date': 'Tarih',
+    'history.note': 'Not',
+    'history.pick': '{date} tarihli sürüm {slot} olarak',
+    'history.minor': 'biçimsel',
+    'history.approved': 'onaylandı',
+    'history.restore': 'Geri yükle',
+    'history.compare': 'Karşılaştırma',
+    'history.noDifferences': 'Fark yok.',
+    'history.restoreConfirm': '{date} tarihli sürüm geri yüklensin mi? Mevcut durum geçmişte kalır.',
+    'history.restoreFailed': 'Geri yükleme başarısız.',
+
+    'links.backlinks': 'Bu sayfaya bağlantılar',
+    'links.gone': 'Bağlantı verilen kayıt artık yok.',
+    'links.none': 'Bu sayfaya bağlantı veren kayıt yok.',
+
+    'edit.notePlaceholder': 'Değişiklik notu (isteğe bağlı)',
+    'edit.note': 'Değişiklik notu',
+    'edit.minor': 'Yalnızca biçimsel değişiklik (okundu onayları geçerli kalır)',
+    'edit.hint': 'Düzenleyici: Editor.js (WYSIWYG). Değişiklikler "Kaydet" ile JSON belgesine aktarılır.',
+    'edit.loadFailed': 'Düzenleyici yüklenemedi. Konsolu kontrol edin.',
+    'edit.missingSections': 'Şu zorunlu bölümler eksik: {sections}. Yine de kaydedilsin mi?',
+    'edit.saved': 'Değişiklikler kaydedildi.',
+    'edit.saveFailed': 'Kaydetme başarısız. Ayrıntılar konsolda.',
+    'edit.savedFallback': 'Değişiklikler kaydedildi (yedek yöntem).',
+    'edit.invalidJson': 'Geçersiz JSON.',
+    'edit.discard': 'Kaydedilmemiş değişiklikler atılsın mı?',
+
+    'process.import': 'İçe aktar',
+    'process.export': 'Dışa aktar',
+    'process.new': 'Yeni',
+    'process.properties': 'Özellikler',
+    'process.problems': 'Sorunlar',
+    'process.loadFailed': 'bpmn-js yüklenemedi. Ayrıntılar konsolda.',
+    'process.xmlFailed': 'BPMN XML içe aktarılamadı. Ayrıntılar konsolda.',
+    'process.noneActive': 'Etkin süreç yok.',
+    'process.exportFailed': 'Dışa aktarma başarısız. Ayrıntılar konsolda.',
+    'process.noneToImport': 'İçe aktarılacak etkin süreç yok.',
+    'process.imported': 'BPMN içe aktarıldı ve girdiye kaydedildi.',
+    'process.importFailed': 'İçe aktarma başarısız. Ayrıntılar konsolda.',
+    'process.created': 'Yeni BPMN diyagramı oluşturuldu.',
+    'process.draftRestored': 'Diyagramdaki kaydedilmemiş değişiklikler geri yüklendi.',
+    'process.selectHint': 'Belge ve pozisyon bağlamak için diyagramda bir görev, olay veya kulvar seçin.',
+    'process.unlink': 'Bağlantıyı kaldır',
+    'process.documents': 'Belgeler',
+    'process.documentMissing': 'Belge bulunamadı',
+    'process.linkDocument': 'Belge bağla',
+    'process.positions': 'Pozisyonlar',
+    'process.positionMissing': 'Pozisyon bulunamadı',
+    'process.choosePosition': 'Pozisyon seçin',
+    'process.clickHint': 'Bağlı bir öğeye tıklama belgeyi açar.',
+    'process.ctrlClickHint': 'Bağlı bir öğeye Ctrl+tıklama belgeyi açar.',
+    'process.openLinkedDocument': 'Bağlı belgeyi aç',
+    'process.openLinkedPosition': 'Bağlı pozisyonu organizasyon şemasında aç',
+    'process.openDocument': 'Belgeyi aç',
+    'process.severalDocuments': 'Bu öğe birden fazla belgeye bağlı.',
+
+    'org.zoomOut': 'Uzaklaştır',
+    'org.zoomReset': 'Yakınlaştırmayı sıfırla',
+    'org.zoomIn': 'Yakınlaştır',
+    'org.addPosition': 'Pozisyon ekle',
+    'org.editPosition': 'Pozisyonu düzenle',
+    'org.exportSvg': 'SVG olarak dışa aktar',
+    'org.empty': 'Henüz pozisyon yok. Düzenleme modunda “Pozisyon ekle”yi seçin.',
+    'org.deputy': 'Vekil',
+    'org.done': 'Bitti',
+    'org.noJobDescription': '“{title}” için bağlı bir görev tanımı yok.',
+    'org.needTitle': 'Lütfen bir unvan girin.',
+    'org.reportsToSelf': 'Bir pozisyon kendisine veya alt pozisyonlarından birine bağlı olamaz.',
+    'org.title': 'Unvan',
+    'org.unit': 'Organizasyon birimi',
+    'org.reportsTo': 'Bağlı olduğu',
+    'org.topLevel': 'yok (en üst düzey)',
+    'org.noneOption': 'yok',
+    'org.jobDescription': 'Görev tanımı',
+    'org.holders': 'Pozisyon sahipleri',
+    'org.email': 'E-posta',
+    'org.phone': 'Telefon',
+    'org.removeConfirm': '“{title}” pozisyonu kaldırılsın mı? Alt pozisyonlar bundan sonra bir üst düzeye bağlanır.',
+    'org.moveUnderSelf': 'Bir pozisyon kendi altına veya alt pozisyonlarından birinin altına taşınamaz.',
+
+    'outline.title': 'Ana hatlar',
+    'outline.untitled': '(başlıksız)',
+
+    'dash.toRead': 'Okumanız gerekenler',
+    'dash.toReadEmpty': 'Tüm zorunlu belgeler onaylandı.',
+    'dash.changedSinceAck': 'onayınızdan sonra içerik değişti',
+    'dash.notAcknowledged': 'henüz onaylanmadı',
+    'dash.overdue': 'İncelemesi gecikenler',
+    'dash.overdueEmpty': 'Geciken inceleme yok.',
+    'dash.dueSince': '{date} tarihinden beri bekliyor',
+    'dash.owner': 'sorumlu: {name}',
+    'dash.pending': 'Onay bekleyenler',
+    'dash.pendingEmpty': 'Onay bekleyen bir şey yok.',
+    'dash.approvalBy': 'onaylayan: {name}',
+    'dash.noApprover': 'onaylayan kişi girilmemiş',
+
+    'undo.undo': 'Geri al',
+    'undo.redo': 'Yinele',
+    'undo.nothing': 'Geri alınacak bir şey yok.',
+    'undo.nothingToRedo': 'Yinelenecek bir şey yok.',
+    'undo.undone': 'Geri alındı: {label}',
+    'undo.undoFailed': 'Artık geri alınamaz: {label}',
+    'undo.redoFailed': 'Artık yinelenemez: {label}',
+
+    'lint.counts': '{errors} hata, {warnings} uyarı',
+    'lint.persistFailed': 'Denetim kuralları kalıcı olarak kaydedilemedi.',
+    'lint.rules': 'Kurallar',
+    'lint.noProblems': 'Sorun bulunamadı.',
+    'lint.severity.off': 'Kapalı',
+    'lint.severity.warning': 'Uyarı',
+    'lint.severity.error': 'Hata',
+    'lint.severity.strict': 'Hata (kaydetmeyi engeller)',
+    'lint.blocked.save': 'Diyagram kaydedilemez',
+    'lint.anyway.save': 'Yine de kaydedilsin mi?',
+    'lint.blocked.export': 'Diyagram dışa aktarılamaz',
+    'lint.anyway.export': 'Yine de dışa aktarılsın mı?',
+    'lint.blocked.import': 'Diyagram alınamaz',
+    'lint.anyway.import': 'Yine de alınsın mı?',
+    'lint.errors': { one: 'Diyagramda 1 hata var', other: 'Diyagramda {n} hata var' },
+    'lint.rule.flow-connected': 'Sıralı akışların kaynağı ve hedefi var',
+    'lint.rule.node-connected': 'Öğeler akışa bağlı',
+    'lint.rule.label-required': 'Görevlerin adı var',
+    'lint.rule.gateway-branches': 'Dallanan geçitlerin birden fazla çıkışı var',
+    'lint.rule.start-event-required': 'Her akışın bir başlangıç olayı var',
+    'lint.rule.end-event-required': 'Her akışın bir bitiş olayı var',
+    'lint.title': 'Süreç denetim kuralları',
+    'lint.default': 'Varsayılan',
+
+    'picker.title': 'Kayda bağlantı',
+    'block.brokenLink': 'Bağlantı hedefi bulunamadı',
+    'block.attachment': 'Ek',
+    'block.unknownType': 'Bilinmeyen blok türü',
+    'block.renderFailed': 'Bu blok görüntülenemedi.',
+    'picker.search': 'Kayıt ara…',
+    'picker.searchLabel': 'Kayıt ara',
+    'picker.target': 'Bağlantı hedefi',
+    'picker.link': 'Bağlantı ver',
+
+    'doc.noContent': 'İçerik yok.',
+
+    'translation.available': 'Çeviriler: {languages}',
+    'translation.outdatedShort': 'güncel değil',
+    'translation.outdated': 'Çeviri ({language}) güncel değil: Almanca asıl metin o zamandan beri değişti.',
+    'translation.shown': 'Çeviri ({language}).',
+    'translation.showOriginal': 'Almanca aslını göster',
+    'translation.original': 'Almanca asıl metin.',
+    'translation.ofDraft': 'Çeviri ({language}) henüz onaylanmamış bir taslağa ait; onaylı Almanca asıl metin gösteriliyor.',
+    'translation.showTranslation': 'Çeviriyi göster ({language})',
+    'translation.missing': 'Henüz çeviri ({language}) yok, Almanca asıl metin gösteriliyor.',
+    'translation.translate': 'Çevir',
+    'translation.editing': 'Çeviri ({language}): kaydedildiğinde güncel Almanca sürüme bağlanır.',
+
+    'editor.warningTitle': 'Dikkat',
+    'editor.warningMessage': 'Uyarı metni',
+    'editor.imageCaption': 'Resim altyazısı',
+    'editor.imageButton': 'Resim seç',
+    'editor.attachButton': 'Dosya ekle',
+    'editor.attachError': 'Dosya kaydedilemedi',
+    'editor.noImageUrls': 'Görseller web adresinden yüklenmez. Lütfen görsel dosyasını kaydedip yükleyin.',
+
+    'templates.persistFailed': 'Şablon kalıcı olarak kaydedilemedi.',
+    'templates.label': 'Şablon',
+    'templates.custom': 'özel şablon',
+    'templates.requiredSections': 'Zorunlu bölümler',
+    'templates.delete': '“{name}” şablonunu sil',
+    'templates.create': 'Oluştur',
+    'templates.needName': 'Lütfen bir ad girin ve şablon seçin.',
+    'templates.createFailed': 'Girdi oluşturulamadı.',
+    'templates.notPossible': 'Bu girdi şablon olarak kaydedilemez.',
+    'templates.name': 'Şablon adı',
+    'templates.saved': '“{name}” şablonu kaydedildi.',
+
+    'unsaved.title': 'Kaydedilmemiş değişiklikler',
+    'unsaved.document': '“{name}” belgesinde kaydedilmemiş değişiklikler var.',
+    'unsaved.process': '“{name}” sürecinde kaydedilmemiş değişiklikler var.',
+    'unsaved.stay': 'Burada kal',
+    'unsaved.discard': 'Vazgeç',
+
+    'users.deletedUnit': 'silinmiş birim',
+    'users.hint': 'Kişi listesi el kitabıyla birlikte, “Ben” seçimi yalnızca bu cihazda kaydedilir.',
+    'users.noUnits': 'Bir organizasyon şemasında birimler olduğunda organizasyon birimleri seçilebilir.',
+    'users.person': 'Kişi',
+    'users.me': 'Ben',
+    'users.units': 'Organizasyon birimleri',
+    'users.remove': 'Kişiyi kaldır',
+    'users.title': 'Kişiler',
+
+    'site.exporting': 'Dışa aktarılıyor',
+    'site.failed': 'HTML dışa aktarma başarısız. Ayrıntılar konsolda.',
+
+    'import.how': '“{name}” nasıl alınsın?',
+    'import.merge': 'Birleştir',
+    'import.mergeHint': 'yeni girdileri ekler ve çakışmalarda sorar.',
+    'import.replace': 'Değiştir',
+    'import.replaceHint': 'mevcut durumu tamamen atar.',
+    'import.filesFailed': 'Dosyadaki resimler ve ekler kaydedilemedi.',
+    'import.conflicts': { one: '1 çakışma', other: '{n} çakışma' },
+    'import.mergeDone': 'Birleştirme tamamlandı: {added} eklendi, {replaced} alındı, {copies} kopya olarak, {kept} değişmedi.',
+    'import.additions': { one: '1 yeni girdi sorulmadan eklenir.', other: '{n} yeni girdi sorulmadan eklenir.' },
+    'import.keep.mine': 'Benimkini koru',
+    'import.keep.theirs': 'Onlarınkini al',
+    'import.keep.both': 'İkisini de koru',
+    'import.all': 'Tümü',
+    'import.sameId': 'Aynı kimlik, farklı içerik ({mine} ↔ {theirs})',
+    'import.inFileAt': 'dosyada “{path}” altında',
+    'import.sameName': 'Aynı ad, farklı kimlik ({mine} ↔ {theirs})',
+    'import.blocks': { one: '1 blok', other: '{n} blok' },
+    'import.bpmnElements': { one: '1 BPMN öğesi', other: '{n} BPMN öğesi' },
+    'import.asOf': '{date} itibarıyla',
+    'import.rejected': '“{name}” içe aktarılmadı, mevcut durum korunuyor.',
+    'import.problems': 'Bulunan sorunlar ({n})',
+    'import.more': 've {n} tane daha.',
+    'import.failed': 'İçe aktarma başarısız',
+    'restore.failed': 'Kayıtlı el kitabı yüklenmedi',
+    'restore.backedUp': 'Kayıtlı el kitabı yüklenemedi, varsayılan içerikle başlatılıyor. Bir kopyası “{key}” altında saklandı.',
+    'restore.blocked': 'Kayıtlı el kitabı yüklenemedi, varsayılan içerikle başlatılıyor. Üzerine yazılmaması için bu oturumda hiçbir şey kaydedilmiyor – saklamak istediklerinizi lütfen dışa aktarın.',
+    'validate.file': '(dosya)',
+    'validate.notJson': 'geçerli JSON değil: {error}',
+    'validate.notObject': 'JSON nesnesi değil',
+    'validate.format': '"{format}" bekleniyor',
+    'validate.noRoot': 'en az bir kök kayıt içermelidir',
+    'validate.nodeNotObject': 'kayıt bir nesne değil',
+    'validate.missing': 'eksik',
+    'validate.type': 'bilinmeyen tür "{type}" (izin verilenler: {allowed})',
+    'validate.text': 'metin olmalıdır',
+    'validate.tags': 'etiket (metin) listesi olmalıdır',
+    'validate.order': 'id listesi olmalıdır',
+    'validate.children': '{ ad: kayıt } biçiminde bir nesne olmalıdır',
+    'validate.slash': 'ad "/" içeremez',
+    'validate.list': 'liste olmalıdır',
+    'validate.object': 'nesne olmalıdır',
+    'validate.bpmn': 'BPMN XML (metin) veya null olmalıdır',
+    'validate.orgData': 'units, positions ve people listelerini gerektirir',
+    'validate.status': 'bilinmeyen durum "{status}" (izin verilenler: {allowed})',
+    'validate.date': 'YYYY-AA-GG biçiminde bir tarih olmalıdır',
+    'validate.approvedRevision': 'mevcut bir sürüme karşılık gelmiyor',
+    'validate.users': 'kişi listesi { id, name, units } olmalıdır',
+    'validate.mandatoryFor': 'organizasyon birimi listesi { nodeId, unitId } olmalıdır',
+    'validate.acknowledgements': 'onay listesi { userId, revisionId, at } olmalıdır',
+    'validate.trashEntry': '{ name, node, parentId, index } gerektirir',
+    'validate.revisions': 'id içeren sürüm listesi olmalıdır',
+    'validate.translations': '{ dil: çeviri } biçiminde bir nesne olmalıdır',
+    'validate.sourceRevision': 'sürüm id\'si olmalıdır',
+    'validate.files': '{ id: dosya } biçiminde bir nesne olmalıdır',
+    'validate.fileEntry': 'Base64 içerikli { name, type, data } gerektirir',
+    'validate.tooNew': 'Dosyanın biçim sürümü {version}, en fazla {max} destekleniyor. Lütfen uygulamayı güncelleyin.',
+    'validate.unknownVersion': 'Bilinmeyen biçim sürümü.',
+    'validate.noMigration': '{version} sürümünden geçiş yok.',
+
+    'newName.document': 'Yeni belge',
+    'newName.folder': 'Yeni klasör',
+    'newName.process': 'Yeni süreç',
+    'newName.organigram': 'Yeni organizasyon şeması',
+
+    'facets.all': 'Tümü',
+    'facets.type': 'Tür',
+    'facets.noTags': 'Henüz etiket atanmadı.',
+    'facets.reset': 'Filtreleri sıfırla',
+
+    'search.noResults': 'Sonuç yok',
+
+    'menu.new': 'Yeni: {type}',
+    'menu.rename': 'Yeniden adlandır',
+    'menu.duplicate': 'Çoğalt',
+    'menu.delete': 'Sil',
+    'menu.moveUp': 'Yukarı taşı',
+    'menu.moveDown': 'Aşağı taşı',
+    'menu.moveTo': 'Şuraya taşı',
+    'menu.saveTemplate': 'Şablon olarak kaydet',
+    'menu.mdExport': 'Markdown olarak dışa aktar',
+    'menu.mdImport': 'Markdown içe aktar',
+
+    'markdown.noDocuments': 'Bu klasörde belge yok.',
+    'markdown.exportAs': { one: '“{name}” içinden 1 belgeyi şu biçimde dışa aktar:', other: '“{name}” içinden {n} belgeyi şu biçimde dışa aktar:' },
+    'markdown.single': 'Tek dosya',
+    'markdown.zip': 'Klasör yapılı ZIP',
+    'markdown.oneFile': 'Bir belgeye yalnızca tek bir Markdown dosyası aktarılabilir.',
+    'markdown.replaceConfirm': '“{name}” içeriği “{file}” ile değiştirilsin mi? Mevcut durum geçmişte kalır.',
+    'markdown.import': 'Markdown içe aktarma',
+    'markdown.noneFound': 'Markdown belgesi bulunamadı.',
+    'markdown.importFailed': 'Markdown içe aktarma başarısız',
+
+    'move.failed': 'Taşınamıyor.',
+    'move.target': 'Hedef klasör',
+    'move.button': 'Taşı',
+
+    'rename.prompt': 'Yeni ad',
+    'rename.failed': 'Yeniden adlandırma başarısız.',
+
+    'duplicate.notFound': 'Öğe bulunamadı.',
+    'duplicate.failed': 'Çoğaltılamıyor.',
+
+    'delete.confirm': '“{name}” çöp kutusuna taşınsın mı?',
+    'delete.linked': { one: 'Dikkat: 1 girdi buna bağlantı veriyor', other: 'Dikkat: {n} girdi buna bağlantı veriyor' },
+    'delete.linksBroken': 'Bu bağlantılar girdi geri yüklenene kadar geçersiz kalır.',
+    'delete.failed': 'Silme başarısız.',
+
+    'files.missing': 'Dosya bulunamadı'
+  }
+};
+
+function t(key, params = {}) { return tIn(uiLanguage, key, params); }
+// t() in a given language, for output that does not follow the UI (the HTML export stays German)
+function tIn(lang, key, params = {}) {
+  let msg = MESSAGES[lang || uiLanguage]?.[key] ?? MESSAGES[SOURCE_LANGUAGE][key];
+  if (msg === undefined) { console.warn(`Missing message "${key}"`); return key; }
+  if (typeof msg === 'object') msg = params.n === 1 ? msg.one : msg.other;
+  return msg.replace(/\{(\w+)\}/g, (m, k) => (params[k] ?? m));
+}
+function uiLocale() { return LANGUAGES[uiLanguage].locale; }
+// the German label maps (NODE_TYPE_LABELS, LIFECYCLE_STATUSES, …) keep serving the HTML export
+function typeLabel(type) { return NODE_TYPE_LABELS[type] ? t(`type.${type}`) : type; }
+function statusLabel(status) { return LIFECYCLE_STATUSES[status] ? t(`status.${status}`) : status; }
+function templateLabel(template) { return template.custom ? template.label : t(`template.${template.id}`); }
+function formatUiDate(iso) { return iso ? new Date(`${iso}T00:00:00`).toLocaleDateString(uiLocale()) : ''; }
+function formatUiDateTime(value) { return new Date(value).toLocaleString(uiLocale()); }
+function formatUiRevisionDate(rev) { return rev && rev.at ? formatUiDateTime(rev.at) : t('history.beforeVersioning'); }
+
+function setUiLanguage(lang) {
+  uiLanguage = LANGUAGES[lang] ? lang : SOURCE_LANGUAGE;
+  document.documentElement.lang = uiLanguage;
+  translatePage(document);
+}
+
+function translatePage(root) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  for (const attr of I18N_ATTRIBUTES) root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`))));
+}
+
+// the language a browser asks for, if there is a catalog for it
+function preferredLanguage() {
+  return (navigator.languages || [navigator.language]).map(l => String(l || '').slice(0, 2).toLowerCase()).find(l => LANGUAGES[l]) || SOURCE_LANGUAGE;
+}
+
+// a substantive German revision after the one the translation was made from makes it outdated
+function isTranslationOutdated(node, translation) {
+  const revisions = node?.revisions || []; const from = revisions.findIndex(r => r.id === translation.sourceRevision);
+  if (from < 0) return revisions.length > 0;
+  return revisions.slice(from + 1).some(r => !r.minor && r.editorData !== undefined);
+}
+
+/* UIManager (enhanced: Editor + BPMN wiring) */
+class UIManager {
+  constructor({ storage } = {}) {
+    setUiLanguage(preferredLanguage());
+    this.store = new TreeStore(JSON.parse(JSON.stringify(defaultData)));
+    const adapter = storage !== undefined ? storage : (IndexedDbStorage.isAvailable() ? new IndexedDbStorage() : null);
+    this.autosave = new AutoSaver(this.store, adapter, document.getElementById('save-status'));
+    this.files = new FileStore(adapter);
+    this.renderer = new TreeRenderer(document.getElementById('tree'), this.store);
+    this.currentPath = null;
+
+    // Editor instance
+    this._editorInstance = null;
+    this._editorReady = false;
+
+    // BPMN modeler instance
+    this._bpmnModeler = null;
+
+    this._bind();
+    this.renderer.onSelect = (path) => this._open(path);
+    this.renderer.onMove = (path, targetPath, position) => this._moveItem(path, targetPath, position);
+    this.renderer.onToggle = (ids) => this._persistTreeState(ids);
+    this.store.buildIndex();
+    this.renderer.render();
+    this._populateQuickAccess();
+
+    // tree context
+    document.getElementById('tree').addEventListener('tree-contextmenu', (e) => {
+      const { path, type, event } = e.detail; this._showContextMenu(path, type, event);
+    });
+    document.addEventListener('click', () => this._hideContextMenu());
+
+    this.customTemplates = [];
+    this.lintConfig = defaultLintConfig();
+    // read mode shows approved versions; editors switch drafts on (saving a document does it too)
+    this.showDrafts = false;
+    this.searchFacets = { type: '', status: '', tags: [] };
+    // language of the shown document content; null follows the UI language
+    this.contentLanguage = null;
+    this.currentUserId = null;
+    this.store.addEventListener('change', (e) => {
+      if (['users', 'import'].includes(e.detail.kind)) this._renderCurrentUser();
+      if (['trash', 'import'].includes(e.detail.kind)) this._renderTrashLink();
+    });
+    // navigation goes through the router: location hash <-> shown node (see "Hash router")
+    this.router = new HashRouter();
+    this.router.onRoute = (route) => this._route(route);
+    this.commands = new CommandStack();
+    // custom templates can hold files too, the cleanup after restoring must know them
+    this._templatesLoaded = this._loadTemplates();
+    this._restore().then(() => this.router.start());
+    this._loadLintConfig();
+    this._loadCurrentUser();
+    this._loadTreeState();
+    this._loadLanguage();
+  }
+
+  async _restore() {
+    // nothing can be edited until the stored handbook is in, it would replace those edits
+    const app = document.querySelector('.app-container'); app.setAttribute('inert', ''); app.setAttribute('aria-busy', 'true');
+    const restored = await this.autosave.restore();
+    app.removeAttribute('inert'); app.removeAttribute('aria-busy');
+    const failure = this.autosave.failure;
+    if (failure) this._showImportErrors(this.autosave.key, failure.errors, { title: t('restore.failed'), intro: failure.backupKey ? t('restore.backedUp', { key: failure.backupKey }) : t('restore.blocked') });
+    if (!restored) return;
+    // nothing outside the stored tree and the templates can reference a file yet (no editor, empty undo stack), so this is when they go
+    if (await this._templatesLoaded) {
+      const keep = [...this.store.fileIds(), ...handbookFileIds(this.customTemplates.map(template => template.node))];
+      this.files.prune(keep).catch(err => console.error('Cleaning up files failed', err));
+    }
+    this.store.buildIndex(); this.renderer.render(); this._populateQuickAccess();
+    this.currentPath = null; this._hideAllViews(); this._showWelcome();
+  }
+
+  _bind() {
+    document.getElementById('btn-export').addEventListener('click', () => this._export());
+    document.getElementById('btn-export-site').addEventListener('click', () => this._exportSite());
+    document.getElementById('btn-import').addEventListener('click', () => this._triggerImport());
+    document.getElementById('btn-user').addEventListener('click', () => this._editUsers());
+    const language = document.getElementById('ui-language');
+    language.innerHTML = Object.entries(LANGUAGES).map(([code, l]) => `<option value="${code}">${l.label}</option>`).join('');
+    language.value = uiLanguage;
+    language.addEventListener('change', () => this._setLanguage(language.value));
+    document.getElementById('btn-ack-report').addEventListener('click', () => this._ackReport());
+    document.getElementById('import-file').addEventListener('change', (e) => this._handleImport(e));
+    document.getElementById('edit-btn').addEventListener('click', () => this._enterEdit());
+    document.getElementById('save-btn').addEventListener('click', () => this._saveEdit());
+    document.getElementById('cancel-btn').addEventListener('click', () => this._cancelEdit({ ask: true }));
+    document.getElementById('edit-bpmn').addEventListener('click', () => this._editBpmn());
+    document.getElementById('save-bpmn').addEventListener('click', () => this._saveBpmn());
+    // one warning on unload: handbook changes not written yet, or unsaved editor / modeler changes
+    window.addEventListener('beforeunload', (e) => {
+      const pending = this.autosave.pending; if (pending) this.autosave.flush();
+      if (pending || this._hasUnsavedChanges()) { e.preventDefault(); e.returnValue = ''; }
+    });
+    document.getElementById('search-facets').addEventListener('toggle', (e) => { if (e.target.open) this._renderFacets(); });
+    document.getElementById('search-input').addEventListener('input', (e) => { clearTimeout(this._searchTimer); this._searchTimer = setTimeout(() => this._search(e.target.value), 150); });
+
+    // BPMN controls
+    document.getElementById('import-bpmn').addEventListener('click', () => document.getElementById('import-bpmn-file').click());
+    document.getElementById('import-bpmn-file').addEventListener('change', (e) => this._importBpmnFile(e));
+    document.getElementById('import-md-file').addEventListener('change', (e) => this._handleMarkdownImport(e));
+    document.getElementById('export-bpmn').addEventListener('click', () => this._exportBpmnXml());
+    document.getElementById('new-bpmn').addEventListener('click', () => this._newBpmn());
+
+    // internal links in read mode navigate inside the app
+    document.getElementById('doc-content').addEventListener('click', (e) => {
+      const a = e.target.closest('a[data-node-id]'); if (!a) return;
+      e.preventDefault(); this._openNodeById(a.dataset.nodeId);
+    });
+
+    // revision history
+    document.getElementById('history-btn').addEventListener('click', () => this._toggleHistory('doc'));
+    document.getElementById('process-history-btn').addEventListener('click', () => this._toggleHistory('bpmn'));
+
+    // organigram controls
+    document.getElementById('org-zoom-in').addEventListener('click', () => this._orgChart?.zoom(1.2));
+    document.getElementById('org-zoom-out').addEventListener('click', () => this._orgChart?.zoom(1 / 1.2));
+    document.getElementById('org-zoom-reset').addEventListener('click', () => this._orgChart?.resetView());
+    document.getElementById('org-edit').addEventListener('click', () => this._toggleOrgEdit());
+    document.getElementById('org-add').addEventListener('click', () => this._orgEditPosition(null));
+    document.getElementById('org-edit-pos').addEventListener('click', () => this._orgChart?.selectedId && this._orgEditPosition(this._orgChart.selectedId));
+    document.getElementById('org-remove').addEventListener('click', () => this._orgChart?.selectedId && this._orgRemovePosition(this._orgChart.selectedId));
+    document.getElementById('org-export-svg').addEventListener('click', () => this._exportOrgSvg());
+    document.getElementById('not-found-home').addEventListener('click', () => this.router.navigate({}));
+    document.getElementById('trash-empty').addEventListener('click', () => { const all = this.store.getTrash(); if (all.length) this._purgeTrash(all); });
+    // undo / redo of structural changes while the tree has focus (the tree itself ignores modified keys)
+    document.getElementById('tree').addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) { e.preventDefault(); this._undo(); }
+      else if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); this._redo(); }
+    });
+  }
+
+  _populateQuickAccess() {
+    const qa = document.getElementById('quick-access'); qa.innerHTML = '';
+    const roots = (this.store.index.length ? this.store.index : this.store.buildIndex()).slice(0, 6);
+    for (const r of roots) {
+      const btn = document.createElement('button'); btn.className = 'btn'; btn.textContent = `${r.icon || ''} ${r.name}`;
+      btn.addEventListener('click', () => this._open(r.path));
+      qa.appendChild(btn);
+    }
+    this._renderDashboard();
+    this._renderTagCloud(document.getElementById('tag-cloud'));
+  }
+
+  // welcome dashboard: own outstanding read confirmations, entries overdue for review or waiting for approval
+  _renderDashboard() {
+    const box = document.getElementById('lifecycle-dashboard'); box.innerHTML = '';
+    const today = todayIso(); const overdue = []; const pending = []; const toRead = [];
+    const user = this._currentUser();
+    const walk = (entries, path) => {
+      for (const [k, v] of entries) {
+        const p = path ? `${path}/${k}` : k;
+        if (user && v.type === 'document' && !this.store.validAcknowledgement(v, user.id) && this.store.requiredUsers(v).includes(user)) toRead.push({ path: p, node: v });
+        if (isReviewOverdue(v, today)) overdue.push({ path: p, node: v });
+        if (hasLifecycle(v) && lifecycleOf(v).status === 'review') pending.push({ path: p, node: v });
+        walk(TreeStore.childEntries(v), p);
+      }
+    };
+    walk(Object.entries(this.store.getRoot()), '');
+    overdue.sort((a, b) => a.node.lifecycle.reviewDue.localeCompare(b.node.lifecycle.reviewDue));
+    const section = (title, items, empty, detail) => {
+      const sec = document.createElement('section'); sec.className = 'dashboard-section';
+      const h = document.createElement('h3'); h.textContent = `${title} (${items.length})`; sec.appendChild(h);
+      if (!items.length) { const p = document.createElement('p'); p.className = 'muted'; p.textContent = empty; sec.appendChild(p); box.appendChild(sec); return; }
+      const ul = document.createElement('ul');
+      for (const it of items) {
+        const li = document.createElement('li'); const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'link-btn';
+        btn.textContent = `${it.node.icon || ''} ${it.path}`; btn.addEventListener('click', () => this._open(it.path));
+        li.appendChild(btn); li.insertAdjacentText('beforeend', ` – ${detail(it.node)}`); ul.appendChild(li);
+      }
+      sec.appendChild(ul); box.appendChild(sec);
+    };
+    if (user) section(t('dash.toRead'), toRead, t('dash.toReadEmpty'), n => (n.acknowledgements || []).some(a => a.userId === user.id) ? t('dash.changedSinceAck') : t('dash.notAcknowledged'));
+    section(t('dash.overdue'), overdue, t('dash.overdueEmpty'), (n) => { const lc = lifecycleOf(n); return `${t('dash.dueSince', { date: formatUiDate(lc.reviewDue) })}${lc.owner ? ` · ${t('dash.owner', { name: lc.owner })}` : ''}`; });
+    section(t('dash.pending'), pending, t('dash.pendingEmpty'), (n) => { const lc = lifecycleOf(n); return lc.approver ? t('dash.approvalBy', { name: lc.approver }) : t('dash.noApprover'); });
+  }
+
+  /* === Routing === */
+  // opens a node through the router, so the address bar and the browser history follow
+  _open(path, { anchor = null, replace = false } = {}) {
+    const node = this.store.getNode(path); if (!node) return Promise.resolve(false);
+    return this.router.navigate({ id: node.id, anchor }, { replace });
+  }
+
+  // router callback: welcome view, tag page, Papierkorb, a node (only scrolled when just the anchor changed) or "nicht gefunden";
+  // false keeps the current view
+  async _route(route) {
+    const path = route?.id ? this.store.findPathById(route.id) : null;
+    if (path && path === this.currentPath && route.anchor) { this._showAnchor(route.anchor); return true; }
+    if (!path) {
+      if (!(await this._confirmLeave())) { this.renderer.select(this.currentPath); return false; }
+      if (this._editorInstance) this._cancelEdit();
+      this.currentPath = null; this.renderer.select(null);
+      document.getElementById('breadcrumb').innerHTML = '';
+      this._hideAllViews(); this._renderOutline([]);
+      if (route?.tag) this._showTagPage(route.tag);
+      else if (route?.trash) this._showTrash();
+      else if (route && !route.id) this._showWelcome(); else this._showNotFound(route);
+      return true;
+    }
+    if ((await this.showItem(path, this.store.getNode(path).type)) === false) return false;
+    if (route.anchor) this._showAnchor(route.anchor);
+    return true;
+  }
+
+  _showNotFound(route) {
+    const trashed = route && this.store.getTrash().find(e => e.node.id === route.id);
+    document.getElementById('not-found-message').textContent = trashed
+      ? t('notFound.trashed', { name: quoted(trashed.name) })
+      : route
+        ? t('notFound.id', { id: quoted(route.id) })
+        : t('notFound.hash', { hash: quoted(location.hash) });
+    const view = document.getElementById('not-found-view'); view.classList.remove('hidden'); view.classList.add('active');
+  }
+
+  // heading id or block-<n> in the shown document, element id in the shown process
+  _showAnchor(anchor) {
+    const node = this.store.getNode(this.currentPath); if (!node) return;
+    if (node.type === 'process') { this._focusBpmnElement(anchor); return; }
+    if (node.type !== 'document') return;
+    const content = document.getElementById('doc-content');
+    const block = /^block-(\d+)$/.exec(anchor);
+    if (!block) { if (content.contains(document.getElementById(anchor))) this._scrollToAnchor(anchor); return; }
+    // block numbers come from the search index, which covers the latest German content, so they address the draft
+    if (this._shownLanguage(node) !== SOURCE_LANGUAGE) { this.contentLanguage = SOURCE_LANGUAGE; this._renderDocumentContent(node); }
+    if (!this.showDrafts && this.store.hasDraft(node)) this._toggleDrafts(true);
+    const el = content.querySelector(`[data-block-index="${block[1]}"]`);
+    if (el) { el.scrollIntoView({ behavior: 'smooth', block: 'center' }); el.classList.add('search-target'); setTimeout(() => el.classList.remove('search-target'), 2000); }
+  }
+
+  // after a structural change the shown node may have a new path (rename, move) or be gone (delete, undo, import);
+  // gone falls back to the welcome view without a history entry
+  _syncCurrentPath() {
+    if (!this.currentPath) { if (parseRoute(location.hash)?.trash) this._showTrash(); return; }
+    const id = parseRoute(location.hash)?.id; const path = id ? this.store.findPathById(id) : null;
+    if (!path) {
+      if (this._editorInstance) this._cancelEdit();
+      this.currentPath = null; this._currentBpmnNodePath = null; this._orgPath = null; this.router.navigate({}, { replace: true }); return;
+    }
+    if (path === this.currentPath) return;
+    // the open diagram / organigram is the shown node, its writes have to follow the new path
+    if (this._currentBpmnNodePath === this.currentPath) this._currentBpmnNodePath = path;
+    if (this._orgPath === this.currentPath) this._orgPath = path;
+    this.currentPath = path; this._updateBreadcrumb(path); this.renderer.select(path);
+    const title = document.querySelector('.view.active h2'); if (title) title.textContent = path.split('/').pop();
+  }
+
+  /* === Undo / redo and the Papierkorb === */
+  // runs a structural change through the command stack and offers to take it back
+  _execute(cmd) {
+    const result = this.commands.execute(cmd); if (!result) return result;
+    this._afterStructureChange();
+    this._toast(cmd.label, { label: t('undo.undo'), run: () => this._undo() });
+    return result;
+  }
+
+  async _undo() {
+    if (!this.commands.done.length) { this._toast(t('undo.nothing')); return; }
+    if (!(await this._confirmStructureChange())) return;
+    const step = this.commands.undo(); if (!step) return; const { cmd, ok } = step;
+    if (!ok) { this._toast(t('undo.undoFailed', { label: cmd.label })); return; }
+    this._afterStructureChange();
+    this._toast(t('undo.undone', { label: cmd.label }), { label: t('undo.redo'), run: () => this._redo() });
+  }
+
+  async _redo() {
+    if (!this.commands.undone.length) { this._toast(t('undo.nothingToRedo')); return; }
+    if (!(await this._confirmStructureChange())) return;
+    const step = this.commands.redo(); if (!step) return; const { cmd, ok } = step;
+    if (!ok) { this._toast(t('undo.redoFailed', { label: cmd.label })); return; }
+    this._afterStructureChange();
+    this._toast(cmd.label, { label: t('undo.undo'), run: () => this._undo() });
+  }
+
+  // changes that may take the edited document out of the tree (delete, undo/redo, import) ask about unsaved edits first
+  async _confirmStructureChange() { return !(this._editorInstance && this._docDirty) || this._confirmLeave(); }
+
+  _afterStructureChange() {
+    this.store.buildIndex(); this.renderer.render(); this._populateQuickAccess();
+    this._syncCurrentPath();
+  }
+
+  // one notice at a time at the bottom of the window, with an optional action ("Rückgängig")
+  _toast(message, action = null) {
+    const region = document.getElementById('toast-region'); region.innerHTML = ''; clearTimeout(this._toastTimer);
+    const toast = document.createElement('div'); toast.className = 'toast'; toast.textContent = message;
+    if (action) {
+      const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'link-btn'; btn.textContent = action.label;
+      btn.addEventListener('click', () => { region.innerHTML = ''; action.run(); });
+      toast.append(' — ', btn);
+    }
+    region.appendChild(toast);
+    this._toastTimer = setTimeout(() => toast.remove(), 8000);
+  }
+
+  _renderTrashLink() {
+    const n = this.store.getTrash().length;
+    document.getElementById('trash-count').textContent = n ? `(${n})` : '';
+  }
+
+  _showTrash() {
+    const list = document.getElementById('trash-list'); list.innerHTML = '';
+    const trash = this.store.getTrash();
+    document.getElementById('trash-empty').disabled = !trash.length;
+    if (!trash.length) list.innerHTML = `<li class="muted">${t('trash.isEmpty')}</li>`;
+    for (const entry of [...trash].reverse()) {
+      const li = document.createElement('li'); li.className = 'trash-entry';
+      const text = document.createElement('span');
+      text.textContent = `${entry.node.icon || ''} ${entry.name} – ${t('trash.entry', { from: entry.parentPath, date: formatUiDateTime(entry.deletedAt) })}`;
+      const restore = document.createElement('button'); restore.type = 'button'; restore.className = 'btn'; restore.textContent = t('trash.restore');
+      restore.addEventListener('click', () => this._execute(restoreCommand(this.store, entry)));
+      const purge = document.createElement('button'); purge.type = 'button'; purge.className = 'btn'; purge.textContent = t('trash.purge');
+      purge.addEventListener('click', () => this._purgeTrash([entry]));
+      li.append(text, restore, purge); list.appendChild(li);
+    }
+    const view = document.getElementById('trash-view'); view.classList.remove('hidden'); view.classList.add('active');
+  }
+
+  _purgeTrash(entries) {
+    const what = entries.length === 1 ? quoted(entries[0].name) : t('trash.entries', { n: entries.length });
+    if (!confirm(t('trash.confirmPurge', { what }))) return;
+    const label = t('trash.purged', { what });
+    this._execute(purgeCommand(this.store, entries.map(e => e.node.id), label));
+  }
+
+  async showItem(path, type) {
+    if (!(await this._confirmLeave())) { this.renderer.select(this.currentPath); return false; }
+    if (this._editorInstance) this._cancelEdit();
+    // language and draft choices belong to the node they were made on
+    if (path !== this.currentPath) { this.contentLanguage = null; this.showDrafts = false; }
+    this.currentPath = path;
+    this.renderer.select(path);
+    const node = this.store.getNode(path);
+    this._updateBreadcrumb(path);
+    this._hideAllViews();
+    this._renderOutline([]);
+    this._renderMeta(node, path);
+    if (type === 'document') return this._showDocument(node, path);
+    else if (type === 'process') return this._showProcess(node, path);
+    else if (type === 'organigram') return this._showOrganigram(node, path);
+    else if (type === 'folder' || type === 'root') return this._showFolder(node, path);
+    else return this._showWelcome();
+  }
+
+  _updateBreadcrumb(path) {
+    const bc = document.getElementById('breadcrumb'); bc.innerHTML = '';
+    const parts = path.split('/'); let accum = [];
+    parts.forEach((part, idx) => {
+      accum.push(part);
+      const btn = document.createElement('button'); btn.className = 'btn'; btn.textContent = part;
+      const p = accum.join('/');
+      btn.addEventListener('click', () => this._open(p));
+      bc.appendChild(btn);
+      if (idx < parts.length - 1) { const sep = document.createElement('span'); sep.textContent = '›'; sep.style.margin = '0 6px'; sep.style.color = 'var(--muted)'; bc.appendChild(sep); }
+    });
+  }
+
+  _hideAllViews() {
+    document.querySelectorAll('.view').forEach(v => v.classList.add('hidden'));
+    document.querySelectorAll('.view').forEach(v => v.classList.remove('active'));
+  }
+
+  _showWelcome() {
+    const welcome = document.getElementById('welcome'); welcome.classList.remove('hidden'); welcome.classList.add('active');
+  }
+
+  // folder overview: children and the lint state of all processes below the folder
+  _showFolder(node, path) {
+    document.getElementById('folder-title').textContent = path.split('/').pop();
+    const view = document.getElementById('folder-view'); view.classList.remove('hidden'); view.classList.add('active');
+    const list = document.getElementById('folder-children'); list.innerHTML = '';
+    for (const [k, c] of TreeStore.childEntries(node)) {
+      const li = document.createElement('li'); const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'link-btn';
+      btn.textContent = `${c.icon || ''} ${k}`; btn.addEventListener('click', () => this._open(`${path}/${k}`));
+      li.appendChild(btn); list.appendChild(li);
+    }
+    if (!list.children.length) list.innerHTML = `<li class="muted">${t('folder.empty')}</li>`;
+    this._renderFolderLint(node, path);
+  }
+
+  _renderFolderLint(node, path) {
+    const box = document.getElementById('folder-lint'); box.innerHTML = `<h3>${t('folder.lint')}</h3>`;
+    const processes = [];
+    const walk = (n, p) => { for (const [k, c] of TreeStore.childEntries(n)) { const cp = `${p}/${k}`; if (c.type === 'process' && c.content?.bpmnXml) processes.push({ path: cp, node: c }); walk(c, cp); } };
+    walk(node, path);
+    if (!processes.length) { box.insertAdjacentHTML('beforeend', `<p class="muted">${t('folder.noProcesses')}</p>`); return; }
+    const withIssues = processes.map(p => ({ ...p, findings: lintBpmn(p.node.content.bpmnXml, this.lintConfig) })).filter(p => p.findings.length);
+    const summary = document.createElement('p');
+    summary.textContent = withIssues.length ? t('folder.lintIssues', { count: withIssues.length, n: processes.length }) : t('folder.lintClean', { n: processes.length });
+    box.appendChild(summary);
+    if (!withIssues.length) return;
+    const ul = document.createElement('ul');
+    for (const p of withIssues) {
+      const errors = p.findings.filter(f => f.severity !== 'warning').length; const warnings = p.findings.length - errors;
+      const li = document.createElement('li'); const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'link-btn'; btn.textContent = p.path.slice(path.length + 1);
+      btn.addEventListener('click', () => this._open(p.path));
+      li.appendChild(btn); li.insertAdjacentText('beforeend', ` – ${t('lint.counts', { errors, warnings })}`); ul.appendChild(li);
+    }
+    box.appendChild(ul);
+  }
+
+  _showDocument(node, path) {
     document.getElementById('doc-title').textContent = path.split('/').pop();
+    document.getElementById('doc-history').classList.add('hidden');
     const view = document.getElementById('doc-view'); view.classList.remove('hidden'); view.classList.add('active');
     const content = document.getElementById('doc-content');
-    if (node && node.editorData && Array.isArray(node.editorData.blocks)) {
-      content.innerHTML = node.editorData.blocks.map(b => {
-        if (b.type === 'header') return `<h${b.data.level}>${this._escape(b.data.text)}</h${b.data.level}>`;
-        if (b.type === 'paragraph') return `<p>${this._escape(b.data.text)}</p>`;
-        if (b.type === 'list') {
-          if (b.data.style === 'ordered') return `<ol>${b.data.items.map(it => `<li>${this._escape(it)}</li>`).join('')}</ol>`;
-          else return `<ul>${b.data.items.map(it => `<li>${this._escape(it)}</li>`).join('')}</ul>`;
-        }
-        return `<div>${this._escape(JSON.stringify(b))}</div>`;
-      }).join('');
+    this._renderLifecycle('doc', node, path);
+    this._renderDocumentContent(node);
+    this._renderAcknowledgement(node, path);
+    this._renderBacklinks('doc-backlinks', node);
+    // hide editor controls
+    document.getElementById('editor-root').classList.add('hidden'); document.getElementById('editor-root').innerHTML = '';
+    document.getElementById('save-btn').classList.add('hidden'); document.getElementById('cancel-btn').classList.add('hidden');
+    document.getElementById('edit-btn').classList.remove('hidden');
+    content.focus();
+  }
+
+  // read mode shows the approved version; drafts only when switched on (this.showDrafts);
+  // in another UI language the translation, if there is one and read mode may show it (translations are not versioned)
+  _renderDocumentContent(node) {
+    const content = document.getElementById('doc-content');
+    const anchors = headingAnchors();
+    const lang = this._shownLanguage(node);
+    const approved = !this.showDrafts && this.store.hasDraft(node) ? this.store.approvedRevision(node) : null;
+    const data = lang !== SOURCE_LANGUAGE ? node.translations[lang].editorData : approved ? approved.editorData : node?.editorData;
+    content.lang = lang; this._renderTranslationBar(node, lang);
+    if (data && Array.isArray(data.blocks)) {
+      content.innerHTML = renderBlocks(data.blocks, { ...this._renderCtx(), headingId: anchors.headingId });
+      // one top-level element per block; the index lets search results jump to a block
+      Array.from(content.children).forEach((el, i) => { el.dataset.blockIndex = i; });
+      this._showFiles(content);
+    } else {
+      content.textContent = t('doc.noContent');
+    }
+    this._outlineForDocument(anchors.headings);
+  }
+
+  // the translation in the UI language unless the original was asked for (this.contentLanguage)
+  _shownLanguage(node) {
+    const lang = this.contentLanguage || uiLanguage;
+    return lang !== SOURCE_LANGUAGE && node?.translations?.[lang] && this._translationReleased(node, node.translations[lang]) ? lang : SOURCE_LANGUAGE;
+  }
+
+  // read mode keeps to the approved version: a translation made from a newer draft waits for that draft's approval
+  _translationReleased(node, translation) {
+    if (this.showDrafts || !this.store.hasDraft(node)) return true;
+    const revisions = node.revisions || []; const from = revisions.findIndex(r => r.id === translation.sourceRevision);
+    return from >= 0 && from <= revisions.indexOf(this.store.approvedRevision(node));
+  }
+
+  // which language is shown, whether the translation is outdated, and the switch between it and the original
+  _renderTranslationBar(node, shown) {
+    const bar = document.getElementById('doc-translation'); bar.innerHTML = ''; bar.className = 'translation-bar';
+    const available = Object.keys(node?.translations || {}).filter(l => LANGUAGES[l]);
+    const text = document.createElement('span'); const actions = [];
+    const action = (label, run) => { const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'link-btn'; btn.textContent = label; btn.addEventListener('click', run); actions.push(btn); };
+    const show = (lang) => { this.contentLanguage = lang; this._renderDocumentContent(node); };
+    const language = LANGUAGES[uiLanguage].label;
+    if (uiLanguage === SOURCE_LANGUAGE) {
+      if (!available.length) return;
+      text.textContent = t('translation.available', { languages: available.map(l => `${LANGUAGES[l].label}${isTranslationOutdated(node, node.translations[l]) ? ` (${t('translation.outdatedShort')})` : ''}`).join(', ') });
+    } else if (shown !== SOURCE_LANGUAGE) {
+      const outdated = isTranslationOutdated(node, node.translations[shown]);
+      bar.classList.add(outdated ? 'outdated' : 'current');
+      text.textContent = outdated ? t('translation.outdated', { language }) : t('translation.shown', { language });
+      action(t('translation.showOriginal'), () => show(SOURCE_LANGUAGE));
+    } else if (node?.translations?.[uiLanguage] && !this._translationReleased(node, node.translations[uiLanguage])) {
+      text.textContent = t('translation.ofDraft', { language });
+      action(t('lifecycle.showDraft'), () => this._toggleDrafts(true));
+    } else if (node?.translations?.[uiLanguage]) {
+      text.textContent = t('translation.original');
+      action(t('translation.showTranslation', { language }), () => show(null));
+    } else {
+      bar.classList.add('missing');
+      text.textContent = t('translation.missing', { language });
+      action(t('translation.translate'), () => this._enterEdit({ language: uiLanguage }));
+    }
+    bar.append(text, ...actions.flatMap(btn => [' ', btn]));
+  }
+
+  // images and attachments are rendered with data-file-id; their object URLs come from the FileStore
+  async _showFiles(root) {
+    for (const el of root.querySelectorAll('[data-file-id]')) {
+      const url = await this.files.url(el.dataset.fileId).catch(() => null);
+      if (url) { el.setAttribute(el.localName === 'img' ? 'src' : 'href', url); continue; }
+      el.classList.add('file-missing'); el.title = t('files.missing');
+    }
+  }
+
+  /* === Outline ("Gliederung") ===
+     - documents: nested table of contents of the header blocks, active entry follows the scroll position
+     - processes: lanes with their tasks; clicking centers and selects the element in the modeler
+  */
+  _renderOutline(items) {
+    const root = document.getElementById('outline-content'); root.innerHTML = '';
+    if (this._outlineScroll) { window.removeEventListener('scroll', this._outlineScroll); this._outlineScroll = null; }
+    if (!items.length) { root.textContent = '—'; return; }
+    const build = (list) => {
+      const ul = document.createElement('ul'); ul.className = 'outline-list';
+      for (const it of list) {
+        const li = document.createElement('li');
+        const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'outline-link'; btn.dataset.key = it.key; btn.textContent = it.label;
+        btn.addEventListener('click', () => it.onClick());
+        li.appendChild(btn);
+        if (it.children && it.children.length) li.appendChild(build(it.children));
+        ul.appendChild(li);
+      }
+      return ul;
+    };
+    root.appendChild(build(items));
+  }
+
+  _setOutlineActive(key) {
+    document.querySelectorAll('#outline-content .outline-link').forEach(b => {
+      const active = b.dataset.key === key; b.classList.toggle('active', active);
+      if (active) b.setAttribute('aria-current', 'location'); else b.removeAttribute('aria-current');
+    });
+  }
+
+  _outlineForDocument(headings) {
+    // nest by level: every heading becomes a child of the closest previous heading with a lower level
+    const roots = []; const stack = [];
+    for (const h of headings) {
+      const item = { key: h.id, label: h.text || t('outline.untitled'), level: h.level, children: [], onClick: () => this._open(this.currentPath, { anchor: h.id, replace: true }) };
+      while (stack.length && stack[stack.length - 1].level >= h.level) stack.pop();
+      (stack.length ? stack[stack.length - 1].children : roots).push(item); stack.push(item);
+    }
+    this._renderOutline(roots);
+    if (!headings.length) return;
+    let frame = null;
+    this._outlineScroll = () => {
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        let current = headings[0].id;
+        for (const h of headings) { const el = document.getElementById(h.id); if (el && el.getBoundingClientRect().top <= 120) current = h.id; }
+        this._setOutlineActive(current);
+      });
+    };
+    window.addEventListener('scroll', this._outlineScroll, { passive: true });
+    this._outlineScroll();
+  }
+
+  _scrollToAnchor(id) {
+    const el = document.getElementById(id); if (!el) return;
+    el.scrollIntoView({ behavior: 'smooth', block: 'start' }); this._setOutlineActive(id);
+  }
+
+  _outlineForProcess() {
+    if (!this._bpmnModeler) return;
+    const registry = this._bpmnModeler.get('elementRegistry');
+    const isTask = (e) => /Task$/.test(e.type) || e.type === 'bpmn:SubProcess' || e.type === 'bpmn:CallActivity';
+    const label = (e) => e.businessObject?.name || e.id;
+    const item = (e, children = []) => ({ key: e.id, label: label(e), children, onClick: () => this._open(this.currentPath, { anchor: e.id, replace: true }) });
+    const tasks = registry.filter(isTask);
+    const inLane = new Set();
+    const lanes = registry.filter(e => e.type === 'bpmn:Lane').map(lane => {
+      const refs = new Set((lane.businessObject.flowNodeRef || []).map(r => r.id));
+      const laneTasks = tasks.filter(t => refs.has(t.id)); laneTasks.forEach(t => inLane.add(t.id));
+      return item(lane, laneTasks.map(t => item(t)));
+    });
+    this._renderOutline([...lanes, ...tasks.filter(t => !inLane.has(t.id)).map(t => item(t))]);
+  }
+
+  // centers the element at the current zoom; zooms out only as far as needed for it to fit
+  _focusBpmnElement(id) {
+    if (!this._bpmnModeler) return;
+    const element = this._bpmnModeler.get('elementRegistry').get(id); if (!element) return;
+    const canvas = this._bpmnModeler.get('canvas'); const view = canvas.viewbox();
+    const points = element.waypoints || [{ x: element.x, y: element.y }, { x: element.x + element.width, y: element.y + element.height }];
+    const xs = points.map(p => p.x); const ys = points.map(p => p.y);
+    const box = { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+    const margin = 40; const grow = Math.max(1, (box.width + 2 * margin) / view.width, (box.height + 2 * margin) / view.height);
+    const width = view.width * grow; const height = view.height * grow;
+    canvas.viewbox({ x: box.x + box.width / 2 - width / 2, y: box.y + box.height / 2 - height / 2, width, height });
+    this._bpmnModeler.get('selection').select(element);
+  }
+
+  /* === Internal links & backlinks === */
+  _renderCtx() {
+    return {
+      resolveNodeLink: (id) => { const path = this.store.findPathById(id); return path ? { href: formatRoute({ id }), title: path } : null; }
+    };
+  }
+
+  _openNodeById(id) {
+    const path = this.store.findPathById(id);
+    if (!path) { alert(t('links.gone')); return; }
+    this._open(path);
+  }
+
+  _renderBacklinks(containerId, node) {
+    const box = document.getElementById(containerId); box.innerHTML = '';
+    const links = node ? this.store.backlinksTo(node.id) : [];
+    const h = document.createElement('h3'); h.textContent = t('links.backlinks'); box.appendChild(h);
+    if (links.length === 0) { const p = document.createElement('p'); p.className = 'muted'; p.textContent = t('links.none'); box.appendChild(p); return; }
+    const ul = document.createElement('ul');
+    for (const l of links) {
+      const li = document.createElement('li'); const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'link-btn'; btn.textContent = l.path;
+      btn.addEventListener('click', () => this._open(l.path));
+      li.appendChild(btn); ul.appendChild(li);
+    }
+    box.appendChild(ul);
+  }
+
+  // picker for the inline link tool (and BPMN links, limited to `types`); resolves to { id, path } or null
+  async _pickNode({ types, title = t('picker.title') } = {}) {
+    const entries = this.store.buildIndex().filter(i => i.type !== 'root' && (!types || types.includes(i.type))).map(i => ({ ...i, id: this.store.getNode(i.path)?.id })).filter(i => i.id);
+    const body = document.createElement('div'); body.className = 'node-picker';
+    const input = document.createElement('input'); input.className = 'search-input'; input.placeholder = t('picker.search'); input.setAttribute('aria-label', t('picker.searchLabel'));
+    const list = document.createElement('select'); list.size = 10; list.setAttribute('aria-label', t('picker.target'));
+    const fill = () => {
+      const q = normalizeGerman(input.value.trim());
+      list.innerHTML = entries.filter(e => !q || normalizeGerman(e.path).includes(q)).map(e => `<option value="${escapeHtml(e.id)}">${escapeHtml(`${e.icon || ''} ${e.path}`)}</option>`).join('');
+      if (list.options.length) list.selectedIndex = 0;
+    };
+    input.addEventListener('input', fill); fill();
+    body.appendChild(input); body.appendChild(list);
+    const res = await this._modal(title, body, [{ id: 'cancel', label: t('common.cancel') }, { id: 'ok', label: t('picker.link'), primary: true }]);
+    if (res !== 'ok' || !list.value) return null;
+    return entries.find(e => e.id === list.value) || null;
+  }
+
+  /* === EDITOR INTEGRATION ===
+     - On _enterEdit(): ensureEditor() -> create EditorJS instance in #editorjs container inside #editor-root
+     - On save: call editor.save() to collect data and persist into node.editorData
+  */
+  // language: the translation to edit (a new one starts from the German content); default is what is shown
+  async _enterEdit({ language } = {}) {
+    const node = this.store.getNode(this.currentPath);
+    if (!node || node.type !== 'document') return;
+    const lang = this._editLanguage = language || this._shownLanguage(node);
+    const source = lang === SOURCE_LANGUAGE ? node.editorData : node.translations?.[lang]?.editorData || node.editorData;
+
+    // prepare editor container; translations have no revisions, so no change note
+    const editorRoot = document.getElementById('editor-root');
+    editorRoot.classList.remove('hidden'); editorRoot.innerHTML = `
+      <div id="editorjs" lang="${lang}"></div>
+      ${lang === SOURCE_LANGUAGE ? `<input id="doc-change-note" class="search-input change-note" placeholder="${t('edit.notePlaceholder')}" aria-label="${t('edit.note')}" />
+      <label class="minor-change"><input id="doc-minor-change" type="checkbox" /> ${t('edit.minor')}</label>` : `<p class="translation-bar">${escapeHtml(t('translation.editing', { language: LANGUAGES[lang].label }))}</p>`}
+      <div style="margin-top:8px;">
+        <small style="color:var(--muted)">${t('edit.hint')}</small>
+      </div>
+    `;
+
+    document.getElementById('save-btn').classList.remove('hidden'); document.getElementById('cancel-btn').classList.remove('hidden'); document.getElementById('edit-btn').classList.add('hidden');
+    this._setDocDirty(false);
+
+    try {
+      // lazy load Editor.js + tools
+      const lib = await ensureEditor(); // loads EditorJS and tools, returns {EditorJS, tools}
+      const EditorJS = lib.EditorJS;
+      const tools = lib.tools;
+
+      // Destroy previous instance if exists
+      if (this._editorInstance && typeof this._editorInstance.destroy === 'function') {
+        try { await this._editorInstance.destroy(); } catch (e) { /* ignore */ }
+        this._editorInstance = null;
+      }
+
+      // Initialize Editor.js
+      this._editorInstance = new EditorJS({
+        holder: 'editorjs',
+        autofocus: true,
+        data: await this.files.withUrls(source),
+        tools: {
+          header: { class: tools.header, shortcut: 'CMD+SHIFT+H' },
+          list: { class: tools.list, shortcut: 'CMD+SHIFT+L' },
+          quote: { class: tools.quote, shortcut: 'CMD+SHIFT+Q' },
+          code: { class: tools.code },
+          delimiter: tools.delimiter ? { class: tools.delimiter } : undefined,
+          marker: tools.marker ? { class: tools.marker } : undefined,
+          checklist: tools.checklist ? { class: tools.checklist } : undefined,
+          table: tools.table ? { class: tools.table, inlineToolbar: true } : undefined,
+          warning: tools.warning ? { class: tools.warning, inlineToolbar: true, config: { titlePlaceholder: t('editor.warningTitle'), messagePlaceholder: t('editor.warningMessage') } } : undefined,
+          image: tools.image ? { class: tools.image, config: { uploader: this._fileUploader(), captionPlaceholder: t('editor.imageCaption'), buttonContent: t('editor.imageButton') } } : undefined,
+          attaches: tools.attaches ? { class: tools.attaches, config: { uploader: this._fileUploader(), buttonText: t('editor.attachButton'), errorMessage: t('editor.attachError') } } : undefined,
+          nodeLink: { class: NodeLinkTool, config: { pick: () => this._pickNode() } }
+        },
+        onReady: () => {
+          this._editorReady = true;
+        },
+        onChange: () => this._setDocDirty(true)
+      });
+    } catch (err) {
+      console.error('Editor initialization failed', err);
+      alert(t('edit.loadFailed'));
+      // fallback: show raw JSON textarea
+      const editorRootFallback = document.getElementById('editor-root'); editorRootFallback.innerHTML = '';
+      const ta = document.createElement('textarea'); ta.className = 'form'; ta.style.width = '100%'; ta.style.minHeight = '220px';
+      ta.value = JSON.stringify(source || { blocks: [] }, null, 2);
+      editorRootFallback.appendChild(ta);
+    }
+  }
+
+  // uploader for the image and attachment tools: the file goes into the local FileStore, the block keeps
+  // its id; pasted image URLs are not fetched (no requests to arbitrary other sites), the user gets told why
+  _fileUploader() {
+    return {
+      uploadByFile: async (file) => {
+        const ref = await this.files.put(file);
+        return { success: 1, file: { ...ref, url: await this.files.url(ref.id) } };
+      },
+      uploadByUrl: async () => { this._toast(t('editor.noImageUrls')); return { success: 0 }; }
+    };
+  }
+
+  // reopen: false when called from the leave guard (navigation follows); resolves to true once saved
+  async _saveEdit({ reopen = true } = {}) {
+    const node = this.store.getNode(this.currentPath);
+    if (!node || node.type !== 'document') return false;
+    if (this._editorInstance && this._editorReady && typeof this._editorInstance.save === 'function') {
+      try {
+        const output = FileStore.withoutUrls(await this._editorInstance.save());
+        const missing = this._editLanguage === SOURCE_LANGUAGE ? this._missingSections(node, output) : [];
+        if (missing.length && !confirm(t('edit.missingSections', { sections: missing.join(', ') }))) return false;
+        this._storeEdit(output);
+        this._setDocDirty(false); this._cancelEdit();
+        // re-render document and tree (the search index follows the store's change event)
+        this.renderer.render(); this._populateQuickAccess();
+        if (reopen) { await this.showItem(this.currentPath, node.type); alert(t('edit.saved')); }
+        return true;
+      } catch (err) {
+        console.error('Save failed', err); alert(t('edit.saveFailed')); return false;
+      }
     } else {
-      content.textContent = 'Kein Inhalt verfügbar.';
+      // fallback: if editor isn't available (e.g., textarea)
+      const ta = document.querySelector('#editor-root textarea');
+      if (ta) {
+        try {
+          const json = JSON.parse(ta.value);
+          this._storeEdit(json); this.renderer.render(); this._populateQuickAccess();
+          this.showItem(this.currentPath, node.type); alert(t('edit.savedFallback'));
+          return true;
+        } catch (e) { alert(t('edit.invalidJson')); }
+      }
+      return false;
     }
-    // hide editor controls
+  }
+
+  // German content becomes a revision (and the draft is shown), a translation is tied to the current revision
+  _storeEdit(editorData) {
+    if (this._editLanguage !== SOURCE_LANGUAGE) { this.store.setTranslation(this.currentPath, this._editLanguage, editorData); return; }
+    this.store.setEditorData(this.currentPath, editorData, { note: this._changeNote('doc-change-note'), minor: !!document.getElementById('doc-minor-change')?.checked });
+    this.showDrafts = true;
+  }
+
+  _cancelEdit({ ask = false } = {}) {
+    if (ask && this._docDirty && !confirm(t('edit.discard'))) return;
+    this._setDocDirty(false);
+    // destroy editor if present
+    if (this._editorInstance && typeof this._editorInstance.destroy === 'function') {
+      try { this._editorInstance.destroy(); } catch (e) { /* ignore */ }
+    }
+    this._editorInstance = null; this._editorReady = false;
     document.getElementById('editor-root').classList.add('hidden'); document.getElementById('editor-root').innerHTML = '';
     document.getElementById('save-btn').classList.add('hidden'); document.getElementById('cancel-btn').classList.add('hidden');
     document.getElementById('edit-btn').classList.remove('hidden');
-    content.focus();
   }
 
-  _escape(s) { if (!s) return ''; return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); }
+  /* === BPMN Integration ===
+     - ensureBpmn() loads the modeler constructor and we instantiate it in #bpmn-canvas.
+     - We provide import/export XML and a "new" starter diagram
+     - a process opens in read mode (no modeling, a click on a linked element opens it); "Bearbeiten" starts modeling
+  */
+  async _showProcess(node, path) {
+    document.getElementById('process-title').textContent = path.split('/').pop();
+    document.getElementById('process-history').classList.add('hidden');
+    // read mode shows the approved version like documents do; "Bearbeiten" switches to the working copy
+    const approved = !this.showDrafts && this.store.hasDraft(node) ? this.store.approvedRevision(node) : null;
+    this._bpmnApprovedView = !!approved;
+    this._setBpmnEditing(false);
+    this._renderLifecycle('bpmn', node, path);
+    this._renderBacklinks('process-backlinks', node);
+    const view = document.getElementById('process-view'); view.classList.remove('hidden'); view.classList.add('active');
+    const canvas = document.getElementById('bpmn-canvas');
+    canvas.innerHTML = ''; // container for bpmn modeler
+    // initialize modeler
+    try {
+      const BpmnJS = await ensureBpmn(); // returns constructor
+      // destroy previous modeler if exists
+      if (this._bpmnModeler) { try { this._bpmnModeler.destroy(); } catch (e) { /* ignore */ } this._bpmnModeler = null; }
+      this._bpmnModeler = new BpmnJS({ container: '#bpmn-canvas', moddleExtensions: { orgbuch: ORGBUCH_MODDLE } });
+      this._bpmnModeler.on('commandStack.changed', () => { this._outlineForProcess(); this._bpmnLinkMarkers(); this._renderBpmnProperties(); this._scheduleBpmnSync(); });
+      this._bpmnModeler.on('selection.changed', (e) => { this._setOutlineActive(e.newSelection?.[0]?.id); this._renderBpmnProperties(); });
+      // a click follows the links in read mode; while modeling it selects, Ctrl/Cmd+click follows them
+      this._bpmnModeler.on('element.click', (e) => { if (!this._bpmnEditing || e.originalEvent?.ctrlKey || e.originalEvent?.metaKey) this._openBpmnLinks(e.element); });
+      // in read mode every modeling rule says no, and labels are not edited in place
+      this._bpmnModeler.on('commandStack.canExecute', 5000, () => (this._bpmnEditing ? undefined : false));
+      this._bpmnModeler.on('element.dblclick', 5000, () => (this._bpmnEditing ? undefined : false));
+
+      // remember current node for export etc.
+      this._currentBpmnNodePath = path;
+      this._currentBpmnNode = node;
+      this._bpmnSavedXml = node?.content?.bpmnXml;
+      // If node.content.bpmnXml exists, import it; otherwise create default diagram
+      const xml = approved ? approved.bpmnXml : node?.content?.bpmnXml || this._defaultBpmnXml();
+      const modeler = this._bpmnModeler;
+      await this._importXmlToModeler(xml);
+      // unsaved changes from an earlier visit come back on top of the saved state, so they stay dirty
+      const draft = approved ? null : await this._loadBpmnDraft(node);
+      if (draft && modeler === this._bpmnModeler) {
+        this._setBpmnEditing(true); await modeler.importXML(draft); this._setBpmnDirty(true);
+        this._outlineForProcess(); this._bpmnLinkMarkers(); this._renderBpmnProperties();
+        this._toast(t('process.draftRestored'));
+      }
+    } catch (err) {
+      console.error('BPMN init failed', err); alert(t('process.loadFailed'));
+    }
+  }
+
+  // read mode (the default) vs. modeling: palette, context pad and the saving controls only while modeling
+  _setBpmnEditing(on) {
+    this._bpmnEditing = on;
+    document.getElementById('process-view').classList.toggle('read-only', !on);
+    document.getElementById('edit-bpmn').classList.toggle('hidden', on);
+    for (const id of ['bpmn-change-note', 'save-bpmn', 'import-bpmn', 'new-bpmn']) document.getElementById(id).classList.toggle('hidden', !on);
+    this._renderBpmnProperties();
+  }
+
+  // the approved version is never modeled: editing starts from the working copy
+  async _editBpmn() {
+    if (this._bpmnApprovedView) { this.showDrafts = true; await this._showProcess(this.store.getNode(this.currentPath), this.currentPath); }
+    this._setBpmnEditing(true);
+  }
+
+  _defaultBpmnXml() {
+    // minimal valid BPMN diagram (simple process)
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI" xmlns:dc="http://www.omg.org/spec/DD/20100524/DC" id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+  <process id="Process_1" isExecutable="false">
+    <startEvent id="StartEvent_1" name="Start" />
+    <task id="Task_1" name="Aufgabe" />
+    <endEvent id="EndEvent_1" name="Ende" />
+    <sequenceFlow id="Flow_1" sourceRef="StartEvent_1" targetRef="Task_1" />
+    <sequenceFlow id="Flow_2" sourceRef="Task_1" targetRef="EndEvent_1" />
+  </process>
+  <bpmndi:BPMNDiagram id="BPMNDiagram_1">
+    <bpmndi:BPMNPlane id="BPMNPlane_1" bpmnElement="Process_1"/>
+  </bpmndi:BPMNDiagram>
+</definitions>`;
+  }
+
+  async _importXmlToModeler(xml) {
+    if (!this._bpmnModeler) return;
+    try {
+      await this._bpmnModeler.importXML(xml);
+      // what the modeler serializes right after import is the clean state dirty tracking compares against
+      this._bpmnBaseline = (await this._bpmnModeler.saveXML({ format: true })).xml; this._setBpmnDirty(false);
+      this._outlineForProcess(); this._bpmnLinkMarkers(); this._renderBpmnProperties();
+      this._renderLintFindings(lintBpmn(this._bpmnBaseline, this.lintConfig));
+    } catch (err) {
+      console.error('Import XML error', err);
+      alert(t('process.xmlFailed'));
+    }
+  }
+
+  // download only; "Speichern" records the version in the handbook
+  async _exportBpmnXml() {
+    if (!this._bpmnModeler || !this._currentBpmnNode) { alert(t('process.noneActive')); return; }
+    try {
+      const result = await this._bpmnModeler.saveXML({ format: true });
+      const xml = result.xml;
+      if (!this._lintGate(lintBpmn(xml, this.lintConfig), 'export')) return;
+      const blob = new Blob([xml], { type: 'application/xml' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a'); a.href = url; a.download = `${this._currentBpmnNodePath.replace(/\//g, '_')}.bpmn`; a.click(); URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Export BPMN error', err); alert(t('process.exportFailed'));
+    }
+  }
+
+  async _importBpmnFile(e) {
+    const f = e.target.files?.[0]; if (!f) return;
+    const reader = new FileReader();
+    reader.onload = async (ev) => {
+      const xml = ev.target.result;
+      if (!this._bpmnModeler || !this._currentBpmnNode) {
+        alert(t('process.noneToImport'));
+        return;
+      }
+      try {
+        if (!this._lintGate(lintBpmn(xml, this.lintConfig), 'import')) return;
+        await this._importXmlToModeler(xml);
+        // save into node
+        this.store.setBpmnXml(this._currentBpmnNodePath, xml, { note: this._changeNote('bpmn-change-note') || `Import: ${f.name}` });
+        this._bpmnSavedXml = xml;
+        alert(t('process.imported'));
+      } catch (err) {
+        console.error('Import BPMN failed', err); alert(t('process.importFailed'));
+      }
+    };
+    reader.readAsText(f);
+  }
+
+  async _newBpmn() {
+    if (!this._bpmnModeler || !this._currentBpmnNode) return;
+    const xml = this._defaultBpmnXml();
+    await this._importXmlToModeler(xml);
+    this.store.setBpmnXml(this._currentBpmnNodePath, xml, { note: this._changeNote('bpmn-change-note') || 'Neues Diagramm' });
+    this._bpmnSavedXml = xml;
+    alert(t('process.created'));
+  }
+
+  /* === BPMN links ===
+     - the side panel edits the links of the selected element; changes go through modeling.updateProperties,
+       so they are undoable and written back like any other modeling command
+     - linked elements get a marker overlay; clicking it (or Ctrl+click on the element) opens the linked document
+  */
+  _renderBpmnProperties() {
+    const panel = document.getElementById('bpmn-properties'); if (!panel || !this._bpmnModeler) return;
+    const element = this._bpmnModeler.get('selection').get()[0]; const bo = element?.businessObject;
+    panel.innerHTML = `<h3>${t('process.properties')}</h3>`;
+    if (!bpmnLinkable(bo)) {
+      const p = document.createElement('p'); p.className = 'muted';
+      p.textContent = t('process.selectHint'); panel.appendChild(p); return;
+    }
+    const links = bpmnLinksOf(bo); const readOnly = !this._bpmnEditing;
+    const title = document.createElement('p'); title.innerHTML = `<strong>${escapeHtml(bo.name || bo.id)}</strong> <small class="muted">${escapeHtml(bo.$type.replace(/^bpmn:/, ''))}</small>`;
+    panel.appendChild(title);
+    const list = (heading, items, render, remove) => {
+      const h = document.createElement('h4'); h.textContent = heading; panel.appendChild(h);
+      if (!items.length) { const p = document.createElement('p'); p.className = 'muted'; p.textContent = t('common.none'); panel.appendChild(p); return; }
+      const ul = document.createElement('ul'); ul.className = 'bpmn-link-list';
+      items.forEach((it, i) => {
+        const li = document.createElement('li'); li.appendChild(render(it)); ul.appendChild(li);
+        if (readOnly) return;
+        const del = document.createElement('button'); del.type = 'button'; del.className = 'link-btn'; del.textContent = '✕'; del.setAttribute('aria-label', t('process.unlink'));
+        del.addEventListener('click', () => remove(i)); li.appendChild(del);
+      });
+      panel.appendChild(ul);
+    };
+    list(t('process.documents'), links.documents, (id) => {
+      const path = this.store.findPathById(id); const btn = document.createElement('button'); btn.type = 'button';
+      btn.className = path ? 'link-btn' : 'link-btn node-link-broken'; btn.textContent = path || t('process.documentMissing');
+      if (path) btn.addEventListener('click', () => this._openNodeById(id));
+      return btn;
+    }, (i) => this._setBpmnLinks(element, { ...links, documents: links.documents.filter((_, j) => j !== i) }));
+    const addDoc = document.createElement('button'); addDoc.type = 'button'; addDoc.className = 'btn'; addDoc.textContent = `${t('process.linkDocument')}…`;
+    addDoc.addEventListener('click', async () => {
+      const target = await this._pickNode({ types: ['document'], title: t('process.linkDocument') });
+      if (target && !links.documents.includes(target.id)) this._setBpmnLinks(element, { ...links, documents: [...links.documents, target.id] });
+    });
+    if (!readOnly) panel.appendChild(addDoc);
+
+    list(t('process.positions'), links.positions, (ref) => {
+      const label = this._orgPositionLabel(ref); const btn = document.createElement('button'); btn.type = 'button';
+      btn.className = label ? 'link-btn' : 'link-btn node-link-broken'; btn.textContent = label || t('process.positionMissing');
+      if (label) btn.addEventListener('click', () => this._openNodeById(ref.nodeId));
+      return btn;
+    }, (i) => this._setBpmnLinks(element, { ...links, positions: links.positions.filter((_, j) => j !== i) }));
+    const select = document.createElement('select'); select.setAttribute('aria-label', t('process.choosePosition'));
+    select.innerHTML = `<option value="">— ${t('process.choosePosition')} —</option>` + this.store.index.filter(i => i.type === 'organigram').map((i) => {
+      const org = this.store.getNode(i.path); const units = new Map((org?.orgData?.units || []).map(u => [u.id, u.name]));
+      const options = (org?.orgData?.positions || []).map(p => `<option value="${escapeHtml(JSON.stringify({ nodeId: org.id, positionId: p.id }))}">${escapeHtml(p.title)}${units.get(p.unitId) ? ` (${escapeHtml(units.get(p.unitId))})` : ''}</option>`).join('');
+      return options ? `<optgroup label="${escapeHtml(i.path)}">${options}</optgroup>` : '';
+    }).join('');
+    select.addEventListener('change', () => {
+      if (!select.value) return;
+      const ref = JSON.parse(select.value);
+      if (!links.positions.some(p => p.nodeId === ref.nodeId && p.positionId === ref.positionId)) this._setBpmnLinks(element, { ...links, positions: [...links.positions, ref] });
+    });
+    if (!readOnly) panel.appendChild(select);
+    const hint = document.createElement('p'); hint.className = 'muted'; hint.textContent = t(readOnly ? 'process.clickHint' : 'process.ctrlClickHint'); panel.appendChild(hint);
+  }
+
+  // "Stellentitel (Einheit) – Organigramm" or null when the organigram or position is gone
+  _orgPositionLabel({ nodeId, positionId }) {
+    const path = this.store.findPathById(nodeId); const data = path && this.store.getNode(path).orgData;
+    const pos = data?.positions?.find(p => p.id === positionId); if (!pos) return null;
+    const unit = data.units.find(u => u.id === pos.unitId);
+    return `${pos.title}${unit ? ` (${unit.name})` : ''} – ${path.split('/').pop()}`;
+  }
+
+  _setBpmnLinks(element, links) {
+    const modeler = this._bpmnModeler; if (!modeler) return;
+    const moddle = modeler.get('moddle'); const bo = element.businessObject;
+    const values = (bo.extensionElements?.values || []).filter(v => v.$type !== 'orgbuch:Links');
+    if (links.documents.length || links.positions.length) {
+      values.push(moddle.create('orgbuch:Links', {
+        documents: links.documents.map(nodeId => moddle.create('orgbuch:Document', { nodeId })),
+        positions: links.positions.map(p => moddle.create('orgbuch:Position', { nodeId: p.nodeId, positionId: p.positionId }))
+      }));
+    }
+    const extensionElements = values.length ? moddle.create('bpmn:ExtensionElements', { values }) : undefined;
+    modeler.get('modeling').updateProperties(element, { extensionElements });
+  }
+
+  _bpmnLinkMarkers() {
+    if (!this._bpmnModeler) return;
+    const overlays = this._bpmnModeler.get('overlays');
+    overlays.remove({ type: 'orgbuch-link' });
+    for (const element of this._bpmnModeler.get('elementRegistry').getAll()) {
+      if (!bpmnLinkable(element.businessObject) || element.labelTarget) continue;
+      const links = bpmnLinksOf(element.businessObject);
+      if (!links.documents.length && !links.positions.length) continue;
+      const marker = document.createElement('button'); marker.type = 'button'; marker.className = 'bpmn-link-marker';
+      marker.textContent = [links.documents.length ? `📄 ${links.documents.length}` : '', links.positions.length ? `👤 ${links.positions.length}` : ''].filter(Boolean).join(' ');
+      marker.title = links.documents.length ? t('process.openLinkedDocument') : t('process.openLinkedPosition');
+      marker.addEventListener('click', (e) => { e.stopPropagation(); this._openBpmnLinks(element); });
+      overlays.add(element.id, 'orgbuch-link', { position: { top: -12, right: 12 }, html: marker });
+    }
+  }
+
+  async _openBpmnLinks(element) {
+    const links = bpmnLinksOf(element?.businessObject);
+    const targets = links.documents.map(id => ({ id, path: this.store.findPathById(id) })).filter(target => target.path);
+    if (targets.length === 0) { if (links.positions.length) this._openNodeById(links.positions[0].nodeId); return; }
+    if (targets.length === 1) { this._openNodeById(targets[0].id); return; }
+    const choice = await this._modal(t('process.openDocument'), `<p>${t('process.severalDocuments')}</p>`,
+      [{ id: 'cancel', label: t('common.cancel') }, ...targets.map((target, i) => ({ id: target.id, label: target.path.split('/').pop(), primary: i === 0 }))]);
+    if (choice && choice !== 'cancel') this._openNodeById(choice);
+  }
+
+  /* === BPMN lint ===
+     - the active diagram is checked after import and (debounced, see _syncBpmn) after every modeling command
+     - findings are shown as overlays and in the problem list; the rule set is persisted (storage key "bpmn-lint")
+  */
+  async _lintActiveProcess() {
+    if (!this._bpmnModeler) return [];
+    let findings;
+    try { findings = lintBpmn((await this._bpmnModeler.saveXML()).xml, this.lintConfig); } catch (err) { console.error('Lint failed', err); return []; }
+    this._lintFindings = findings; this._renderLintFindings(findings); return findings;
+  }
+
+  _renderLintFindings(findings) {
+    const overlays = this._bpmnModeler?.get('overlays'); const registry = this._bpmnModeler?.get('elementRegistry');
+    if (overlays) {
+      overlays.remove({ type: 'orgbuch-lint' });
+      const byElement = new Map();
+      for (const f of findings) if (f.elementId && registry.get(f.elementId)) byElement.set(f.elementId, [...(byElement.get(f.elementId) || []), f]);
+      for (const [id, list] of byElement) {
+        const badge = document.createElement('div'); const error = list.some(f => f.severity !== 'warning');
+        badge.className = `bpmn-lint-badge${error ? ' error' : ''}`; badge.textContent = error ? '⛔' : '⚠'; badge.title = list.map(f => f.message).join('\n');
+        try { overlays.add(id, 'orgbuch-lint', { position: { top: -12, left: -12 }, html: badge }); } catch (err) { /* root elements have no shape */ }
+      }
+    }
+    const box = document.getElementById('bpmn-problems'); if (!box) return;
+    box.innerHTML = '';
+    const head = document.createElement('div'); head.className = 'bpmn-problems-head';
+    head.innerHTML = `<h3>${t('process.problems')} (${findings.length})</h3>`;
+    const rulesBtn = document.createElement('button'); rulesBtn.type = 'button'; rulesBtn.className = 'btn'; rulesBtn.textContent = `${t('lint.rules')}…`;
+    rulesBtn.addEventListener('click', () => this._editLintRules()); head.appendChild(rulesBtn); box.appendChild(head);
+    if (!findings.length) { box.insertAdjacentHTML('beforeend', `<p class="muted">${t('lint.noProblems')}</p>`); return; }
+    const ul = document.createElement('ul');
+    for (const f of findings) {
+      const li = document.createElement('li'); li.className = `lint-${f.severity === 'warning' ? 'warning' : 'error'}`;
+      const name = f.elementId ? registry?.get(f.elementId)?.businessObject?.name || f.elementId : '';
+      const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'link-btn';
+      btn.textContent = `${t(`lint.severity.${f.severity}`)}: ${f.message}${name ? ` – ${name}` : ''}`;
+      if (f.elementId) btn.addEventListener('click', () => this._focusBpmnElement(f.elementId));
+      li.appendChild(btn); ul.appendChild(li);
+    }
+    box.appendChild(ul);
+  }
+
+  // true if the action (save | export | import) may go ahead: strict findings block it, errors need confirmation, warnings pass
+  _lintGate(findings, action) {
+    const strict = findings.filter(f => f.severity === 'strict'); const errors = findings.filter(f => f.severity === 'error');
+    const lines = (list) => list.slice(0, 8).map(f => `• ${f.message}${f.elementId ? ` (${f.elementId})` : ''}`).join('\n');
+    if (strict.length) { alert(`${t(`lint.blocked.${action}`)}:\n${lines(strict)}`); return false; }
+    if (errors.length) return confirm(`${t('lint.errors', { n: errors.length })}:\n${lines(errors)}\n\n${t(`lint.anyway.${action}`)}`);
+    return true;
+  }
+
+  async _editLintRules() {
+    const body = document.createElement('div'); body.className = 'org-form';
+    for (const [id, rule] of Object.entries(BPMN_LINT_RULES)) {
+      const label = document.createElement('label'); label.textContent = t(`lint.rule.${id}`);
+      const select = document.createElement('select'); select.name = id;
+      select.innerHTML = Object.keys(LINT_SEVERITIES).map(v => `<option value="${v}"${this.lintConfig[id] === v ? ' selected' : ''}>${t(`lint.severity.${v}`)}</option>`).join('');
+      label.appendChild(select); body.appendChild(label);
+    }
+    const res = await this._modal(t('lint.title'), body, [{ id: 'reset', label: t('lint.default') }, { id: 'cancel', label: t('common.cancel') }, { id: 'ok', label: t('common.apply'), primary: true }]);
+    if (res === 'reset') this.lintConfig = defaultLintConfig();
+    else if (res === 'ok') this.lintConfig = { ...this.lintConfig, ...Object.fromEntries(Array.from(body.querySelectorAll('select')).map(sel => [sel.name, sel.value])) };
+    else return;
+    await this._persistLintConfig(); this._lintActiveProcess();
+  }
+
+  // expanded folders (node ids) are remembered per device, like the lint rules
+  async _loadTreeState() {
+    try {
+      const ids = await this.autosave.adapter?.load('tree-expanded');
+      if (Array.isArray(ids)) { this.renderer.expanded = new Set(ids); this.renderer.render(); }
+    } catch (err) { console.error('Loading tree state failed', err); }
+  }
+
+  async _persistTreeState(ids) {
+    try { await this.autosave.adapter?.save('tree-expanded', ids); } catch (err) { console.error('Saving tree state failed', err); }
+  }
+
+  async _loadLintConfig() {
+    try { this.lintConfig = { ...defaultLintConfig(), ...((await this.autosave.adapter?.load('bpmn-lint')) || {}) }; } catch (err) { console.error('Loading lint rules failed', err); }
+  }
+
+  async _persistLintConfig() {
+    try { await this.autosave.adapter?.save('bpmn-lint', this.lintConfig); } catch (err) { console.error('Saving lint rules failed', err); alert(t('lint.persistFailed')); }
+  }
+
+  // the UI language is remembered per device; without a stored choice the browser's language applies
+  async _loadLanguage() {
+    try {
+      const lang = await this.autosave.adapter?.load('language');
+      if (lang && LANGUAGES[lang] && lang !== uiLanguage) this._setLanguage(lang, { persist: false });
+    } catch (err) { console.error('Loading language failed', err); }
+  }
+
+  // static texts follow data-i18n; everything rendered from code is drawn again (an open editor stays as it is)
+  async _setLanguage(lang, { persist = true } = {}) {
+    setUiLanguage(lang);
+    document.getElementById('ui-language').value = uiLanguage;
+    this.contentLanguage = null;
+    this.autosave.refreshStatus();
+    // the tree, or the search results and facet count while a search is active
+    this._applyFacets(); this._populateQuickAccess(); this._renderCurrentUser(); this._renderTrashLink();
+    if (!this._editorInstance && !this._hasUnsavedChanges()) {
+      if (this.currentPath) await this.showItem(this.currentPath, this.store.getNode(this.currentPath).type);
+      else await this._route(parseRoute(location.hash));
+    }
+    if (!persist) return;
+    try { await this.autosave.adapter?.save('language', uiLanguage); } catch (err) { console.error('Saving language failed', err); }
+  }
+
+  /* === Unsaved changes ===
+     - document editor: dirty once Editor.js reports a change, until saved or cancelled
+     - modeler: every command-stack change stores the diagram as a draft beside the handbook (adapter key
+       bpmn-draft:<node id>), never in the node, so a reload cannot take it for the saved state; it is dirty while it
+       differs from the state after import, "Speichern" records a revision, discarding drops the draft
+     - showItem() (every navigation through the router, including back/forward) asks to save, discard or stay; page unload warns
+  */
+  _setDocDirty(dirty) { this._docDirty = dirty; document.getElementById('save-btn').classList.toggle('dirty', dirty); }
+
+  _setBpmnDirty(dirty) {
+    this._bpmnDirty = dirty;
+    const btn = document.getElementById('save-bpmn'); btn.disabled = !dirty; btn.classList.toggle('dirty', dirty);
+  }
+
+  _hasUnsavedChanges() { return !!((this._editorInstance && this._docDirty) || this._bpmnDirty); }
+
+  _scheduleBpmnSync() { clearTimeout(this._bpmnSyncTimer); this._bpmnSyncTimer = setTimeout(() => { this._bpmnSyncTimer = null; this._syncBpmn(); }, 300); }
+
+  async _flushBpmnSync() {
+    if (!this._bpmnSyncTimer) return;
+    clearTimeout(this._bpmnSyncTimer); this._bpmnSyncTimer = null; await this._syncBpmn();
+  }
+
+  async _syncBpmn() {
+    const modeler = this._bpmnModeler; if (!modeler || !this._currentBpmnNodePath || !this._bpmnEditing) return;
+    let xml;
+    try { ({ xml } = await modeler.saveXML({ format: true })); } catch (err) { console.error('Serializing BPMN failed', err); return; }
+    // every shown process gets its own modeler; the path is read afterwards as a rename or move may have come in between
+    const path = this._currentBpmnNodePath; if (modeler !== this._bpmnModeler || !path) return;
+    const dirty = xml !== this._bpmnBaseline;
+    // undoing back to the clean state drops the draft
+    this._setBpmnDirty(dirty); await this._storeBpmnDraft(this.store.getNode(path), dirty ? xml : null);
+    this._renderLintFindings(lintBpmn(xml, this.lintConfig));
+  }
+
+  async _saveBpmn() {
+    await this._flushBpmnSync();
+    if (!this._bpmnModeler || !this._currentBpmnNodePath) return false;
+    try {
+      const { xml } = await this._bpmnModeler.saveXML({ format: true });
+      if (!this._lintGate(lintBpmn(xml, this.lintConfig), 'save')) return false;
+      this.store.setBpmnXml(this._currentBpmnNodePath, xml, { note: this._changeNote('bpmn-change-note') });
+      this._bpmnSavedXml = xml; this._bpmnBaseline = xml; this._setBpmnDirty(false); this.showDrafts = true; this._setBpmnEditing(false);
+      await this._storeBpmnDraft(this.store.getNode(this._currentBpmnNodePath), null);
+      this._refreshLifecycle('bpmn', this._currentBpmnNodePath);
+      return true;
+    } catch (err) {
+      console.error('Saving BPMN failed', err); alert(t('edit.saveFailed')); return false;
+    }
+  }
+
+  _discardBpmn() {
+    clearTimeout(this._bpmnSyncTimer); this._bpmnSyncTimer = null;
+    this._storeBpmnDraft(this.store.getNode(this._currentBpmnNodePath), null);
+    this._setBpmnDirty(false);
+  }
+
+  // a draft remembers the saved XML it was made on and is only taken while the process still has that XML
+  async _loadBpmnDraft(node) {
+    if (!node) return null;
+    try {
+      const draft = await this.autosave.adapter?.load(`bpmn-draft:${node.id}`);
+      return draft && draft.base === (node.content?.bpmnXml || null) ? draft.xml : null;
+    } catch (err) { console.error('Loading BPMN draft failed', err); return null; }
+  }
+
+  async _storeBpmnDraft(node, xml) {
+    if (!node) return;
+    const key = `bpmn-draft:${node.id}`;
+    try {
+      if (xml) await this.autosave.adapter?.save(key, { base: this._bpmnSavedXml || null, xml });
+      else await this.autosave.adapter?.remove(key);
+    } catch (err) { console.error('Saving BPMN draft failed', err); }
+  }
+
+  // resolves to true if the current view may be left
+  async _confirmLeave() {
+    await this._flushBpmnSync();
+    if (!this._hasUnsavedChanges()) return true;
+    const doc = !!(this._editorInstance && this._docDirty);
+    const name = (doc ? this.currentPath : this._currentBpmnNodePath || '').split('/').pop();
+    const choice = await this._modal(t('unsaved.title'), `<p>${escapeHtml(t(doc ? 'unsaved.document' : 'unsaved.process', { name }))}</p>`,
+      [{ id: 'stay', label: t('unsaved.stay') }, { id: 'discard', label: t('unsaved.discard') }, { id: 'save', label: t('common.save'), primary: true }]);
+    if (choice === 'save') return doc ? this._saveEdit({ reopen: false }) : this._saveBpmn();
+    if (choice === 'discard') { if (doc) this._cancelEdit(); else this._discardBpmn(); return true; }
+    return false;
+  }
+
+  /* === Lifecycle ===
+     - header panel of documents (kind "doc") and processes (kind "bpmn"); every field is written on change
+     - approving pins the saved content, so open changes have to be saved first
+     - the note below tells which version read mode shows and switches between it and the draft (this.showDrafts)
+  */
+  _renderLifecycle(kind, node, path) {
+    const panel = document.getElementById(kind === 'bpmn' ? 'process-lifecycle' : 'doc-lifecycle'); panel.innerHTML = '';
+    if (!hasLifecycle(node)) return;
+    const lc = lifecycleOf(node);
+    const fields = document.createElement('div'); fields.className = 'lifecycle-fields';
+    const field = (label, input, key) => {
+      const l = document.createElement('label'); l.textContent = label; l.appendChild(input); fields.appendChild(l);
+      input.addEventListener('change', () => this._updateLifecycle(kind, path, { [key]: input.value.trim() }));
+      return input;
+    };
+    const status = document.createElement('select'); status.className = `status-${lc.status}`;
+    status.innerHTML = Object.keys(LIFECYCLE_STATUSES).map(v => `<option value="${v}"${lc.status === v ? ' selected' : ''}>${statusLabel(v)}</option>`).join('');
+    field(t('lifecycle.status'), status, 'status');
+    const input = (key, type = 'text') => { const el = document.createElement('input'); el.type = type; el.value = lc[key] || ''; return field(t(`lifecycle.${key}`), el, key); };
+    input('owner'); input('approver');
+    input('approvedAt', 'date'); input('validFrom', 'date');
+    const due = input('reviewDue', 'date');
+    if (isReviewOverdue(node)) { due.classList.add('overdue'); due.title = t('lifecycle.overdue'); }
+    panel.appendChild(fields); panel.appendChild(this._lifecycleNote(kind, node, path));
+  }
+
+  _lifecycleNote(kind, node, path) {
+    const lc = lifecycleOf(node); const approved = this.store.approvedRevision(node);
+    const note = document.createElement('p'); note.className = 'lifecycle-note muted';
+    const action = (label, onClick) => { const b = document.createElement('button'); b.type = 'button'; b.className = 'link-btn'; b.textContent = label; b.addEventListener('click', onClick); note.append(' ', b); };
+    if (lc.status === 'archived') note.append(`${t('lifecycle.archived')} `);
+    if (!approved) { note.append(t('lifecycle.noApproved')); return note; }
+    const date = formatUiDate(lc.approvedAt) || formatUiRevisionDate(approved);
+    if (!this.store.hasDraft(node)) { note.append(t('lifecycle.approvedVersion', { date })); return note; }
+    if (this.showDrafts) { note.append(t('lifecycle.showingDraft', { date })); action(t('lifecycle.showApproved'), () => this._toggleDrafts(false)); }
+    else { note.append(t('lifecycle.showingApproved', { date })); action(t('lifecycle.showDraft'), () => this._toggleDrafts(true)); }
+    action(t('lifecycle.differences'), () => this._showApprovedDiff(kind, path));
+    return note;
+  }
+
+  _updateLifecycle(kind, path, patch) {
+    const node = this.store.getNode(path); if (!node) return;
+    if (patch.status === 'approved') {
+      const refuse = (message) => { alert(message); this._renderLifecycle(kind, node, path); };
+      if (!lifecycleOf(node).approver) return refuse(t('lifecycle.needApprover'));
+      if (kind === 'bpmn' ? this._bpmnDirty : this._editorInstance && this._docDirty) return refuse(t('lifecycle.saveFirst'));
+      if (!lifecycleContent(node)) return refuse(t('lifecycle.noContent'));
+    }
+    this.store.setLifecycle(path, patch);
+    this._refreshLifecycle(kind, path);
+  }
+
+  // status badges, dashboard, panel and (in read mode) the shown document version follow a lifecycle change
+  _refreshLifecycle(kind, path) {
+    this.renderer.render(); this.renderer.select(path); this._populateQuickAccess();
+    const node = this.store.getNode(path);
+    if (kind === 'doc' && !this._editorInstance) this._renderDocumentContent(node);
+    if (kind === 'doc') this._renderAcknowledgement(node, path);
+    this._renderLifecycle(kind, node, path);
+  }
+
+  async _toggleDrafts(on) {
+    const node = this.store.getNode(this.currentPath);
+    // the process view is rebuilt for the other version, so unsaved modeling has to be settled first
+    if (node?.type === 'process') {
+      if (!(await this._confirmLeave())) return;
+      this.showDrafts = on; await this._showProcess(node, this.currentPath); return;
+    }
+    this.showDrafts = on;
+    if (node?.type !== 'document' || this._editorInstance) return;
+    this._renderDocumentContent(node); this._renderLifecycle('doc', node, this.currentPath);
+  }
+
+  // history panel comparing the approved revision (A) with the latest one (B)
+  _showApprovedDiff(kind, path) {
+    const revs = this.store.getRevisions(path); const approved = this.store.approvedRevision(this.store.getNode(path));
+    if (!approved || !revs.length) return;
+    this._historySelection = { a: approved.id, b: revs[revs.length - 1].id };
+    this._renderHistory(kind); document.getElementById(kind === 'bpmn' ? 'process-history' : 'doc-history').classList.remove('hidden');
+  }
+
+  /* === Read acknowledgements ===
+     - the person working on this device is picked from the handbook's user list and remembered locally
+     - documents offer "Zur Kenntnis genommen"; the report lists confirmations per document or per person, exportable as CSV
+  */
+  async _loadCurrentUser() {
+    try { this.currentUserId = (await this.autosave.adapter?.load('current-user')) || null; } catch (err) { console.error('Loading current user failed', err); }
+    this._renderCurrentUser();
+  }
+
+  async _persistCurrentUser() {
+    try {
+      if (this.currentUserId) await this.autosave.adapter?.save('current-user', this.currentUserId); else await this.autosave.adapter?.remove('current-user');
+    } catch (err) { console.error('Saving current user failed', err); }
+  }
+
+  _currentUser() { return this.store.getUsers().find(u => u.id === this.currentUserId) || null; }
+
+  _renderCurrentUser() { document.getElementById('current-user-name').textContent = this._currentUser()?.name || t('header.signIn'); }
+
+  // units of all organigrams in hierarchy order, with depth for indentation
+  _orderedUnits() {
+    const units = this.store.orgUnits(); const out = [];
+    const add = (u, depth) => { out.push({ ...u, depth }); for (const c of units) if (c.nodeId === u.nodeId && c.parentId === u.unitId) add(c, depth + 1); };
+    for (const u of units) if (!u.parentId || !units.some(p => p.nodeId === u.nodeId && p.unitId === u.parentId)) add(u, 0);
+    return out;
+  }
+
+  _unitNames(refs) {
+    const units = this.store.orgUnits();
+    return (refs || []).map(r => units.find(u => u.nodeId === r.nodeId && u.unitId === r.unitId)?.name || `(${t('users.deletedUnit')})`);
+  }
+
+  async _editUsers() {
+    const units = this._orderedUnits();
+    const el = document.createElement('div'); el.className = 'org-form user-form';
+    el.innerHTML = `<p class="muted">${t('users.hint')}${units.length ? '' : ` ${t('users.noUnits')}`}</p>
+      <div class="user-rows"></div><button type="button" class="btn user-add">+ ${t('users.person')}</button>`;
+    const rows = el.querySelector('.user-rows');
+    const addRow = (user = { id: uid('user'), name: '', units: [] }) => {
+      const selected = new Set((user.units || []).map(unitKey));
+      const row = document.createElement('div'); row.className = 'user-row'; row.dataset.userId = user.id;
+      row.innerHTML = `<label class="user-me"><input type="radio" name="me"${user.id === this.currentUserId ? ' checked' : ''} /> ${t('users.me')}</label>
+        <input name="name" class="search-input" placeholder="${t('common.name')}" value="${escapeHtml(user.name)}" />
+        <select name="units" multiple size="3" aria-label="${t('users.units')}">${units.map(u => `<option value="${escapeHtml(unitKey(u))}"${selected.has(unitKey(u)) ? ' selected' : ''}>${'\u00a0\u00a0'.repeat(u.depth)}${escapeHtml(u.name)} (${escapeHtml(u.orgName)})</option>`).join('')}</select>
+        <button type="button" class="btn" aria-label="${t('users.remove')}">✕</button>`;
+      row.querySelector('button').addEventListener('click', () => row.remove());
+      rows.appendChild(row);
+    };
+    const users = this.store.getUsers();
+    for (const u of users) addRow(u);
+    if (!users.length) addRow();
+    el.querySelector('.user-add').addEventListener('click', () => addRow());
+    const res = await this._modal(t('users.title'), el, [{ id: 'cancel', label: t('common.cancel') }, { id: 'ok', label: t('common.apply'), primary: true }]);
+    if (res !== 'ok') return;
+    const next = Array.from(rows.children).map(r => ({
+      id: r.dataset.userId,
+      name: r.querySelector('[name="name"]').value.trim(),
+      units: Array.from(r.querySelector('[name="units"]').selectedOptions).map(o => units.find(u => unitKey(u) === o.value)).filter(Boolean).map(u => ({ nodeId: u.nodeId, unitId: u.unitId })),
+      me: r.querySelector('[name="me"]').checked
+    })).filter(u => u.name);
+    this.currentUserId = next.find(u => u.me)?.id || null;
+    this.store.setUsers(next.map(({ me, ...u }) => u));
+    await this._persistCurrentUser();
+    this._refreshAcknowledgement();
+  }
+
+  // panel below a document: own confirmation, mandatory units and progress
+  _renderAcknowledgement(node, path) {
+    const panel = document.getElementById('doc-acknowledgement'); panel.innerHTML = '';
+    if (!node || node.type !== 'document') return;
+    const user = this._currentUser(); const required = this.store.requiredUsers(node);
+    const link = (parent, label, onClick) => { const b = document.createElement('button'); b.type = 'button'; b.className = 'link-btn'; b.textContent = label; b.addEventListener('click', onClick); parent.append(' ', b); };
+    const own = document.createElement('p'); own.className = 'ack-own';
+    const ack = user && this.store.validAcknowledgement(node, user.id);
+    if (ack) own.textContent = `✓ ${t('ack.doneBy', { name: user.name, date: formatUiDateTime(ack.at) })}`;
+    else {
+      const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'btn btn-primary'; btn.textContent = t('ack.confirm');
+      btn.addEventListener('click', () => this._acknowledge(path)); own.appendChild(btn);
+      if (user && (node.acknowledgements || []).some(a => a.userId === user.id)) own.append(` ${t('ack.changedSince')}`);
+      else if (user && required.includes(user)) own.append(` ${t('ack.requiredForYou')}`);
+    }
+    panel.appendChild(own);
+    const info = document.createElement('p'); info.className = 'muted';
+    if (node.mandatoryFor?.length) {
+      const done = required.filter(u => this.store.validAcknowledgement(node, u.id)).length;
+      info.textContent = t('ack.requiredFor', { units: this._unitNames(node.mandatoryFor).join(', '), done, n: required.length });
+      link(info, t('ack.report'), () => this._ackReport({ path }));
+    } else info.textContent = t('ack.notRequired');
+    link(info, `${t('ack.setRequired')}…`, () => this._editMandatory(path));
+    panel.appendChild(info);
+  }
+
+  _refreshAcknowledgement() {
+    this._populateQuickAccess();
+    const node = this.store.getNode(this.currentPath);
+    if (node?.type === 'document') this._renderAcknowledgement(node, this.currentPath);
+  }
+
+  async _acknowledge(path) {
+    if (!this._currentUser()) await this._editUsers();
+    if (!this._currentUser()) { alert(t('ack.whoConfirms')); return; }
+    this.store.acknowledge(path, this.currentUserId);
+    this._refreshAcknowledgement();
+  }
+
+  async _editMandatory(path) {
+    const node = this.store.getNode(path); const units = this._orderedUnits();
+    if (!units.length) { alert(t('ack.noUnits')); return; }
+    const selected = new Set((node.mandatoryFor || []).map(unitKey));
+    const el = document.createElement('div'); el.className = 'org-form mandatory-form';
+    el.innerHTML = `<p class="muted">${t('ack.mandatoryHint')}</p>`
+      + units.map(u => `<label class="mandatory-unit" style="margin-left:${u.depth * 16}px"><span><input type="checkbox" value="${escapeHtml(unitKey(u))}"${selected.has(unitKey(u)) ? ' checked' : ''} /> ${escapeHtml(u.name)} <small>(${escapeHtml(u.orgName)})</small></span></label>`).join('');
+    const res = await this._modal(`${t('ack.required')} – ${path.split('/').pop()}`, el, [{ id: 'cancel', label: t('common.cancel') }, { id: 'ok', label: t('common.apply'), primary: true }]);
+    if (res !== 'ok') return;
+    const refs = Array.from(el.querySelectorAll('input:checked')).map(i => units.find(u => unitKey(u) === i.value)).filter(Boolean).map(u => ({ nodeId: u.nodeId, unitId: u.unitId }));
+    this.store.setMandatoryFor(path, refs);
+    this._refreshAcknowledgement();
+  }
+
+  // one row per mandatory document (all, or the one at path) and required person
+  _ackRows(path) {
+    const rows = [];
+    const walk = (entries, parentPath) => {
+      for (const [k, v] of entries) {
+        const p = parentPath ? `${parentPath}/${k}` : k;
+        if (v.type === 'document' && (!path || p === path)) {
+          for (const user of this.store.requiredUsers(v)) {
+            const ack = this.store.validAcknowledgement(v, user.id);
+            const earlier = (v.acknowledgements || []).some(a => a.userId === user.id);
+            rows.push({ path: p, node: v, user, ack, status: t(ack ? 'ack.state.confirmed' : earlier ? 'ack.state.again' : 'ack.state.open') });
+          }
+        }
+        walk(TreeStore.childEntries(v), p);
+      }
+    };
+    walk(Object.entries(this.store.getRoot()), '');
+    return rows;
+  }
+
+  async _ackReport({ path } = {}) {
+    const rows = this._ackRows(path);
+    const el = document.createElement('div'); el.className = 'ack-report';
+    el.innerHTML = `<div class="ack-report-controls">
+        <label>${t('ack.group')} <select name="group"><option value="document">${t('ack.byDocument')}</option><option value="person">${t('ack.byPerson')}</option></select></label>
+        <label><input type="checkbox" name="open" checked /> ${t('ack.onlyOpen')}</label>
+        <button type="button" class="btn" name="csv">${t('ack.exportCsv')}</button>
+      </div><div class="ack-report-body"></div>`;
+    const body = el.querySelector('.ack-report-body');
+    const onlyOpen = () => el.querySelector('[name="open"]').checked;
+    const visible = () => onlyOpen() ? rows.filter(r => !r.ack) : rows;
+    const ackDate = (r) => r.ack ? formatUiDateTime(r.ack.at) : '';
+    const render = () => {
+      body.innerHTML = '';
+      if (!rows.length) { body.innerHTML = `<p class="muted">${t('ack.noRows')}</p>`; return; }
+      const byPerson = el.querySelector('[name="group"]').value === 'person';
+      const groups = new Map();
+      for (const r of rows) {
+        const key = byPerson ? r.user.id : r.path;
+        if (!groups.has(key)) groups.set(key, { title: byPerson ? r.user.name : r.path, rows: [] });
+        groups.get(key).rows.push(r);
+      }
+      for (const g of groups.values()) {
+        const open = g.rows.filter(r => !r.ack); const shown = onlyOpen() ? open : g.rows;
+        if (!shown.length) continue;
+        const h = document.createElement('h4'); h.textContent = `${g.title} – ${t('ack.progress', { done: g.rows.length - open.length, n: g.rows.length })}`;
+        const ul = document.createElement('ul');
+        for (const r of shown) { const li = document.createElement('li'); li.textContent = `${byPerson ? r.path : r.user.name}: ${r.status}${r.ack ? ` – ${ackDate(r)}` : ''}`; ul.appendChild(li); }
+        body.appendChild(h); body.appendChild(ul);
+      }
+      if (!body.children.length) body.innerHTML = `<p class="muted">${t('ack.allDone')}</p>`;
+    };
+    el.querySelector('[name="group"]').addEventListener('change', render);
+    el.querySelector('[name="open"]').addEventListener('change', render);
+    el.querySelector('[name="csv"]').addEventListener('click', () => {
+      const csv = toCsv(['document', 'person', 'units', 'status', 'at', 'version'].map(column => t(`ack.csv.${column}`)), visible().map(r => [
+        r.path, r.user.name, this._unitNames(r.user.units).join(', '), r.status, ackDate(r),
+        r.ack ? formatUiRevisionDate(r.node.revisions.find(x => x.id === r.ack.revisionId)) : ''
+      ]));
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+      const a = document.createElement('a'); a.href = url; a.download = `kenntnisnahmen-${todayIso()}.csv`; a.click(); URL.revokeObjectURL(url);
+    });
+    render();
+    await this._modal(path ? `${t('header.ackReport')} – ${path.split('/').pop()}` : t('header.ackReport'), el, [{ id: 'ok', label: t('common.close'), primary: true }]);
+  }
 
-  /* === EDITOR INTEGRATION ===
-     - On _enterEdit(): ensureEditor() -> create EditorJS instance in #editorjs container inside #editor-root
-     - On save: call editor.save() to collect data and persist into node.editorData
+  /* === Revision history ===
+     - panel lists all revisions of the current node, compares two of them (A/B) and restores one
+     - "Stand am" picks the revision that was valid on a given date as A, compared to the latest one
   */
-  async _enterEdit() {
-    const node = this.store.getNode(this.currentPath);
-    if (!node || node.type !== 'document') return;
+  _changeNote(inputId) {
+    const input = document.getElementById(inputId); if (!input) return '';
+    const note = input.value.trim(); input.value = ''; return note;
+  }
 
-    // prepare editor container
-    const editorRoot = document.getElementById('editor-root');
-    editorRoot.classList.remove('hidden'); editorRoot.innerHTML = `
-      <div id="editorjs"></div>
-      <div style="margin-top:8px;">
-        <small style="color:var(--muted)">Editor: Editor.js (WYSIWYG). Änderungen nach "Speichern" werden in das JSON-Dokument übernommen.</small>
-      </div>
-    `;
+  _toggleHistory(kind) {
+    const panel = document.getElementById(kind === 'bpmn' ? 'process-history' : 'doc-history');
+    if (!panel.classList.contains('hidden')) { panel.classList.add('hidden'); return; }
+    this._historySelection = null;
+    this._renderHistory(kind); panel.classList.remove('hidden');
+  }
 
-    document.getElementById('save-btn').classList.remove('hidden'); document.getElementById('cancel-btn').classList.remove('hidden'); document.getElementById('edit-btn').classList.add('hidden');
+  _renderHistory(kind) {
+    const panel = document.getElementById(kind === 'bpmn' ? 'process-history' : 'doc-history');
+    const path = kind === 'bpmn' ? this._currentBpmnNodePath : this.currentPath;
+    const revs = this.store.getRevisions(path);
+    panel.innerHTML = `<h3>${t('history.label')}</h3>`;
+    if (revs.length === 0) { const p = document.createElement('p'); p.className = 'muted'; p.textContent = t('history.none'); panel.appendChild(p); return; }
+    const sel = this._historySelection || { a: revs[Math.max(0, revs.length - 2)].id, b: revs[revs.length - 1].id };
+    this._historySelection = sel;
 
-    try {
-      // lazy load Editor.js + tools
-      const lib = await ensureEditor(); // loads EditorJS and tools, returns {EditorJS, tools}
-      const EditorJS = lib.EditorJS;
-      const tools = lib.tools;
+    const dateRow = document.createElement('label'); dateRow.className = 'history-date'; dateRow.textContent = `${t('history.asOf')} `;
+    const dateInput = document.createElement('input'); dateInput.type = 'date';
+    dateInput.addEventListener('change', () => {
+      if (!dateInput.value) return;
+      const end = new Date(`${dateInput.value}T23:59:59`).getTime();
+      const valid = revs.filter(r => !r.at || new Date(r.at).getTime() <= end).pop();
+      if (!valid) { alert(t('history.noneAtDate')); return; }
+      this._historySelection = { a: valid.id, b: revs[revs.length - 1].id }; this._renderHistory(kind);
+    });
+    dateRow.appendChild(dateInput); panel.appendChild(dateRow);
 
-      // Destroy previous instance if exists
-      if (this._editorInstance && typeof this._editorInstance.destroy === 'function') {
-        try { await this._editorInstance.destroy(); } catch (e) { /* ignore */ }
-        this._editorInstance = null;
+    const table = document.createElement('table'); table.className = 'history-table';
+    table.innerHTML = `<thead><tr><th>A</th><th>B</th><th>${t('history.date')}</th><th>${t('history.note')}</th><th></th></tr></thead>`;
+    const tbody = document.createElement('tbody');
+    for (const rev of revs.slice().reverse()) {
+      const tr = document.createElement('tr');
+      const radio = (slot) => {
+        const td = document.createElement('td'); const r = document.createElement('input'); r.type = 'radio'; r.name = `rev-${kind}-${slot}`; r.checked = sel[slot] === rev.id;
+        r.setAttribute('aria-label', t('history.pick', { date: formatUiRevisionDate(rev), slot: slot.toUpperCase() }));
+        r.addEventListener('change', () => { this._historySelection = { ...this._historySelection, [slot]: rev.id }; this._renderHistory(kind); });
+        td.appendChild(r); return td;
+      };
+      tr.appendChild(radio('a')); tr.appendChild(radio('b'));
+      const date = document.createElement('td'); date.textContent = formatUiRevisionDate(rev); tr.appendChild(date);
+      const note = document.createElement('td'); note.textContent = `${rev.note || ''}${rev.minor ? ` (${t('history.minor')})` : ''}`;
+      if (rev.id === this.store.getNode(path)?.lifecycle?.approvedRevision) note.insertAdjacentHTML('beforeend', ` <span class="status-badge status-approved">${t('history.approved')}</span>`);
+      tr.appendChild(note);
+      const actions = document.createElement('td');
+      if (rev !== revs[revs.length - 1]) {
+        const btn = document.createElement('button'); btn.className = 'btn'; btn.textContent = t('history.restore');
+        btn.addEventListener('click', () => this._restoreRevision(kind, path, rev));
+        actions.appendChild(btn);
       }
-
-      // Initialize Editor.js
-      this._editorInstance = new EditorJS({
-        holder: 'editorjs',
-        autofocus: true,
-        data: node.editorData || { blocks: [] },
-        tools: {
-          header: { class: tools.header, shortcut: 'CMD+SHIFT+H' },
-          list: { class: tools.list, shortcut: 'CMD+SHIFT+L' },
-          quote: { class: tools.quote, shortcut: 'CMD+SHIFT+Q' },
-          code: { class: tools.code },
-          delimiter: tools.delimiter ? { class: tools.delimiter } : undefined,
-          marker: tools.marker ? { class: tools.marker } : undefined,
-          checklist: tools.checklist ? { class: tools.checklist } : undefined
-        },
-        onReady: () => {
-          this._editorReady = true;
-        },
-        onChange: async () => {
-          // optional: show auto-save indicator or similar
-        }
-      });
-    } catch (err) {
-      console.error('Editor initialization failed', err);
-      alert('Fehler beim Laden des Editors. Prüfe die Konsole.');
-      // fallback: show raw JSON textarea
-      const editorRootFallback = document.getElementById('editor-root'); editorRootFallback.innerHTML = '';
-      const ta = document.createElement('textarea'); ta.className = 'form'; ta.style.width = '100%'; ta.style.minHeight = '220px';
-      ta.value = JSON.stringify(node.editorData || { blocks: [] }, null, 2);
-      editorRootFallback.appendChild(ta);
+      tr.appendChild(actions); tbody.appendChild(tr);
     }
+    table.appendChild(tbody); panel.appendChild(table);
+
+    const revA = revs.find(r => r.id === sel.a); const revB = revs.find(r => r.id === sel.b);
+    const diffEl = document.createElement('div'); diffEl.className = 'diff';
+    const caption = document.createElement('p'); caption.className = 'muted';
+    caption.textContent = `${t('history.compare')}: A = ${formatUiRevisionDate(revA)} · B = ${formatUiRevisionDate(revB)}`;
+    panel.appendChild(caption);
+    diffEl.innerHTML = kind === 'bpmn' ? this._renderBpmnDiff(revA, revB) : this._renderBlockDiff(revA, revB);
+    panel.appendChild(diffEl);
   }
 
-  async _saveEdit() {
-    const node = this.store.getNode(this.currentPath);
-    if (!node || node.type !== 'document') return;
-    if (this._editorInstance && this._editorReady && typeof this._editorInstance.save === 'function') {
-      try {
-        const output = await this._editorInstance.save();
-        node.editorData = output;
-        // re-render document, re-index, re-render tree
-        this.store.buildIndex(); this.renderer.render(); this._populateQuickAccess();
-        this.showItem(this.currentPath, node.type);
-        // destroy editor to free resources
-        try { await this._editorInstance.destroy(); } catch (e) { /* ignore */ }
-        this._editorInstance = null; this._editorReady = false;
-        alert('Änderungen gespeichert.');
-      } catch (err) {
-        console.error('Save failed', err); alert('Speichern fehlgeschlagen. Details in Konsole.');
-      }
-    } else {
-      // fallback: if editor isn't available (e.g., textarea)
-      const ta = document.querySelector('#editor-root textarea');
-      if (ta) {
-        try {
-          const json = JSON.parse(ta.value);
-          node.editorData = json; this.store.buildIndex(); this.renderer.render(); this._populateQuickAccess();
-          this.showItem(this.currentPath, node.type); alert('Änderungen gespeichert (Fallback).');
-        } catch (e) { alert('Ungültiges JSON.'); }
-      }
-    }
+  _renderBlockDiff(revA, revB) {
+    const ops = diffBlocks(revA?.editorData?.blocks || [], revB?.editorData?.blocks || []);
+    if (ops.every(o => o.op === 'same')) return `<p class="muted">${t('history.noDifferences')}</p>`;
+    const row = (cls, sign, block) => `<div class="diff-row diff-${cls}"><span class="diff-sign">${sign}</span><span class="diff-type">${escapeHtml(block.type)}</span><span class="diff-text">${escapeHtml(blockPlainText(block))}</span></div>`;
+    return ops.map(o => {
+      if (o.op === 'same') return row('same', ' ', o.new);
+      if (o.op === 'added') return row('added', '+', o.new);
+      if (o.op === 'removed') return row('removed', '−', o.old);
+      return row('removed', '−', o.old) + row('added', '+', o.new);
+    }).join('');
   }
 
-  _cancelEdit() {
-    // destroy editor if present
-    if (this._editorInstance && typeof this._editorInstance.destroy === 'function') {
-      try { this._editorInstance.destroy(); } catch (e) { /* ignore */ }
-    }
-    this._editorInstance = null; this._editorReady = false;
-    document.getElementById('editor-root').classList.add('hidden'); document.getElementById('editor-root').innerHTML = '';
-    document.getElementById('save-btn').classList.add('hidden'); document.getElementById('cancel-btn').classList.add('hidden');
-    document.getElementById('edit-btn').classList.remove('hidden');
+  _renderBpmnDiff(revA, revB) {
+    const ops = diffBpmn(revA?.bpmnXml, revB?.bpmnXml);
+    if (ops.length === 0) return `<p class="muted">${t('history.noDifferences')}</p>`;
+    const label = (el) => `${escapeHtml(el.type)} „${escapeHtml(el.name || el.id)}“ <small>(${escapeHtml(el.id)})</small>`;
+    return ops.map(o => {
+      if (o.op === 'added') return `<div class="diff-row diff-added"><span class="diff-sign">+</span><span class="diff-text">${label(o.new)}</span></div>`;
+      if (o.op === 'removed') return `<div class="diff-row diff-removed"><span class="diff-sign">−</span><span class="diff-text">${label(o.old)}</span></div>`;
+      const details = o.changes.map(c => `${escapeHtml(c.field)}: „${escapeHtml(c.from)}“ → „${escapeHtml(c.to)}“`).join('; ');
+      return `<div class="diff-row diff-changed"><span class="diff-sign">~</span><span class="diff-text">${label(o.new)} — ${details}</span></div>`;
+    }).join('');
   }
 
-  /* === BPMN Integration ===
-     - ensureBpmn() loads the modeler constructor and we instantiate it in #bpmn-canvas.
-     - We provide import/export XML and a "new" starter diagram
-  */
-  async _showProcess(node, path) {
-    document.getElementById('process-title').textContent = path.split('/').pop();
-    const view = document.getElementById('process-view'); view.classList.remove('hidden'); view.classList.add('active');
-    const canvas = document.getElementById('bpmn-canvas');
-    canvas.innerHTML = ''; // container for bpmn modeler
-    // initialize modeler
-    try {
-      const BpmnJS = await ensureBpmn(); // returns constructor
-      // destroy previous modeler if exists
-      if (this._bpmnModeler) { try { this._bpmnModeler.destroy(); } catch (e) { /* ignore */ } this._bpmnModeler = null; }
-      this._bpmnModeler = new BpmnJS({ container: '#bpmn-canvas' });
+  async _restoreRevision(kind, path, rev) {
+    if (!confirm(t('history.restoreConfirm', { date: formatUiRevisionDate(rev) }))) return;
+    if (!this.store.restoreRevision(path, rev.id)) { alert(t('history.restoreFailed')); return; }
+    this._historySelection = null;
+    if (kind === 'bpmn') { this.showDrafts = true; await this._showProcess(this.store.getNode(path), path); }
+    else this.showItem(path, 'document');
+    this._refreshLifecycle(kind, path);
+    this._renderHistory(kind); document.getElementById(kind === 'bpmn' ? 'process-history' : 'doc-history').classList.remove('hidden');
+  }
 
-      // If node.content.bpmnXml exists, import it; otherwise create default diagram
-      const xml = node?.content?.bpmnXml || this._defaultBpmnXml();
-      await this._importXmlToModeler(xml);
-      // remember current node for export etc.
-      this._currentBpmnNodePath = path;
-      this._currentBpmnNode = node;
-    } catch (err) {
-      console.error('BPMN init failed', err); alert('Fehler beim Laden von bpmn-js. Details in Konsole.');
+  /* === Organigram ===
+     - OrgChart renders node.orgData; every edit works on a copy and is written back via store.setOrgData
+     - view mode: clicking a position opens its job description; edit mode: select, drag onto a new superior, double-click to edit
+  */
+  _showOrganigram(node, path) {
+    const view = document.getElementById('org-view'); view.classList.remove('hidden'); view.classList.add('active');
+    document.getElementById('org-title').textContent = path.split('/').pop();
+    if (!this._orgChart) {
+      this._orgChart = new OrgChart(document.getElementById('org-canvas'));
+      this._orgChart.onOpen = (pos) => this._openOrgDocument(pos);
+      this._orgChart.onSelect = () => this._updateOrgControls();
+      this._orgChart.onEdit = (id) => this._orgEditPosition(id);
+      this._orgChart.onMove = (id, targetId) => this._orgMovePosition(id, targetId);
     }
+    this._orgPath = path;
+    this._orgChart.selectedId = null; this._orgChart.resetView();
+    this._orgChart.render(node?.orgData || emptyOrgData());
+    this._updateOrgControls();
   }
 
-  _defaultBpmnXml() {
-    // minimal valid BPMN diagram (simple process)
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI" xmlns:dc="http://www.omg.org/spec/DD/20100524/DC" id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
-  <process id="Process_1" isExecutable="false">
-    <startEvent id="StartEvent_1" name="Start" />
-    <task id="Task_1" name="Aufgabe" />
-    <endEvent id="EndEvent_1" name="Ende" />
-    <sequenceFlow id="Flow_1" sourceRef="StartEvent_1" targetRef="Task_1" />
-    <sequenceFlow id="Flow_2" sourceRef="Task_1" targetRef="EndEvent_1" />
-  </process>
-  <bpmndi:BPMNDiagram id="BPMNDiagram_1">
-    <bpmndi:BPMNPlane id="BPMNPlane_1" bpmnElement="Process_1"/>
-  </bpmndi:BPMNDiagram>
-</definitions>`;
+  _orgData() { return JSON.parse(JSON.stringify(this.store.getNode(this._orgPath)?.orgData || emptyOrgData())); }
+
+  _orgCommit(data) { this.store.setOrgData(this._orgPath, data); this._orgChart.render(data); this._updateOrgControls(); }
+
+  _updateOrgControls() {
+    const editing = this._orgChart?.editing;
+    document.getElementById('org-edit').textContent = editing ? t('org.done') : t('common.edit');
+    document.getElementById('org-edit').setAttribute('aria-pressed', editing ? 'true' : 'false');
+    for (const id of ['org-add', 'org-edit-pos', 'org-remove']) document.getElementById(id).classList.toggle('hidden', !editing);
+    const hasSel = !!this._orgChart?.selectedId;
+    document.getElementById('org-edit-pos').disabled = !hasSel; document.getElementById('org-remove').disabled = !hasSel;
   }
 
-  async _importXmlToModeler(xml) {
-    if (!this._bpmnModeler) return;
-    try {
-      await this._bpmnModeler.importXML(xml);
-    } catch (err) {
-      console.error('Import XML error', err);
-      alert('Fehler beim Importieren des BPMN-XML. Details in Konsole.');
-    }
+  _toggleOrgEdit() {
+    this._orgChart.editing = !this._orgChart.editing;
+    if (!this._orgChart.editing) this._orgChart.selectedId = null;
+    this._orgChart.render(); this._updateOrgControls();
   }
 
-  async _exportBpmnXml() {
-    if (!this._bpmnModeler || !this._currentBpmnNode) { alert('Kein Prozess aktiv.'); return; }
-    try {
-      const result = await this._bpmnModeler.saveXML({ format: true });
-      const xml = result.xml;
-      // save into node content
-      this._currentBpmnNode.content = this._currentBpmnNode.content || {};
-      this._currentBpmnNode.content.bpmnXml = xml;
-      // offer download
-      const blob = new Blob([xml], { type: 'application/xml' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a'); a.href = url; a.download = `${this._currentBpmnNodePath.replace(/\//g, '_')}.bpmn`; a.click(); URL.revokeObjectURL(url);
-      alert('BPMN XML exportiert und in Node gespeichert.');
-    } catch (err) {
-      console.error('Export BPMN error', err); alert('Fehler beim Exportieren. Details in Konsole.');
+  _openOrgDocument(pos) {
+    const path = this.store.findPathById(pos.documentId);
+    if (!path) { alert(t('org.noJobDescription', { title: pos.title })); return; }
+    this._open(path);
+  }
+
+  async _orgEditPosition(id) {
+    const data = this._orgData();
+    const isNew = !id;
+    const pos = isNew ? { id: uid('pos'), title: '', unitId: null, reportsTo: this._orgChart.selectedId, deputyId: null, holderIds: [], documentId: null } : data.positions.find(p => p.id === id);
+    if (!pos) return;
+    const form = this._orgPositionForm(data, pos);
+    const res = await this._modal(t(isNew ? 'org.addPosition' : 'org.editPosition'), form.el, [{ id: 'cancel', label: t('common.cancel') }, { id: 'ok', label: t('common.apply'), primary: true }]);
+    if (res !== 'ok') return;
+    const values = form.read();
+    if (!values.title) { alert(t('org.needTitle')); return; }
+    if (values.reportsTo && isOrgDescendant(data, pos.id, values.reportsTo)) { alert(t('org.reportsToSelf')); return; }
+    let unit = data.units.find(u => u.name === values.unitName);
+    if (!unit && values.unitName) { unit = { id: uid('unit'), name: values.unitName, parentId: data.units.find(u => u.id === data.positions.find(p => p.id === values.reportsTo)?.unitId)?.id || null }; data.units.push(unit); }
+    const holderIds = [];
+    for (const h of values.holders) {
+      let person = h.id && data.people.find(pp => pp.id === h.id);
+      if (!person) { person = { id: uid('person') }; data.people.push(person); }
+      Object.assign(person, { name: h.name, email: h.email, phone: h.phone }); holderIds.push(person.id);
     }
+    Object.assign(pos, { title: values.title, unitId: unit ? unit.id : null, reportsTo: values.reportsTo || null, deputyId: values.deputyId || null, holderIds, documentId: values.documentId || null });
+    if (isNew) data.positions.push(pos);
+    this._pruneOrgPeople(data);
+    this._orgChart.selectedId = pos.id; this._orgCommit(data);
   }
 
-  async _importBpmnFile(e) {
-    const f = e.target.files?.[0]; if (!f) return;
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      const xml = ev.target.result;
-      if (!this._bpmnModeler || !this._currentBpmnNode) {
-        alert('Kein aktiver Prozess zum Importieren.');
-        return;
-      }
-      try {
-        await this._importXmlToModeler(xml);
-        // save into node
-        this._currentBpmnNode.content = this._currentBpmnNode.content || {};
-        this._currentBpmnNode.content.bpmnXml = xml;
-        alert('BPMN importiert und in Node gespeichert.');
-      } catch (err) {
-        console.error('Import BPMN failed', err); alert('Import fehlgeschlagen. Details in Konsole.');
-      }
+  _orgPositionForm(data, pos) {
+    const el = document.createElement('div'); el.className = 'org-form';
+    const others = data.positions.filter(p => p.id !== pos.id);
+    const options = (list, selected, empty) => `<option value="">${empty}</option>` + list.map(o => `<option value="${escapeHtml(o.value)}"${o.value === selected ? ' selected' : ''}>${escapeHtml(o.label)}</option>`).join('');
+    const docs = this.store.index.filter(i => i.type === 'document').map(i => ({ value: this.store.getNode(i.path)?.id, label: i.path })).filter(o => o.value);
+    const unitName = data.units.find(u => u.id === pos.unitId)?.name || '';
+    el.innerHTML = `
+      <label>${t('org.title')}<input name="title" class="search-input" value="${escapeHtml(pos.title)}" /></label>
+      <label>${t('org.unit')}<input name="unit" class="search-input" list="org-unit-list" value="${escapeHtml(unitName)}" /></label>
+      <datalist id="org-unit-list">${data.units.map(u => `<option value="${escapeHtml(u.name)}"></option>`).join('')}</datalist>
+      <label>${t('org.reportsTo')}<select name="reportsTo">${options(others.map(p => ({ value: p.id, label: p.title })), pos.reportsTo, `— ${t('org.topLevel')} —`)}</select></label>
+      <label>${t('org.deputy')}<select name="deputyId">${options(others.map(p => ({ value: p.id, label: p.title })), pos.deputyId, `— ${t('org.noneOption')} —`)}</select></label>
+      <label>${t('org.jobDescription')}<select name="documentId">${options(docs, pos.documentId, `— ${t('org.noneOption')} —`)}</select></label>
+      <fieldset class="org-holders"><legend>${t('org.holders')}</legend><div class="org-holder-rows"></div><button type="button" class="btn org-add-holder">+ ${t('users.person')}</button></fieldset>`;
+    const rows = el.querySelector('.org-holder-rows');
+    const addRow = (person = {}) => {
+      const row = document.createElement('div'); row.className = 'org-holder-row'; row.dataset.personId = person.id || '';
+      row.innerHTML = `<input name="name" class="search-input" placeholder="${t('common.name')}" value="${escapeHtml(person.name || '')}" /><input name="email" class="search-input" placeholder="${t('org.email')}" value="${escapeHtml(person.email || '')}" /><input name="phone" class="search-input" placeholder="${t('org.phone')}" value="${escapeHtml(person.phone || '')}" /><button type="button" class="btn" aria-label="${t('users.remove')}">✕</button>`;
+      row.querySelector('button').addEventListener('click', () => row.remove());
+      rows.appendChild(row);
     };
-    reader.readAsText(f);
+    for (const id of pos.holderIds || []) { const person = data.people.find(pp => pp.id === id); if (person) addRow(person); }
+    el.querySelector('.org-add-holder').addEventListener('click', () => addRow());
+    const read = () => ({
+      title: el.querySelector('[name="title"]').value.trim(),
+      unitName: el.querySelector('[name="unit"]').value.trim(),
+      reportsTo: el.querySelector('[name="reportsTo"]').value,
+      deputyId: el.querySelector('[name="deputyId"]').value,
+      documentId: el.querySelector('[name="documentId"]').value,
+      holders: Array.from(rows.children).map(r => ({ id: r.dataset.personId, name: r.querySelector('[name="name"]').value.trim(), email: r.querySelector('[name="email"]').value.trim(), phone: r.querySelector('[name="phone"]').value.trim() })).filter(h => h.name)
+    });
+    return { el, read };
   }
 
-  async _newBpmn() {
-    if (!this._bpmnModeler || !this._currentBpmnNode) return;
-    const xml = this._defaultBpmnXml();
-    await this._importXmlToModeler(xml);
-    this._currentBpmnNode.content = this._currentBpmnNode.content || {};
-    this._currentBpmnNode.content.bpmnXml = xml;
-    alert('Neues BPMN-Diagramm erstellt.');
+  _orgRemovePosition(id) {
+    const data = this._orgData(); const pos = data.positions.find(p => p.id === id); if (!pos) return;
+    if (!confirm(t('org.removeConfirm', { title: pos.title }))) return;
+    data.positions = data.positions.filter(p => p.id !== id);
+    for (const p of data.positions) { if (p.reportsTo === id) p.reportsTo = pos.reportsTo; if (p.deputyId === id) p.deputyId = null; }
+    this._pruneOrgPeople(data);
+    this._orgChart.selectedId = null; this._orgCommit(data);
   }
 
-  _showOrganigram(node, path) {
-    const view = document.getElementById('org-view'); view.classList.remove('hidden'); view.classList.add('active');
-    const canvas = document.getElementById('org-canvas'); canvas.textContent = 'Organigramm (statisch)';
+  _orgMovePosition(id, targetId) {
+    const data = this._orgData(); const pos = data.positions.find(p => p.id === id); if (!pos) return;
+    if (targetId && isOrgDescendant(data, id, targetId)) { alert(t('org.moveUnderSelf')); this._orgChart.render(); return; }
+    pos.reportsTo = targetId || null;
+    this._orgChart.selectedId = id; this._orgCommit(data);
+  }
+
+  // people that no longer hold any position are dropped
+  _pruneOrgPeople(data) {
+    const used = new Set(data.positions.flatMap(p => p.holderIds || []));
+    data.people = data.people.filter(pp => used.has(pp.id));
+  }
+
+  _exportOrgSvg() {
+    if (!this._orgChart) return;
+    const blob = new Blob([this._orgChart.toSvgString()], { type: 'image/svg+xml' }); const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = `${(this._orgPath || 'organigramm').replace(/\//g, '_')}.svg`; a.click(); URL.revokeObjectURL(url);
+  }
+
+  /* small modal dialog built on .modal/.modal-card; resolves with the id of the clicked button (null on Escape) */
+  _modal(title, body, buttons = [{ id: 'ok', label: t('common.ok'), primary: true }]) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div'); overlay.className = 'modal';
+      const card = document.createElement('div'); card.className = 'modal-card'; card.setAttribute('role', 'dialog'); card.setAttribute('aria-modal', 'true');
+      const h = document.createElement('h3'); h.textContent = title; card.setAttribute('aria-label', title); card.appendChild(h);
+      if (typeof body === 'string') { const p = document.createElement('div'); p.innerHTML = body; card.appendChild(p); } else if (body) card.appendChild(body);
+      const actions = document.createElement('div'); actions.className = 'modal-actions';
+      const previousFocus = document.activeElement;
+      const close = (result) => { document.removeEventListener('keydown', onKey, true); overlay.remove(); previousFocus?.focus?.(); resolve(result); };
+      const onKey = (e) => { if (e.key === 'Escape') { e.stopPropagation(); close(null); } };
+      for (const b of buttons) {
+        const btn = document.createElement('button'); btn.type = 'button'; btn.className = b.primary ? 'btn btn-primary' : 'btn'; btn.textContent = b.label;
+        btn.addEventListener('click', () => close(b.id)); actions.appendChild(btn);
+      }
+      card.appendChild(actions); overlay.appendChild(card);
+      overlay.addEventListener('click', (e) => e.stopPropagation());
+      document.addEventListener('keydown', onKey, true);
+      document.body.appendChild(overlay);
+      (card.querySelector('input, select, textarea') || actions.lastChild)?.focus();
+    });
   }
 
   /* rest: export/import tree, search, context menu, rename/duplicate/delete (same as earlier) */
 
-  _export() {
-    const data = this.store.export();
+  // the referenced images and attachments go into the file, so it restores on another device
+  async _export() {
+    const data = this.store.export({ files: await this.files.exportFiles(this.store.fileIds()) });
     const blob = new Blob([data], { type: 'application/json' }); const url = URL.createObjectURL(blob);
     const a = document.createElement('a'); a.href = url; a.download = 'wbg-zentrum-export.json'; a.click(); URL.revokeObjectURL(url);
   }
+  async _exportSite() {
+    const btn = document.getElementById('btn-export-site'); btn.disabled = true; const label = btn.textContent; btn.textContent = `${t('site.exporting')}…`;
+    let svgRenderer = null;
+    try {
+      svgRenderer = await this._createSvgRenderer().catch((err) => { console.error('bpmn-js unavailable for SVG export', err); return null; });
+      const builder = new StaticSiteBuilder(this.store, { renderBpmnSvg: svgRenderer ? (xml) => svgRenderer.render(xml) : null, loadFile: (id) => this.files.get(id) });
+      const zip = await builder.build();
+      const url = URL.createObjectURL(zip.toBlob());
+      const a = document.createElement('a'); a.href = url; a.download = 'wbg-zentrum-handbuch.zip'; a.click(); URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Site export failed', err); alert(t('site.failed'));
+    } finally {
+      svgRenderer?.destroy(); btn.disabled = false; btn.textContent = label;
+    }
+  }
+
+  // offscreen bpmn-js instance that turns BPMN XML into SVG (saveSVG)
+  async _createSvgRenderer() {
+    const BpmnJS = await ensureBpmn();
+    const host = document.createElement('div'); host.style.cssText = 'position:absolute;left:-10000px;top:0;width:1200px;height:800px;';
+    document.body.appendChild(host);
+    const viewer = new BpmnJS({ container: host, moddleExtensions: { orgbuch: ORGBUCH_MODDLE } });
+    return {
+      render: async (xml) => { await viewer.importXML(xml); viewer.get('canvas').zoom('fit-viewport'); const { svg } = await viewer.saveSVG(); return svg; },
+      destroy: () => { try { viewer.destroy(); } catch (e) { /* ignore */ } host.remove(); }
+    };
+  }
+
   _triggerImport() { document.getElementById('import-file').value = null; document.getElementById('import-file').click(); }
   _handleImport(e) {
     const f = e.target.files?.[0]; if (!f) return;
-    const reader = new FileReader(); reader.onload = (ev) => {
-      const ok = this.store.import(ev.target.result);
-      if (ok) { this.renderer.render(); this.store.buildIndex(); this._populateQuickAccess(); alert('Import erfolgreich.'); } else { alert('Ungültige Datei.'); }
+    const reader = new FileReader(); reader.onload = async (ev) => {
+      const result = this.store.parseImport(ev.target.result);
+      if (!result.ok) { this._showImportErrors(f.name, result.errors); return; }
+      const mode = await this._modal(t('header.import'), `<p>${escapeHtml(t('import.how', { name: f.name }))}</p><p class="muted"><strong>${t('import.merge')}</strong> ${t('import.mergeHint')} <strong>${t('import.replace')}</strong> ${t('import.replaceHint')}</p>`,
+        [{ id: 'cancel', label: t('common.cancel') }, { id: 'replace', label: t('import.replace') }, { id: 'merge', label: t('import.merge'), primary: true }]);
+      if (mode !== 'merge' && mode !== 'replace') return;
+      if (!(await this._confirmStructureChange())) return;
+      if (mode === 'merge') { await this._mergeImport(result.data, result.files); return; }
+      if (!(await this._importFiles(result.files))) return;
+      const label = result.from < HANDBOOK_VERSION ? t('cmd.importedUpgraded', { name: quoted(f.name), from: result.from, to: HANDBOOK_VERSION }) : t('cmd.imported', { name: quoted(f.name) });
+      this._execute(snapshotCommand(this.store, label, () => this.store.import(ev.target.result).ok));
     }; reader.readAsText(f);
   }
+
+  async _mergeImport(data, files) {
+    const plan = this.store.planMerge(data);
+    const resolutions = {};
+    if (plan.conflicts.length) {
+      const body = this._mergeReview(plan, resolutions);
+      const res = await this._modal(`${t('import.merge')}: ${t('import.conflicts', { n: plan.conflicts.length })}`, body, [{ id: 'cancel', label: t('common.cancel') }, { id: 'ok', label: t('common.apply'), primary: true }]);
+      if (res !== 'ok') return;
+    }
+    if (!(await this._importFiles(files))) return;
+    let stats = null;
+    this._execute(snapshotCommand(this.store, t('cmd.merged'), () => (stats = this.store.applyMerge(plan, resolutions))));
+    alert(t('import.mergeDone', stats));
+  }
+
+  // files of an import are stored only once it is confirmed, under their own ids and right before the tree changes;
+  // what the applied tree does not reference goes again with the next cleanup (see _restore)
+  async _importFiles(files) {
+    try { await this.files.importFiles(files); return true; } catch (err) { console.error('Storing imported files failed', err); alert(t('import.filesFailed')); return false; }
+  }
+
+  // review table: one row per conflict with keep mine / take theirs / keep both; fills resolutions[key]
+  _mergeReview(plan, resolutions) {
+    const body = document.createElement('div'); body.className = 'merge-review';
+    const info = document.createElement('p'); info.className = 'muted';
+    info.textContent = t('import.additions', { n: plan.additions.length });
+    body.appendChild(info);
+    const choices = ['mine', 'theirs', 'both'].map(id => ({ id, label: t(`import.keep.${id}`) }));
+    const bulk = document.createElement('div'); bulk.className = 'controls';
+    for (const c of choices) {
+      const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'btn'; btn.textContent = `${t('import.all')}: ${c.label}`;
+      btn.addEventListener('click', () => { body.querySelectorAll(`input[value="${c.id}"]`).forEach(r => { r.checked = true; r.dispatchEvent(new Event('change')); }); });
+      bulk.appendChild(btn);
+    }
+    body.appendChild(bulk);
+    for (const c of plan.conflicts) {
+      resolutions[c.key] = 'mine';
+      const row = document.createElement('fieldset'); row.className = 'merge-conflict';
+      const legend = document.createElement('legend'); legend.textContent = c.path; row.appendChild(legend);
+      const what = document.createElement('p'); what.className = 'muted';
+      what.textContent = c.kind === 'content'
+        ? `${t('import.sameId', { mine: this._mergeSummary(c.mine), theirs: this._mergeSummary(c.theirs) })}${c.theirsPath !== c.path ? ` — ${t('import.inFileAt', { path: c.theirsPath })}` : ''}`
+        : t('import.sameName', { mine: c.mine.id, theirs: c.theirs.id });
+      row.appendChild(what);
+      for (const ch of choices) {
+        const label = document.createElement('label'); const radio = document.createElement('input');
+        radio.type = 'radio'; radio.name = `merge-${c.key}`; radio.value = ch.id; radio.checked = ch.id === 'mine';
+        radio.addEventListener('change', () => { if (radio.checked) resolutions[c.key] = ch.id; });
+        label.appendChild(radio); label.appendChild(document.createTextNode(` ${ch.label}`)); row.appendChild(label);
+      }
+      body.appendChild(row);
+    }
+    return body;
+  }
+
+  _mergeSummary(node) {
+    if (!node) return '—';
+    const last = (node.revisions || []).slice(-1)[0];
+    const size = node.editorData ? t('import.blocks', { n: node.editorData.blocks.length }) : node.content?.bpmnXml ? t('import.bpmnElements', { n: bpmnElements(node.content.bpmnXml).size }) : typeLabel(node.type);
+    return last?.at ? `${size}, ${t('import.asOf', { date: formatUiRevisionDate(last) })}` : size;
+  }
+
+  _showImportErrors(fileName, errors, { title = t('import.failed'), intro: text = t('import.rejected', { name: fileName }) } = {}) {
+    const body = document.createElement('div');
+    const intro = document.createElement('p'); intro.textContent = `${text} ${t('import.problems', { n: errors.length })}:`;
+    const list = document.createElement('ul'); list.className = 'import-errors';
+    for (const e of errors.slice(0, 50)) { const li = document.createElement('li'); const code = document.createElement('code'); code.textContent = e.path; li.appendChild(code); li.appendChild(document.createTextNode(`: ${e.message}`)); list.appendChild(li); }
+    body.appendChild(intro); body.appendChild(list);
+    if (errors.length > 50) { const more = document.createElement('p'); more.className = 'muted'; more.textContent = `… ${t('import.more', { n: errors.length - 50 })}`; body.appendChild(more); }
+    this._modal(title, body);
+  }
+  /* === Tags and category === */
+  _renderMeta(node, path) {
+    const box = document.getElementById(VIEW_META[node?.type]); if (!box) return;
+    box.innerHTML = '';
+    if (node.category) { const cat = document.createElement('span'); cat.className = 'node-category'; cat.title = t('meta.category'); cat.textContent = node.category; box.appendChild(cat); }
+    for (const tag of node.tags || []) box.appendChild(this._tagLink(tag));
+    const edit = document.createElement('button'); edit.type = 'button'; edit.className = 'link-btn';
+    edit.textContent = node.category || node.tags?.length ? t('meta.edit') : t('meta.add');
+    edit.addEventListener('click', () => this._editMeta(path)); box.appendChild(edit);
+  }
+
+  _tagLink(tag, count) {
+    const a = document.createElement('a'); a.className = 'tag-chip'; a.href = formatRoute({ tag }); a.textContent = tag;
+    if (count !== undefined) { const n = document.createElement('span'); n.className = 'tag-count'; n.textContent = count; a.append(' ', n); }
+    return a;
+  }
+
+  async _editMeta(path) {
+    const node = this.store.getNode(path); if (!node) return;
+    const form = document.createElement('div'); form.className = 'org-form meta-form';
+    form.innerHTML = `<label>${t('meta.category')}<input name="category" class="search-input" list="meta-categories" /></label>
+      <datalist id="meta-categories">${this.store.categories().map(c => `<option value="${escapeHtml(c)}"></option>`).join('')}</datalist>
+      <label>${t('meta.tagsInput')}<input name="tags" class="search-input" /></label>
+      <div class="tag-suggestions"></div>`;
+    const category = form.querySelector('[name="category"]'); const tags = form.querySelector('[name="tags"]');
+    category.value = node.category || ''; tags.value = (node.tags || []).join(', ');
+    // tags used elsewhere, one click adds them
+    const suggestions = form.querySelector('.tag-suggestions');
+    for (const { tag } of this.store.tagCounts().slice(0, 30)) {
+      const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'tag-chip'; btn.textContent = tag;
+      btn.addEventListener('click', () => { tags.value = parseTagInput(`${tags.value},${tag}`).join(', '); tags.focus(); });
+      suggestions.appendChild(btn);
+    }
+    const res = await this._modal(`${t('meta.label')} – ${path.split('/').pop()}`, form, [{ id: 'cancel', label: t('common.cancel') }, { id: 'ok', label: t('common.apply'), primary: true }]);
+    if (res !== 'ok') return;
+    this.store.setMeta(path, { tags: parseTagInput(tags.value), category: category.value });
+    this._renderMeta(node, path); this._populateQuickAccess(); this._renderFacets();
+  }
+
+  // tags sized by how often they are used; current is highlighted (tag page)
+  _renderTagCloud(box, current = null) {
+    box.innerHTML = '';
+    const counts = this.store.tagCounts(); if (!counts.length) return;
+    const h = document.createElement('h3'); h.textContent = t('meta.tags'); box.appendChild(h);
+    const cloud = document.createElement('div'); cloud.className = 'tag-cloud';
+    const max = counts[0].count; const min = counts[counts.length - 1].count;
+    for (const { tag, count } of [...counts].sort((a, b) => a.tag.localeCompare(b.tag, 'de'))) {
+      const a = this._tagLink(tag, count); a.style.fontSize = `${(0.85 + 0.65 * (count - min) / (max - min || 1)).toFixed(2)}em`;
+      if (current && tagKey(tag) === tagKey(current)) { a.classList.add('active'); a.setAttribute('aria-current', 'page'); }
+      cloud.appendChild(a);
+    }
+    box.appendChild(cloud);
+  }
+
+  // every entry carrying the tag, grouped by category
+  _showTagPage(tag) {
+    document.getElementById('tag-title').textContent = `${t('meta.tag')}: ${tag}`;
+    const box = document.getElementById('tag-entries'); box.innerHTML = '';
+    const entries = this.store.filterIndex({ tags: [tag] });
+    if (!entries.length) box.innerHTML = `<p class="muted">${t('meta.tagUnused')}</p>`;
+    const groups = new Map();
+    for (const e of entries) { if (!groups.has(e.category)) groups.set(e.category, []); groups.get(e.category).push(e); }
+    const order = [...groups.keys()].sort((a, b) => (!a) - (!b) || a.localeCompare(b, 'de'));
+    for (const category of order) {
+      const h = document.createElement('h3'); h.textContent = category || t('meta.noCategory'); box.appendChild(h);
+      const ul = document.createElement('ul');
+      for (const e of groups.get(category)) {
+        const li = document.createElement('li'); const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'link-btn';
+        btn.textContent = `${e.icon || ''} ${e.path}`; btn.addEventListener('click', () => this._open(e.path));
+        li.appendChild(btn); li.insertAdjacentText('beforeend', ` – ${typeLabel(e.type)} `);
+        const node = this.store.getNode(e.path); if (hasLifecycle(node)) li.appendChild(statusBadge(node));
+        ul.appendChild(li);
+      }
+      box.appendChild(ul);
+    }
+    this._renderTagCloud(document.getElementById('tag-view-cloud'), tag);
+    const view = document.getElementById('tag-view'); view.classList.remove('hidden'); view.classList.add('active');
+  }
+
+  // facet filters next to the search box: type, status and tags (all selected tags must be present)
+  _renderFacets() {
+    const panel = document.getElementById('search-facet-panel'); panel.innerHTML = '';
+    const f = this.searchFacets;
+    const select = (label, key, options) => {
+      const l = document.createElement('label'); l.textContent = label;
+      const sel = document.createElement('select');
+      sel.innerHTML = `<option value="">${t('facets.all')}</option>${options.map(([v, l]) => `<option value="${v}"${f[key] === v ? ' selected' : ''}>${l}</option>`).join('')}`;
+      sel.addEventListener('change', () => { f[key] = sel.value; this._applyFacets(); });
+      l.appendChild(sel); panel.appendChild(l);
+    };
+    select(t('facets.type'), 'type', FACET_TYPES.map(type => [type, typeLabel(type)]));
+    select(t('lifecycle.status'), 'status', Object.keys(LIFECYCLE_STATUSES).map(status => [status, statusLabel(status)]));
+    const tags = document.createElement('div'); tags.className = 'facet-tags'; tags.setAttribute('role', 'group'); tags.setAttribute('aria-label', t('meta.tags'));
+    const counts = this.store.tagCounts();
+    if (!counts.length) tags.innerHTML = `<span class="muted">${t('facets.noTags')}</span>`;
+    for (const { tag, count } of counts) {
+      const on = f.tags.some(other => tagKey(other) === tagKey(tag));
+      const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'tag-chip'; btn.setAttribute('aria-pressed', String(on));
+      btn.textContent = `${tag} (${count})`;
+      btn.addEventListener('click', () => {
+        f.tags = on ? f.tags.filter(other => tagKey(other) !== tagKey(tag)) : [...f.tags, tag];
+        this._applyFacets(); this._renderFacets();
+      });
+      tags.appendChild(btn);
+    }
+    panel.appendChild(tags);
+    const reset = document.createElement('button'); reset.type = 'button'; reset.className = 'btn'; reset.textContent = t('facets.reset'); reset.disabled = !hasActiveFacets(f);
+    reset.addEventListener('click', () => { this.searchFacets = { type: '', status: '', tags: [] }; this._applyFacets(); this._renderFacets(); });
+    panel.appendChild(reset);
+  }
+
+  _applyFacets() {
+    const f = this.searchFacets; const active = (f.type ? 1 : 0) + (f.status ? 1 : 0) + f.tags.length;
+    document.querySelector('#search-facets summary').textContent = active ? `${t('header.filter')} (${active})` : t('header.filter');
+    this._search(document.getElementById('search-input').value);
+  }
+
+  // query results (or, without a query, every entry matching the facets) replace the tree until the box is cleared
   _search(q) {
     const container = this.renderer.container;
-    if (!q || q.trim() === '') { this.renderer.render(); return; }
-    const idx = this.store.buildIndex(); const res = idx.filter(i => i.name.toLowerCase().includes(q.toLowerCase()) || i.path.toLowerCase().includes(q.toLowerCase()));
+    const facets = hasActiveFacets(this.searchFacets) ? this.searchFacets : null;
+    const query = (q || '').trim();
+    if (!query && !facets) { this.renderer.render(); return; }
+    const res = query ? this.store.search(query, { facets }) : this.store.filterIndex(facets).map(e => ({ ...e, hits: [] }));
     container.innerHTML = '';
-    if (res.length === 0) { const empty = document.createElement('div'); empty.className = 'tree-node'; empty.textContent = 'Keine Treffer'; container.appendChild(empty); return; }
-    for (const r of res) { const node = document.createElement('div'); node.className = 'tree-node'; node.textContent = `${r.icon || ''} ${r.path}`; node.addEventListener('click', () => { const t = this.renderer.container.querySelector(`[data-path="${r.path}"]`); if (t) t.click(); else this.showItem(r.path, r.type); }); container.appendChild(node); }
+    if (res.length === 0) { const empty = document.createElement('div'); empty.className = 'tree-node'; empty.textContent = t('search.noResults'); container.appendChild(empty); return; }
+    for (const r of res) {
+      const item = document.createElement('div'); item.className = 'search-result';
+      const title = document.createElement('div'); title.className = 'tree-node'; title.tabIndex = 0; title.textContent = `${r.icon || ''} ${r.path}`;
+      title.addEventListener('click', () => this._openSearchHit(r, null));
+      title.addEventListener('keydown', (e) => { if (e.key === 'Enter') title.click(); });
+      item.appendChild(title);
+      if (r.tags?.length) { const tags = document.createElement('div'); tags.className = 'search-tags'; tags.textContent = r.tags.map(t => `#${t}`).join(' '); item.appendChild(tags); }
+      for (const hit of r.hits.filter(h => h.field !== 'name' && h.field !== 'meta').slice(0, 3)) {
+        const sn = document.createElement('div'); sn.className = 'search-snippet'; sn.tabIndex = 0; sn.innerHTML = hit.snippet;
+        sn.addEventListener('click', () => this._openSearchHit(r, hit));
+        sn.addEventListener('keydown', (e) => { if (e.key === 'Enter') sn.click(); });
+        item.appendChild(sn);
+      }
+      container.appendChild(item);
+    }
+  }
+
+  // opens the node of a search result and jumps to the matching block / diagram element
+  _openSearchHit(r, hit) {
+    const anchor = hit?.field === 'block' ? `block-${hit.blockIndex}` : hit?.field === 'bpmn' ? hit.elementId : null;
+    return this._open(r.path, { anchor });
   }
 
   _showContextMenu(path, type, e) {
     const menu = document.getElementById('context-menu'); menu.innerHTML = '';
-    const items = [{ id: 'edit', label: 'Bearbeiten' }, { id: 'rename', label: 'Umbenennen' }, { id: 'duplicate', label: 'Duplizieren' }, { id: 'delete', label: 'Löschen' }];
+    const items = [];
+    if (type === 'folder' || type === 'root') {
+      for (const newType of ['document', 'folder', 'process', 'organigram']) items.push({ id: `new:${newType}`, label: `${t('menu.new', { type: typeLabel(newType) })}…` });
+      items.push({ separator: true });
+    }
+    items.push({ id: 'edit', label: t('common.edit') }, { id: 'rename', label: t('menu.rename') }, { id: 'duplicate', label: t('menu.duplicate') }, { id: 'delete', label: t('menu.delete') });
+    if (path.includes('/')) items.push({ separator: true }, { id: 'move-up', label: t('menu.moveUp') }, { id: 'move-down', label: t('menu.moveDown') }, { id: 'move-to', label: `${t('menu.moveTo')}…` });
+    if (type !== 'root') items.push({ separator: true }, { id: 'save-template', label: `${t('menu.saveTemplate')}…` });
+    if (type === 'document' || type === 'folder' || type === 'root') items.push({ separator: true }, { id: 'md-export', label: t('menu.mdExport') }, { id: 'md-import', label: t('menu.mdImport') });
     for (const it of items) {
-      const el = document.createElement('div'); el.className = 'context-item'; el.textContent = it.label; el.style.padding = '8px 12px'; el.style.cursor = 'pointer';
+      if (it.separator) { const sep = document.createElement('div'); sep.className = 'context-separator'; sep.setAttribute('role', 'separator'); menu.appendChild(sep); continue; }
+      const el = document.createElement('div'); el.className = 'context-item'; el.setAttribute('role', 'menuitem'); el.textContent = it.label; el.style.padding = '8px 12px'; el.style.cursor = 'pointer';
       el.addEventListener('click', (ev) => { ev.stopPropagation(); this._handleContextAction(it.id, path, type); this._hideContextMenu(); });
       menu.appendChild(el);
     }
@@ -650,32 +6482,224 @@ class UIManager {
 
   _handleContextAction(action, path, type) {
     if (!path) return;
+    if (action.startsWith('new:')) { this._newItem(path, action.slice(4)); return; }
     switch (action) {
-      case 'edit': this.showItem(path, type); if (type === 'document') this._enterEdit(); break;
+      case 'edit': this._open(path).then((shown) => { if (shown !== false && type === 'document') this._enterEdit(); }); break;
       case 'rename': this._renameItem(path); break;
       case 'duplicate': this._duplicateItem(path); break;
       case 'delete': this._deleteItem(path); break;
+      case 'save-template': this._saveAsTemplate(path); break;
+      case 'move-up': case 'move-down': this._moveSibling(path, action === 'move-up' ? -1 : 1); break;
+      case 'move-to': this._moveToFolder(path); break;
+      case 'md-export': this._exportMarkdown(path); break;
+      case 'md-import': this._triggerMarkdownImport(path, type); break;
       default: break;
     }
   }
 
+  /* === Markdown ===
+     - documents export to a single .md file, folders to a zip mirroring the folder structure or one concatenated file
+     - import into a document replaces its content (recorded as a revision); import into a folder adds documents,
+       sub folders are created from zip directories or the paths in <!-- orgbuch:document --> markers
+  */
+  async _exportMarkdown(path) {
+    const node = this.store.getNode(path); if (!node) return;
+    const name = path.split('/').pop();
+    const download = (blob, fileName) => { const url = URL.createObjectURL(blob); const a = document.createElement('a'); a.href = url; a.download = fileName; a.click(); URL.revokeObjectURL(url); };
+    if (node.type === 'document') { download(new Blob([blocksToMarkdown(node.editorData?.blocks)], { type: 'text/markdown' }), `${mdFileName(name)}.md`); return; }
+    const docs = [];
+    const walk = (n, rel) => {
+      for (const [k, c] of TreeStore.childEntries(n)) {
+        if (c.type === 'document') docs.push({ path: [...rel, k], markdown: blocksToMarkdown(c.editorData?.blocks) });
+        walk(c, [...rel, k]);
+      }
+    };
+    walk(node, []);
+    if (!docs.length) { alert(t('markdown.noDocuments')); return; }
+    const mode = await this._modal(t('menu.mdExport'), `<p>${escapeHtml(t('markdown.exportAs', { n: docs.length, name }))} …</p>`,
+      [{ id: 'cancel', label: t('common.cancel') }, { id: 'single', label: t('markdown.single') }, { id: 'zip', label: t('markdown.zip'), primary: true }]);
+    if (mode === 'single') {
+      const text = docs.map(d => `<!-- orgbuch:document ${mdCommentJson({ path: d.path })} -->\n\n${d.markdown}`).join('\n');
+      download(new Blob([text], { type: 'text/markdown' }), `${mdFileName(name)}.md`);
+    } else if (mode === 'zip') {
+      const zip = new ZipWriter(); const used = new Set();
+      for (const d of docs) {
+        let file = [name, ...d.path].map(mdFileName).join('/'); let i = 2;
+        while (used.has(file.toLowerCase())) file = `${[name, ...d.path].map(mdFileName).join('/')} (${i++})`;
+        used.add(file.toLowerCase()); zip.add(`${file}.md`, d.markdown);
+      }
+      download(zip.toBlob(), `${mdFileName(name)}.zip`);
+    }
+  }
+
+  _triggerMarkdownImport(path, type) {
+    const input = document.getElementById('import-md-file');
+    this._mdImportTarget = { path, type }; input.multiple = type !== 'document'; input.value = null; input.click();
+  }
+
+  async _handleMarkdownImport(e) {
+    const files = Array.from(e.target.files || []); const target = this._mdImportTarget; this._mdImportTarget = null;
+    if (!files.length || !target) return;
+    try {
+      if (target.type === 'document') {
+        const f = files[0]; const node = this.store.getNode(target.path); if (!node) return;
+        if (/\.zip$/i.test(f.name)) { alert(t('markdown.oneFile')); return; }
+        if (node.editorData?.blocks?.length && !confirm(t('markdown.replaceConfirm', { name: target.path.split('/').pop(), file: f.name }))) return;
+        this.store.setEditorData(target.path, { time: Date.now(), blocks: markdownToBlocks(await f.text()) }, { note: `${t('markdown.import')}: ${f.name}` });
+        if (target.path === this.currentPath) await this.showItem(target.path, 'document'); else await this._open(target.path);
+        return;
+      }
+      // [{ path: [...folders, document name], markdown }]
+      const docs = [];
+      for (const f of files) {
+        if (/\.zip$/i.test(f.name)) {
+          for (const entry of await ZipReader.entries(await f.arrayBuffer())) {
+            if (!/\.(md|markdown)$/i.test(entry.name)) continue;
+            const parts = entry.name.split('/').filter(Boolean); parts[parts.length - 1] = parts[parts.length - 1].replace(/\.(md|markdown)$/i, '');
+            docs.push({ path: parts, markdown: new TextDecoder().decode(entry.data) });
+          }
+        } else {
+          const base = f.name.replace(/\.(md|markdown|txt)$/i, '');
+          for (const part of splitMarkdownDocuments(await f.text())) docs.push({ path: part.path || [base], markdown: part.markdown });
+        }
+      }
+      if (!docs.length) { alert(t('markdown.noneFound')); return; }
+      // a zip exported from this folder has the folder itself as its only top directory
+      const folderName = target.path.split('/').pop();
+      if (docs.every(d => d.path.length > 1 && d.path[0] === folderName)) docs.forEach(d => d.path.shift());
+      let last = null;
+      this._execute(snapshotCommand(this.store, t('cmd.documentsImported', { n: docs.length }), () => {
+        for (const d of docs) {
+          let parentPath = target.path;
+          for (const dir of d.path.slice(0, -1)) {
+            const existing = this.store.getNode(parentPath)?.children?.[dir];
+            parentPath = existing && this.store.isContainer(existing) ? `${parentPath}/${dir}` : this.store.addItem(parentPath, dir, { type: 'folder', icon: '📁', children: {} });
+          }
+          const name = d.path[d.path.length - 1].replace(/\//g, '-');
+          last = this.store.addItem(parentPath, name, { type: 'document', icon: '📄', editorData: { time: Date.now(), blocks: markdownToBlocks(d.markdown) } });
+        }
+        return true;
+      }));
+      if (docs.length === 1 && last) await this._open(last);
+    } catch (err) {
+      console.error('Markdown import failed', err); alert(`${t('markdown.importFailed')}: ${err.message}`);
+    }
+  }
+
+  /* === Templates ===
+     - "Neu…" opens a chooser with the built-in and custom templates of the requested type
+     - custom templates are persisted through the storage adapter (key "templates")
+  */
+  // false when the stored templates could not be read
+  async _loadTemplates() {
+    try { this.customTemplates = (await this.autosave.adapter?.load('templates')) || []; return true; } catch (err) { console.error('Loading templates failed', err); this.customTemplates = []; return false; }
+  }
+
+  async _persistTemplates() {
+    try { await this.autosave.adapter?.save('templates', this.customTemplates); } catch (err) { console.error('Saving templates failed', err); alert(t('templates.persistFailed')); }
+  }
+
+  _templatesFor(type) { return [...BUILTIN_TEMPLATES, ...(this.customTemplates || [])].filter(template => template.type === type); }
+
+  async _newItem(parentPath, type) {
+    const templates = this._templatesFor(type);
+    const body = document.createElement('div'); body.className = 'template-chooser';
+    const nameLabel = document.createElement('label'); nameLabel.textContent = t('common.name');
+    const nameInput = document.createElement('input'); nameInput.className = 'search-input'; nameInput.value = t(`newName.${type}`);
+    nameLabel.appendChild(nameInput); body.appendChild(nameLabel);
+    const list = document.createElement('div'); list.className = 'template-list'; list.setAttribute('role', 'radiogroup'); list.setAttribute('aria-label', t('templates.label'));
+    templates.forEach((template, i) => {
+      const row = document.createElement('label'); row.className = 'template-option';
+      const radio = document.createElement('input'); radio.type = 'radio'; radio.name = 'template'; radio.value = template.id; radio.checked = i === 0;
+      const text = document.createElement('span');
+      text.innerHTML = `<strong>${escapeHtml(templateLabel(template))}</strong>${template.custom ? ` <small class="muted">(${t('templates.custom')})</small>` : ''}${template.node.requiredSections ? `<br><small class="muted">${t('templates.requiredSections')}: ${escapeHtml(template.node.requiredSections.join(', '))}</small>` : ''}`;
+      row.appendChild(radio); row.appendChild(text);
+      if (template.custom) {
+        const del = document.createElement('button'); del.type = 'button'; del.className = 'btn'; del.textContent = '✕'; del.setAttribute('aria-label', t('templates.delete', { name: template.label }));
+        del.addEventListener('click', async (ev) => {
+          ev.preventDefault(); if (!confirm(`${t('templates.delete', { name: template.label })}?`)) return;
+          this.customTemplates = this.customTemplates.filter(c => c.id !== template.id); await this._persistTemplates(); row.remove();
+        });
+        row.appendChild(del);
+      }
+      list.appendChild(row);
+    });
+    body.appendChild(list);
+    const res = await this._modal(t('menu.new', { type: typeLabel(type) }), body, [{ id: 'cancel', label: t('common.cancel') }, { id: 'ok', label: t('templates.create'), primary: true }]);
+    if (res !== 'ok') return;
+    const name = nameInput.value.trim().replace(/\//g, '-');
+    const template = templates.find(tpl => tpl.id === list.querySelector('input[name="template"]:checked')?.value);
+    if (!name || !template) { alert(t('templates.needName')); return; }
+    const newPath = this._execute(addCommand(this.store, t('cmd.created', { name: quoted(name) }), () => this.store.addItem(parentPath, name, template.node)));
+    if (!newPath) { alert(t('templates.createFailed')); return; }
+    if ((await this._open(newPath)) === false) return;
+    if (template.node.type === 'document') this._enterEdit();
+    else if (template.node.type === 'process') this._editBpmn();
+  }
+
+  async _saveAsTemplate(path) {
+    const node = this.store.getNode(path); if (!node || !NODE_TYPE_LABELS[node.type]) { alert(t('templates.notPossible')); return; }
+    const label = prompt(`${t('templates.name')}:`, path.split('/').pop());
+    if (!label || !label.trim()) return;
+    this.customTemplates = this.customTemplates || [];
+    this.customTemplates.push({ id: uid('tpl'), type: node.type, label: label.trim(), custom: true, node: templateFromNode(node) });
+    await this._persistTemplates();
+    alert(t('templates.saved', { name: label.trim() }));
+  }
+
+  // headers required by the template the document was created from; returns the ones missing in editorData
+  _missingSections(node, editorData) {
+    const present = new Set((editorData?.blocks || []).filter(b => b.type === 'header').map(b => normalizeGerman(stripTags(b.data.text).trim())));
+    return (node.requiredSections || []).filter(sec => !present.has(normalizeGerman(sec)));
+  }
+
+  _moveItem(path, targetPath, position) {
+    const newPath = this._execute(moveCommand(this.store, path, targetPath, position));
+    if (!newPath) { alert(t('move.failed')); return; }
+    this.renderer.focus(newPath);
+  }
+
+  _moveSibling(path, delta) {
+    const parentPath = path.split('/').slice(0, -1).join('/');
+    const siblings = TreeStore.childEntries(this.store.getNode(parentPath)).map(([k]) => `${parentPath}/${k}`);
+    const at = siblings.indexOf(path); const target = siblings[at + delta];
+    if (at < 0 || !target) return;
+    this._moveItem(path, target, delta < 0 ? 'before' : 'after');
+  }
+
+  async _moveToFolder(path) {
+    const folders = this.store.buildIndex().filter(i => this.store.isContainer(this.store.getNode(i.path)) && i.path !== path && !i.path.startsWith(`${path}/`));
+    const body = document.createElement('label'); body.className = 'org-form'; body.textContent = t('move.target');
+    const select = document.createElement('select');
+    select.innerHTML = folders.map(f => `<option value="${escapeHtml(f.path)}">${escapeHtml(f.path)}</option>`).join('');
+    body.appendChild(select);
+    const res = await this._modal(`${t('menu.moveTo')}…`, body, [{ id: 'cancel', label: t('common.cancel') }, { id: 'ok', label: t('move.button'), primary: true }]);
+    if (res === 'ok' && select.value) this._moveItem(path, select.value, 'inside');
+  }
+
   _renameItem(path) {
-    const parts = path.split('/'); const currentName = parts.pop(); const newName = prompt('Neuer Name:', currentName);
-    if (!newName || newName.trim() === '' || newName.trim() === currentName) return; const res = this.store.renameItem(path, newName.trim());
-    if (res) { this.renderer.render(); this.store.buildIndex(); alert('Umbenennung erfolgreich.'); } else { alert('Fehler beim Umbenennen.'); }
+    const parts = path.split('/'); const currentName = parts.pop(); const newName = prompt(`${t('rename.prompt')}:`, currentName);
+    if (!newName || newName.trim() === '' || newName.trim() === currentName) return;
+    if (!this._execute(renameCommand(this.store, path, newName.trim()))) alert(t('rename.failed'));
   }
 
   _duplicateItem(path) {
-    const node = this.store.getNode(path); if (!node) { alert('Element nicht gefunden.'); return; }
-    const parts = path.split('/'); const name = parts.pop(); const parentPath = parts.join('/'); const parent = parentPath ? this.store.getNode(parentPath) : this.store.getRoot();
-    if (!parent || !parent.children) { alert('Kann nicht duplizieren.'); return; }
-    let newName = `${name} (Kopie)`; let i = 1; while (parent.children[newName]) newName = `${name} (Kopie ${i++})`;
-    parent.children[newName] = JSON.parse(JSON.stringify(node)); this.renderer.render(); this.store.buildIndex(); alert('Duplikat erstellt.');
+    if (!this.store.getNode(path)) { alert(t('duplicate.notFound')); return; }
+    if (!this._execute(addCommand(this.store, t('cmd.duplicated', { name: quoted(path.split('/').pop()) }), () => this.store.duplicateItem(path)))) alert(t('duplicate.failed'));
   }
 
-  _deleteItem(path) {
-    const parts = path.split('/'); const name = parts.pop(); if (!confirm(`Möchten Sie "${name}" wirklich löschen?`)) return; const ok = this.store.removeItem(path);
-    if (ok) { this.renderer.render(); this.store.buildIndex(); this._showWelcome(); alert('Gelöscht.'); } else { alert('Fehler beim Löschen.'); }
+  async _deleteItem(path) {
+    const name = path.split('/').pop();
+    // warn about links from outside the deleted subtree
+    const node = this.store.getNode(path); const ids = new Set();
+    const collect = (n) => { if (!n) return; ids.add(n.id); for (const c of Object.values(n.children || {})) collect(c); };
+    collect(node);
+    const incoming = [...ids].flatMap(id => this.store.backlinksTo(id)).filter(l => !ids.has(l.id));
+    const linked = [...new Set(incoming.map(l => l.path))];
+    // the entry goes to the Papierkorb and can be taken back, so only dangling links are worth a question
+    if (linked.length && !confirm(`${t('delete.confirm', { name })}\n\n${t('delete.linked', { n: linked.length })}:\n- ${linked.slice(0, 10).join('\n- ')}${linked.length > 10 ? '\n- …' : ''}\n${t('delete.linksBroken')}`)) return;
+    if (!(await this._confirmStructureChange())) return;
+    if (!this._execute(trashCommand(this.store, path))) alert(t('delete.failed'));
   }
 }
 async function showProcess(node) {
@@ -693,4 +6717,5 @@ async function showProcess(node) {
 /* App init */
 window.addEventListener('DOMContentLoaded', () => {
   window.app = new UIManager();
+  registerServiceWorker();
 });
@@ -0,0 +1,95 @@
+/* Service worker: keeps the app shell and the pinned libraries in the Cache API so the
+   handbook opens and renders without network (the content itself lives in local storage).
+   - app shell (same origin): network first, so updates arrive when online; cache as fallback
+   - libraries (vendor/ and the pinned CDN URLs from LIBS): cache first, versions never change;
+     only integrity-checked responses are cached
+   Bump CACHE_VERSION when the shell file list changes. */
+const CACHE_VERSION = 'orgbuch-v2'; // v2: drops library responses cached without an integrity check
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const LIB_CACHE = `${CACHE_VERSION}-libs`;
+const APP_SHELL = [
+  './',
+  'index.html',
+  'app.js',
+  'style.css',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+const LIB_HOSTS = ['cdn.jsdelivr.net', 'unpkg.com'];
+
+self.addEventListener('install', (e) => {
+  e.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => !k.startsWith(`${CACHE_VERSION}-`)).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (e) => {
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  const sameOrigin = url.origin === self.location.origin;
+  if (LIB_HOSTS.includes(url.host) || (sameOrigin && url.pathname.includes('/vendor/'))) {
+    e.respondWith(cacheFirst(req));
+  } else if (sameOrigin) {
+    e.respondWith(networkFirst(req));
+  }
+});
+
+// the page posts { type: 'precache-libs', libs: [{ sources, integrity }] } once it is controlled;
+// the first source that answers is cached, so the editor and modeler also load offline
+// even if they were never opened while online
+self.addEventListener('message', (e) => {
+  if (e.data?.type !== 'precache-libs') return;
+  e.waitUntil(precacheLibs(e.data.libs || []));
+});
+
+// only responses checked against an SRI hash are kept: fetch(req) enforces req.integrity, and the
+// app loads every library with one (loadLibrary); anything else on these hosts just passes through
+async function cacheFirst(req) {
+  const cache = await caches.open(LIB_CACHE);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok && req.integrity) cache.put(req, res.clone());
+  return res;
+}
+
+async function networkFirst(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(req, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(req, { ignoreSearch: true })
+      || (req.mode === 'navigate' ? await cache.match('index.html') : undefined);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function precacheLibs(libs) {
+  const cache = await caches.open(LIB_CACHE);
+  for (const lib of libs) {
+    const urls = lib.sources.map(src => new URL(src, self.registration.scope).href);
+    let cached = false;
+    for (const url of urls) {
+      if (await cache.match(url)) { cached = true; break; }
+    }
+    if (cached) continue;
+    for (const url of urls) {
+      try {
+        const res = await fetch(url, { integrity: lib.integrity, mode: 'cors', credentials: 'omit' });
+        if (res.ok) { await cache.put(url, res); break; }
+      } catch (err) {
+        // source unavailable or integrity mismatch: try the next one
+      }
+    }
+  }
+}